@@ -11,6 +11,10 @@
 let map;
 let drawingPoints = [];
 let currentPolygon = null;
+let searchShapes = [];     // every finished shape: { polygon, points, holes, circle, route } — currentPolygon is one of them
+let isAddingShape = false; // true while drawing an extra shape in multi-shape mode
+let isExcludingShape = false; // true while drawing an exclusion hole
+let drawingGesture = 'freehand'; // 'freehand' | 'circle' | 'rectangle' | 'isochrone' | 'route' | 'permalink' — how drawingPoints was produced
 let tempPolyline = null;
 let markers = [];
 let selectedPlaceIndex = null;   // index of the currently selected/highlighted place
@@ -87,7 +91,7 @@ let searchResults = [];
 
 // Filtering / sorting
 let unfilteredSearchResults = [];
-let activePlaceFilters = [];
+let activePlaceQuery = null;   // parseFilterQuery result for #place-filter, or null
 let activeSortMode = 'distance';
 let lastPriorityCenter = null;
 
@@ -123,7 +127,11 @@ const NOMINATIM_URL = 'https://nominatim.openstreetmap.org';
 // Photon geocoding endpoint (alternative free OSM geocoder, less rate-limited)
 const PHOTON_URL = 'https://photon.komoot.io/api';
 
-// Google Nearby Search field mask (Enterprise tier — includes rating, phone, website)
+// Google Nearby Search field mask — only what a card needs to list a place.
+// Phone, website and opening hours bill at the Enterprise tier, so they are
+// fetched per place via Place Details when a card or popup is opened
+// (loadPlaceDetails), or — after asking — for the whole result set when a
+// filter needs them (ensurePlaceDetails).
 const GOOGLE_FIELD_MASK = [
     'places.id',
     'places.displayName',
@@ -134,10 +142,26 @@ const GOOGLE_FIELD_MASK = [
     'places.googleMapsUri',
     'places.primaryType',
     'places.primaryTypeDisplayName',
-    'places.internationalPhoneNumber',
-    'places.websiteUri',
-    'places.businessStatus',
-    'places.currentOpeningHours'
+    'places.businessStatus'
+].join(',');
+
+// Enterprise-tier fields loaded on demand
+const GOOGLE_DETAIL_FIELDS = ['internationalPhoneNumber', 'websiteUri', 'currentOpeningHours'];
+const GOOGLE_DETAILS_FIELD_MASK = ['id', ...GOOGLE_DETAIL_FIELDS].join(',');
+
+// Nearby Search with the Enterprise fields, used while a results filter reads
+// hours / phone / website — one call per tile instead of one per place
+const GOOGLE_NEARBY_DETAILS_FIELD_MASK = [
+    GOOGLE_FIELD_MASK,
+    ...GOOGLE_DETAIL_FIELDS.map(f => 'places.' + f)
+].join(',');
+
+// Text Search keeps the full mask: it returns a handful of candidates and the
+// address search ranks them by openNow and shows their phone / website.
+// nextPageToken must be requested explicitly for paged category searches.
+const GOOGLE_TEXT_SEARCH_FIELD_MASK = [
+    GOOGLE_NEARBY_DETAILS_FIELD_MASK,
+    'nextPageToken'
 ].join(',');
 
 // Place type groups for parallel Nearby Search calls.
@@ -163,6 +187,24 @@ const GOOGLE_TYPE_GROUPS = [
 GOOGLE_TYPE_GROUPS.forEach(Object.freeze);
 Object.freeze(GOOGLE_TYPE_GROUPS);
 
+// Category picker names / icons, index-aligned with GOOGLE_TYPE_GROUPS
+const GOOGLE_TYPE_GROUP_LABELS = Object.freeze([
+    'Food & Drink', 'Shopping & Retail', 'Services & Health', 'Education, Fun & Lodging'
+]);
+const GOOGLE_TYPE_GROUP_ICONS = Object.freeze([
+    'fa-utensils', 'fa-shopping-bag', 'fa-briefcase-medical', 'fa-graduation-cap'
+]);
+
+// Google caps every Nearby Search call at 20 places.  A batch that comes back
+// full is "saturated" — there are almost certainly more places it dropped.
+const GOOGLE_NEARBY_MAX_RESULTS = 20;
+
+// Adaptive tile subdivision — when a type group saturates, the polygon is
+// split quadtree-style into smaller covering circles and re-queried.
+const ADAPTIVE_TILES_KEY = 'laso_adaptive_tiles';
+const TILE_MAX_DEPTH = 3;          // quadtree levels below the full polygon
+const TILE_MIN_RADIUS_M = 150;     // don't split tiles whose circle is already this small
+
 // =============================================================================
 // Search Area Limits — Tamper-Resistant Validation
 // =============================================================================
@@ -185,11 +227,18 @@ Object.freeze(GOOGLE_TYPE_GROUPS);
 //     → A determined attacker can still call fetch() directly, but that's where
 //       Layer 1 stops them.  This layer catches casual console tampering.
 //
+//   Layer 3 — the worker (worker/src/index.js, validateGoogleRequest):
+//     • Re-checks radius, type allowlist, maxResultCount and field mask on
+//       every /search and /textsearch, answering rejects with a structured 400.
+//     → Keep its limits and ALLOWED_PLACE_TYPES in step with this file.
+//
 const _searchGuard = (() => {
     // ── Private limits — invisible to and unreachable from the console ──
     const _maxRadiusM    = 5000;        // 5 km max bounding-circle radius
     const _maxAreaSqM    = 25_000_000;  // 25 km² max polygon area
     const _maxTypeGroups = 4;           // max parallel API call groups
+    const _maxTileCalls  = 12;          // max extra calls per search for tile subdivision
+    const _maxShapes     = 4;           // max disjoint shapes searched in one run
     const _R  = 6371e3;                 // Earth radius (m)
     const _dr = Math.PI / 180;         // degrees → radians
 
@@ -230,12 +279,21 @@ const _searchGuard = (() => {
         return [cy / a6, cx / a6];
     }
 
-    // Validate polygon area + bounding radius before any API calls
-    function validateSearchArea(polygonPoints) {
+    // Validate polygon area + bounding radius before any API calls.
+    // Holes (exclusion rings) are subtracted from the area; the bounding
+    // radius is still measured on the outer ring, which the API circle covers.
+    function validateSearchArea(polygonPoints, holes = []) {
         if (!Array.isArray(polygonPoints) || polygonPoints.length < 3) {
             return { ok: false, reason: 'Invalid polygon' };
         }
-        const area = _area(polygonPoints);
+        if (!Array.isArray(holes) || holes.some(h => !Array.isArray(h) || h.length < 3)) {
+            return { ok: false, reason: 'Invalid exclusion area' };
+        }
+        let area = _area(polygonPoints);
+        for (const hole of holes) area -= _area(hole);
+        if (area <= 0) {
+            return { ok: false, reason: 'Exclusions cover the whole search area' };
+        }
         if (area > _maxAreaSqM) {
             return { ok: false, reason: 'Search area too large (' + (area / 1e6).toFixed(1) + ' km²)' };
         }
@@ -262,7 +320,17 @@ const _searchGuard = (() => {
         return _maxTypeGroups;
     }
 
-    return Object.freeze({ validateSearchArea, validateCircleRadius, getMaxTypeGroups });
+    function getMaxTileCalls() {
+        return _maxTileCalls;
+    }
+
+    function getMaxShapes() {
+        return _maxShapes;
+    }
+
+    return Object.freeze({
+        validateSearchArea, validateCircleRadius, getMaxTypeGroups, getMaxTileCalls, getMaxShapes
+    });
 })();
 
 // =============================================================================
@@ -455,7 +523,7 @@ function getMobileHeaderPad() {
 function calculatePolygonFit(polygon, mapObj, padTop, padRight, padBottom, padLeft) {
     const size = mapObj.getSize();               // canvas W × H in px
     const refZ = mapObj.getZoom();
-    const ring = polygon.getLatLngs()[0];        // outer ring of vertices
+    const ring = polygon.getLatLngs().flat(Infinity); // every vertex (all rings / parts)
 
     // --- Step 1: project every vertex at refZ & find bounding extremes ------
     // (Same idea as gifsig's getSignatureBounds scanning minX/maxX/minY/maxY)
@@ -823,7 +891,7 @@ function initMap() {
                         }
                     }
                     const { center, zoom, contentCenter } = calculatePolygonFit(
-                        currentPolygon, map, padTop, padH, padBottom, padH
+                        getSearchAreaFitLayer(), map, padTop, padH, padBottom, padH
                     );
                     const fitState = { center, zoom: Math.round(zoom * 100) / 100, contentCenter };
                     applyPolygonFit(fitState);
@@ -996,6 +1064,41 @@ function initMap() {
     });
     new WildPinControl().addTo(map);
 
+    // Shape tools — add another disjoint shape / cut an exclusion hole
+    const AddShapeControl = L.Control.extend({
+        options: { position: 'topleft' },
+        onAdd() {
+            const container = L.DomUtil.create('div', 'leaflet-control-add-shape leaflet-bar leaflet-control');
+            const btn = L.DomUtil.create('a', 'leaflet-control-add-shape-btn disabled', container);
+            btn.innerHTML = '<i class="fas fa-plus-square"></i>';
+            btn.href = '#';
+            btn.title = 'Add another shape';
+            btn.role = 'button';
+            btn.setAttribute('aria-label', 'Add another shape');
+
+            const excludeBtn = L.DomUtil.create('a', 'leaflet-control-exclude-shape-btn disabled', container);
+            excludeBtn.innerHTML = '<i class="fas fa-minus-square"></i>';
+            excludeBtn.href = '#';
+            excludeBtn.title = 'Exclude an area';
+            excludeBtn.role = 'button';
+            excludeBtn.setAttribute('aria-label', 'Exclude an area');
+
+            L.DomEvent.disableClickPropagation(container);
+
+            L.DomEvent.on(btn, 'click', (e) => {
+                L.DomEvent.preventDefault(e);
+                startAddShape();
+            });
+            L.DomEvent.on(excludeBtn, 'click', (e) => {
+                L.DomEvent.preventDefault(e);
+                startExcludeShape();
+            });
+
+            return container;
+        }
+    });
+    new AddShapeControl().addTo(map);
+
     // Walk View button — toggles between standard (north-up) and walk (heading-up) modes
     const WalkViewControl = L.Control.extend({
         options: { position: 'topleft' },
@@ -1520,6 +1623,8 @@ function updateDrawButtonState() {
         const needsShimmer = zoomTooLow && !hasPolygon && !!fitStateResultsOpen;
         zoomInBtn.classList.toggle('shimmer', needsShimmer);
     }
+
+    updateShapeToolButtonsState();
 }
 
 function updateZoomFitButtonState() {
@@ -2204,10 +2309,12 @@ function setupDesktopLayout() {
 
     // Row 2: sort dropdown + clear button (wider, below filter)
     const sortSelect = document.getElementById('sort-select');
+    const openAtFilter = document.getElementById('open-at-filter');
     const clearFiltersBtn = document.getElementById('clear-filters-btn');
     const buttonsRow = document.createElement('div');
     buttonsRow.className = 'pc-filter-buttons-row';
     if (sortSelect) buttonsRow.appendChild(sortSelect);
+    if (openAtFilter) buttonsRow.appendChild(openAtFilter);
     if (clearFiltersBtn) buttonsRow.appendChild(clearFiltersBtn);
 
     pcFilterArea.appendChild(filterRow);
@@ -2269,6 +2376,7 @@ document.addEventListener('DOMContentLoaded', () => {
         document.body.classList.add('debug-results');
     }
     initMap();
+    setupUrlState();
 
     // Verify Google Places API key on startup
     verifyGoogleApiKey();
@@ -2282,6 +2390,14 @@ function toggleDrawingMode() {
     const drawBtn = document.getElementById('drawing-toggle');
     const wrapper = document.getElementById('draw-btn-wrapper');
 
+    // Cancel an in-progress drawing (extra shape, exclusion, preset tool)
+    // without clearing the existing shapes
+    if (isDrawingMode && currentPolygon) {
+        disableDrawingMode();
+        if (drawBtn && typeof drawBtn.blur === 'function') drawBtn.blur();
+        return;
+    }
+
     // "Draw Clear" mode — clear shape + business pins, keep location pin
     if (currentPolygon) {
         drawClear();
@@ -2368,14 +2484,18 @@ function drawClear() {
     searchResults = [];
     unfilteredSearchResults = [];
     allSearchResults = [];
+    setResultsStale(false);
     currentDisplayOffset = 0;
+    updateExportButtonState();
+    closeExportMenu();
     const resultsList = document.getElementById('results-list');
     resultsList.innerHTML = getDefaultEmptyStateHTML();
     document.getElementById('result-count').textContent = '0';
 
     const placeFilterInput = document.getElementById('place-filter');
     if (placeFilterInput) placeFilterInput.value = '';
-    activePlaceFilters = [];
+    activePlaceQuery = null;
+    activeOpenAtFilter = null;
     activeSortMode = 'distance';
     lastPriorityCenter = null;
     syncFilterSortUIState();
@@ -2497,6 +2617,17 @@ function disableDrawingMode() {
 
     // Stop freehand drawing
     stopFreehandDrawing();
+
+    drawingGesture = 'freehand';
+
+    // Cancelled while shapes exist — the active shape stays as it was
+    if (currentPolygon) {
+        isAddingShape = false;
+        isExcludingShape = false;
+        const active = searchShapes.find(s => s.polygon === currentPolygon);
+        if (active) drawingPoints = active.points;
+        updateShapeToolButtonsState();
+    }
 }
 
 // =============================================================================
@@ -2579,6 +2710,7 @@ function handleMouseDown(e) {
     const point = getMousePoint(e);
     if (point) {
         drawingPoints.push(point);
+        _presetAnchor = point;
         updatePolyline();
     }
 
@@ -2593,6 +2725,11 @@ function handleMouseMove(e) {
     const point = getMousePoint(e);
     if (!point) return;
 
+    if (drawingGesture === 'circle' || drawingGesture === 'rectangle') {
+        _updatePresetGesture(point);
+        return;
+    }
+
     // Add point if it's far enough from the last point (smooths the line)
     if (drawingPoints.length > 0) {
         const lastPoint = drawingPoints[drawingPoints.length - 1];
@@ -2640,6 +2777,7 @@ function handleTouchStart(e) {
     const point = getTouchPoint(touch);
     if (point) {
         drawingPoints.push(point);
+        _presetAnchor = point;
         updatePolyline();
     }
 
@@ -2655,6 +2793,11 @@ function handleTouchMove(e) {
     const point = getTouchPoint(touch);
     if (!point) return;
 
+    if (drawingGesture === 'circle' || drawingGesture === 'rectangle') {
+        _updatePresetGesture(point);
+        return;
+    }
+
     if (drawingPoints.length > 0) {
         const lastPoint = drawingPoints[drawingPoints.length - 1];
         const distance = calculateDistance(point, lastPoint);
@@ -2719,30 +2862,167 @@ function closeFreehandPolygon() {
         return;
     }
 
-    // Remove existing polygon if any
-    removeCurrentPolygon();
+    // Geometry cleanup: simplify and untangle self-intersections before the
+    // ring reaches pointInPolygon / _searchGuard.  Preset shapes are already
+    // clean (and simplifying would flatten a circle's vertices).
+    const gesture = drawingGesture;
+    const presetCircle = gesture === 'circle' ? _presetCircle : null;
+
+    // Route mode: the drawn line becomes the centreline of a corridor
+    let routeLine = null;
+    let routePieces = null;
+    if (gesture === 'route') {
+        routeLine = simplifyFreehandLine(drawingPoints, map.getZoom());
+        routePieces = routeLine.length >= 2 ? bufferPolyline(routeLine, routeCorridorWidthM / 2) : null;
+        if (!routePieces) {
+            showNotification('Draw a longer route', 'error');
+            return;
+        }
+    }
 
-    // Create latLngs array for polygon - explicitly close it by repeating first point
-    const latLngs = drawingPoints.map(p => [p.lat, p.lng]);
-    // Close the polygon for proper geometric calculations
-    if (latLngs.length > 0) {
-        latLngs.push([...latLngs[0]]);
+    // Closed [lat, lng] ring, the format searchShapes and pointInPolygon use
+    const closeRing = ring => [...ring, [...ring[0]]];
+    let loops, loopHoles = [];
+    if (routePieces) {
+        loops = routePieces.map(([outer]) => outer.map(p => L.latLng(p[0], p[1])));
+        loopHoles = routePieces.map(([, ...holes]) => holes.map(closeRing));
+    } else {
+        loops = gesture === 'freehand'
+            ? cleanupFreehandRing(drawingPoints, map.getZoom())
+            : [drawingPoints];
+    }
+    if (loops.length === 0) {
+        showNotification('Draw a larger area - shape is too small', 'error');
+        return;
+    }
+    // Exclude mode: the ring becomes a hole in an existing shape
+    if (isExcludingShape) {
+        if (loops.length > 1) {
+            console.log(`[Draw] Exclusion crossed itself — split into ${loops.length} loops, using the largest`);
+        }
+        _endFreehandDrawingUI();
+        addExclusionHole(loops[0]);
+        return;
+    }
+
+    // An extra shape needs a free slot — the existing shapes stay as they are
+    const maxShapes = _searchGuard.getMaxShapes();
+    if (isAddingShape && searchShapes.length >= maxShapes) {
+        showNotification(`Up to ${maxShapes} shapes per search`, 'error');
+        disableDrawingMode();
+        return;
     }
 
-    // Create the final polygon - Canvas renderer handles large polygons better
-    currentPolygon = L.polygon(latLngs, {
+    // Replace the existing shape(s) — unless this is an extra shape
+    if (!isAddingShape) removeCurrentPolygon();
+    exitPolygonEditMode();
+
+    // A lasso or route that crossed itself splits into several loops: each
+    // one becomes its own search shape (largest first) as far as the slots
+    // left allow
+    const keptLoops = loops.slice(0, maxShapes - searchShapes.length);
+    if (loops.length > 1) {
+        console.log(`[Draw] Shape crossed itself — split into ${loops.length} loops, kept ${keptLoops.length}`);
+    }
+
+    const routeLayer = routeLine
+        ? L.polyline(routeLine, { color: '#4285f4', weight: 2, opacity: 0.8, dashArray: '6, 6', interactive: false }).addTo(map)
+        : null;
+    const newShapes = keptLoops.map((loop, i) => {
+        const points = closeRing(loop.map(p => [p.lat, p.lng]));
+        const holes = loopHoles[i] || [];
+        // Canvas renderer handles large polygons better
+        const polygon = createSearchShapePolygon([points, ...holes].map(r => r.map(p => [...p])));
+        const shape = { polygon, points, holes, circle: presetCircle, route: routeLine, routeLayer };
+        searchShapes.push(shape);
+        return shape;
+    });
+    // The largest loop is the active shape
+    setActiveShape(newShapes[0].polygon);
+    const addedShape = isAddingShape;
+    isAddingShape = false;
+    if (addedShape) markResultsStale();
+
+    _endFreehandDrawingUI();
+
+    // Record the integer zoom at which the user drew this polygon.
+    drawingZoom = Math.round(map.getZoom());
+
+    // Check if any vertex went outside the canvas while drawing.
+    // If so, the polygon doesn't fit at the current zoom — drop the floor by 1.
+    const canvasSize = map.getSize();
+    const outOfBounds = newShapes.some(shape => shape.points.some(p => {
+        const cp = map.latLngToContainerPoint(p);
+        return cp.x < 0 || cp.x > canvasSize.x || cp.y < 0 || cp.y > canvasSize.y;
+    }));
+    const fitFloor = outOfBounds ? drawingZoom - 1 : drawingZoom;
+
+    // Gifsig-style auto-fit: scan every vertex, ensure ≥10 px from each canvas edge.
+    const { center: fitCenter, zoom: rawFitZoom } = calculatePolygonFit(
+        getSearchAreaFitLayer(), map, 10 + getMobileHeaderPad(), 10, 10, 10
+    );
+
+    // Clamp: fit zoom lives between fitFloor and fitFloor + 1
+    const fitZoom = Math.max(fitFloor, Math.min(fitFloor + 0.99, rawFitZoom));
+
+    // Smooth fly to the fit position.  isAutoFittingPolygon stays true for the
+    // entire animation so the zoomend handler knows this is an auto-fit.
+    isAutoFittingPolygon = true;
+    map.flyTo(fitCenter, fitZoom, { duration: 0.5 });
+    const epochAtDraw = _clearEpoch;
+    map.once('moveend', () => {
+        if (_clearEpoch !== epochAtDraw) return;
+        isAutoFittingPolygon = false;
+    });
+
+    const shapeLabel = {
+        circle: 'Circle', rectangle: 'Rectangle', isochrone: 'Walking area', route: 'Route corridor', permalink: 'Shared area'
+    }[gesture] || 'Lasso';
+    updateStatus(addedShape
+        ? `Shape ${searchShapes.length} added with ${drawingPoints.length} points`
+        : `${shapeLabel} created with ${drawingPoints.length} points`);
+    // Each piece takes one of the maxShapes slots and is searched on its own
+    const crossedLabel = routeLine ? 'Route' : 'Shape';
+    showNotification(loops.length > 1
+        ? keptLoops.length < loops.length
+            ? `${crossedLabel} crossed itself — kept the ${keptLoops.length} largest of ${loops.length} pieces (up to ${maxShapes} shapes per search, each searched separately)`
+            : `${crossedLabel} crossed itself — split into ${keptLoops.length} shapes, each searched separately (up to ${maxShapes} per search)`
+        : addedShape
+            ? `Shape ${searchShapes.length} added! Draw Search will search all shapes`
+            : 'Shape created! Click Draw Search to find businesses');
+
+    // First-time shimmer: highlight Draw Search button if user has never pressed it
+    try {
+        if (!localStorage.getItem('laso_has_used_draw_search')) {
+            const lasoBtn = document.getElementById('lasosearch-btn');
+            if (lasoBtn) lasoBtn.classList.add('shimmer');
+        }
+    } catch (e) { /* localStorage unavailable */ }
+}
+
+/**
+ * Add a finished search shape to the map: `rings` is [outer, ...holes] as
+ * [lat, lng] arrays.  Returns the editable L.Polygon.
+ */
+function createSearchShapePolygon(rings) {
+    const polygon = L.polygon(rings, {
         color: '#4285f4',
         fillColor: '#4285f4',
         fillOpacity: 0.2,
         weight: 3
     }).addTo(map);
+    attachPolygonEditHandlers(polygon);
+    return polygon;
+}
 
-    // Store as array format [lat, lng] for compatibility with existing code
-    // Also close the polygon for proper filtering
-    drawingPoints = drawingPoints.map(p => [p.lat, p.lng]);
-    if (drawingPoints.length > 0) {
-        drawingPoints.push([...drawingPoints[0]]);
-    }
+/**
+ * Leave drawing mode after a ring was closed — like disableDrawingMode()
+ * but without clearing drawingPoints (closeFreehandPolygon still needs them).
+ */
+function _endFreehandDrawingUI() {
+    drawingGesture = 'freehand';
+    _presetAnchor = null;
+    _presetCircle = null;
 
     // Clear temporary drawing - BUT NOT drawingPoints (we need them for search)
     if (tempPolyline) {
@@ -2776,52 +3056,6 @@ function closeFreehandPolygon() {
     });
     map.dragging.enable();
     map.scrollWheelZoom.enable();
-
-    // Record the integer zoom at which the user drew this polygon.
-    drawingZoom = Math.round(map.getZoom());
-
-    // Check if any vertex went outside the canvas while drawing.
-    // If so, the polygon doesn't fit at the current zoom — drop the floor by 1.
-    const canvasSize = map.getSize();
-    const ring = currentPolygon.getLatLngs()[0];
-    let outOfBounds = false;
-    for (let i = 0; i < ring.length; i++) {
-        const cp = map.latLngToContainerPoint(ring[i]);
-        if (cp.x < 0 || cp.x > canvasSize.x || cp.y < 0 || cp.y > canvasSize.y) {
-            outOfBounds = true;
-            break;
-        }
-    }
-    const fitFloor = outOfBounds ? drawingZoom - 1 : drawingZoom;
-
-    // Gifsig-style auto-fit: scan every vertex, ensure ≥10 px from each canvas edge.
-    const { center: fitCenter, zoom: rawFitZoom } = calculatePolygonFit(
-        currentPolygon, map, 10 + getMobileHeaderPad(), 10, 10, 10
-    );
-
-    // Clamp: fit zoom lives between fitFloor and fitFloor + 1
-    const fitZoom = Math.max(fitFloor, Math.min(fitFloor + 0.99, rawFitZoom));
-
-    // Smooth fly to the fit position.  isAutoFittingPolygon stays true for the
-    // entire animation so the zoomend handler knows this is an auto-fit.
-    isAutoFittingPolygon = true;
-    map.flyTo(fitCenter, fitZoom, { duration: 0.5 });
-    const epochAtDraw = _clearEpoch;
-    map.once('moveend', () => {
-        if (_clearEpoch !== epochAtDraw) return;
-        isAutoFittingPolygon = false;
-    });
-
-    updateStatus(`Lasso created with ${drawingPoints.length} points`);
-    showNotification('Shape created! Click Draw Search to find businesses');
-
-    // First-time shimmer: highlight Draw Search button if user has never pressed it
-    try {
-        if (!localStorage.getItem('laso_has_used_draw_search')) {
-            const lasoBtn = document.getElementById('lasosearch-btn');
-            if (lasoBtn) lasoBtn.classList.add('shimmer');
-        }
-    } catch (e) { /* localStorage unavailable */ }
 }
 
 // Legacy functions kept for compatibility
@@ -2843,110 +3077,2272 @@ function handleDoubleClick(e) {
     // No longer needed - mouseup handles closing
 }
 
+/**
+ * Remove the search area — every drawn shape, not just currentPolygon.
+ * Results from the old area stay listed, marked stale, until the next search.
+ */
 function removeCurrentPolygon() {
+    exitPolygonEditMode();
+    markResultsStale();
+    searchShapes.forEach(shape => {
+        if (map.hasLayer(shape.polygon)) map.removeLayer(shape.polygon);
+        if (shape.routeLayer && map.hasLayer(shape.routeLayer)) map.removeLayer(shape.routeLayer);
+    });
+    searchShapes = [];
     if (currentPolygon) {
-        map.removeLayer(currentPolygon);
+        if (map.hasLayer(currentPolygon)) map.removeLayer(currentPolygon);
         currentPolygon = null;
     }
     updateDrawButtonState();
     updateZoomFitButtonState();
+    scheduleUrlStateSync();
 }
 
 // =============================================================================
-// Polygon Utilities
+// Multi-Shape Search Areas
 // =============================================================================
+//
+// The "Add shape" map control draws another disjoint shape next to the
+// existing one(s).  searchShapes holds all of them; currentPolygon and
+// drawingPoints always mirror the active (last drawn or last tapped) shape so
+// the single-shape code paths keep working unchanged.
 
 /**
- * Decide whether sidebar transitions should recenter on the location pin
- * or the polygon center.
- *
- * Rules:
- *   1. No location pin → 'polygon'
- *   2. No polygon      → 'pin'
- *   3. Pin INSIDE polygon → 'pin'
- *   4. Pin OUTSIDE polygon → whichever is closer to the current map center
- *
- * @returns {'pin'|'polygon'}
+ * Start drawing an extra shape, keeping the current ones.
  */
-function _getSidebarRecenterTarget() {
-    const hasPin = searchAddressMarker && map.hasLayer(searchAddressMarker);
-    const hasPoly = !!currentPolygon;
+function startAddShape() {
+    if (isDrawingMode || isSearching) return;
+    if (!currentPolygon) {
+        showNotification('Draw a shape first, then add more', 'error');
+        return;
+    }
+    const maxShapes = _searchGuard.getMaxShapes();
+    if (searchShapes.length >= maxShapes) {
+        showNotification(`Up to ${maxShapes} shapes per search`, 'error');
+        return;
+    }
 
-    // Category search fit states take priority over stale mega pin
-    if (!hasPoly && fitStateResultsOpen) return 'polygon';
+    exitPolygonEditMode();
+    isAddingShape = true;
+    enableDrawingMode();
+    // enableDrawingMode bails out when zoomed out too far
+    if (!isDrawingMode) isAddingShape = false;
+    updateShapeToolButtonsState();
+}
 
-    if (!hasPin && !hasPoly) return 'polygon';
-    if (!hasPin) return 'polygon';
-    if (!hasPoly) return 'pin';
+/**
+ * Make `polygon` (one of searchShapes) the active shape.
+ */
+function setActiveShape(polygon) {
+    const shape = searchShapes.find(s => s.polygon === polygon);
+    if (!shape) return;
+    currentPolygon = shape.polygon;
+    drawingPoints = shape.points;
+}
 
-    // Check if pin is inside the polygon
-    const pinLL = searchAddressMarker.getLatLng();
-    const pinCoord = [pinLL.lat, pinLL.lng];
-    if (drawingPoints.length >= 3 && pointInPolygon(pinCoord, drawingPoints)) {
-        return 'pin';
-    }
+/**
+ * Geometry of every shape, in drawing order: { points, holes, circle, route }
+ * with closed [lat, lng] rings; `circle` is set for circle/radius preset
+ * shapes and `route` ([lat, lng] centreline) for route corridors.
+ */
+function getSearchShapeGeometry() {
+    return searchShapes.map(s => ({ points: s.points, holes: s.holes, circle: s.circle, route: s.route }));
+}
 
-    // Pin is outside polygon — pick whichever is closer to current map center
-    const mapCenter = map.getCenter();
-    const polyCenter = currentPolygon.getBounds().getCenter();
-    const dPin = map.distance(mapCenter, pinLL);
-    const dPoly = map.distance(mapCenter, polyCenter);
-    return dPin <= dPoly ? 'pin' : 'polygon';
+/**
+ * Exclusion holes of the active shape (closed [lat, lng] rings).
+ */
+function getActiveShapeHoles() {
+    const shape = searchShapes.find(s => s.polygon === currentPolygon);
+    return shape ? shape.holes : [];
 }
 
-function getPolygonBounds() {
-    if (!currentPolygon) return null;
-    return currentPolygon.getBounds();
+/**
+ * True when `coord` ([lat, lng]) lies inside any drawn shape (and outside its holes).
+ */
+function pointInSearchArea(coord) {
+    return searchShapes.some(s => s.points.length >= 3 && pointInPolygon(coord, s.points, s.holes));
 }
 
-function getPolygonCenter() {
-    if (!currentPolygon) return null;
-    const bounds = currentPolygon.getBounds();
-    return [
-        (bounds.getNorth() + bounds.getSouth()) / 2,
-        (bounds.getEast() + bounds.getWest()) / 2
-    ];
+/**
+ * Layer to fit the viewport to: the current polygon, or — with several
+ * shapes drawn — an off-map multipolygon spanning all of them.
+ */
+function getSearchAreaFitLayer() {
+    if (searchShapes.length <= 1) return currentPolygon;
+    return L.polygon(searchShapes.map(s => [s.points]));
 }
 
-function getPolygonCentroid(polygonPoints) {
-    if (!Array.isArray(polygonPoints) || polygonPoints.length < 3) return null;
+function updateShapeToolButtonsState() {
+    const addBtn = document.querySelector('.leaflet-control-add-shape-btn');
+    if (addBtn) {
+        const canAdd = !!currentPolygon && searchShapes.length < _searchGuard.getMaxShapes();
+        addBtn.classList.toggle('disabled', !canAdd);
+        addBtn.classList.toggle('active', isAddingShape);
+    }
+    const excludeBtn = document.querySelector('.leaflet-control-exclude-shape-btn');
+    if (excludeBtn) {
+        excludeBtn.classList.toggle('disabled', !currentPolygon);
+        excludeBtn.classList.toggle('active', isExcludingShape);
+    }
+}
 
-    // Shoelace formula on lng/lat treated as planar. Adequate for small areas.
-    let area2 = 0;
-    let cx = 0;
-    let cy = 0;
+// =============================================================================
+// Preset Shape Tools (circle, rectangle, radius)
+// =============================================================================
+//
+// Circle and rectangle are alternative drag gestures inside drawing mode:
+// the move handlers hand off to _updatePresetGesture, and mouseup closes
+// through closeFreehandPolygon like a lasso.  The radius tool needs no
+// gesture — it builds a circle around the search pin (or the user's location)
+// and closes it straight away.  All three produce an ordinary drawingPoints
+// ring, so search, fit and edit code treat them like any other shape.
 
-    const n = polygonPoints.length;
-    for (let i = 0; i < n - 1; i++) {
-        const [y0, x0] = polygonPoints[i];
-        const [y1, x1] = polygonPoints[i + 1];
-        const cross = x0 * y1 - x1 * y0;
-        area2 += cross;
-        cx += (x0 + x1) * cross;
-        cy += (y0 + y1) * cross;
-    }
+const PRESET_CIRCLE_SEGMENTS = 64;
+const RADIUS_TOOL_DEFAULT_M = 800;
 
-    if (!isFinite(area2) || Math.abs(area2) < 1e-12) return null;
-    const area6 = area2 * 3;
-    return [cy / area6, cx / area6];
-}
+let _presetAnchor = null;   // L.LatLng where the current drag started
+let _presetCircle = null;   // { center: {latitude, longitude}, radius } for circle shapes
 
-function normalizePlaceType(type) {
-    return String(type || '')
-        .trim()
-        .toLowerCase()
-        .replace(/_/g, ' ')
-        .replace(/\s+/g, ' ');
+/**
+ * Open ring of L.LatLng approximating a circle of `radiusM` metres.
+ */
+function circleRing(center, radiusM, segments = PRESET_CIRCLE_SEGMENTS) {
+    const R = 6371e3;
+    const d = radiusM / R;
+    const lat1 = center.lat * Math.PI / 180;
+    const lng1 = center.lng * Math.PI / 180;
+    const ring = [];
+    for (let i = 0; i < segments; i++) {
+        const brg = 2 * Math.PI * i / segments;
+        const lat2 = Math.asin(Math.sin(lat1) * Math.cos(d) + Math.cos(lat1) * Math.sin(d) * Math.cos(brg));
+        const lng2 = lng1 + Math.atan2(
+            Math.sin(brg) * Math.sin(d) * Math.cos(lat1),
+            Math.cos(d) - Math.sin(lat1) * Math.sin(lat2)
+        );
+        ring.push(L.latLng(lat2 * 180 / Math.PI, lng2 * 180 / Math.PI));
+    }
+    return ring;
 }
 
-function normalizePlaceName(name) {
-    return String(name || '')
-        .trim()
-        .toLowerCase()
-        .replace(/\s+/g, ' ');
+/**
+ * Open ring of L.LatLng for the lat/lng rectangle spanned by two corners.
+ */
+function rectangleRing(a, b) {
+    return [
+        L.latLng(a.lat, a.lng),
+        L.latLng(a.lat, b.lng),
+        L.latLng(b.lat, b.lng),
+        L.latLng(b.lat, a.lng)
+    ];
 }
 
-function normalizeFilterToken(token) {
+/**
+ * Switch drawing mode to a circle or rectangle drag.  Outside drawing mode
+ * this enters it first (replacing the current shapes on close, like Draw).
+ */
+function startPresetShapeTool(tool) {
+    closeShapeToolsMenu();
+    if (isSearching) return;
+    if (!isDrawingMode) {
+        enableDrawingMode();
+        if (!isDrawingMode) return;
+    }
+    drawingGesture = tool;
+    updateStatus({
+        circle: 'Circle - Drag from the center outwards',
+        rectangle: 'Rectangle - Drag from one corner to the opposite corner',
+        route: `Route - Drag along your path (${routeCorridorWidthM} m wide corridor)`
+    }[tool]);
+}
+
+function _updatePresetGesture(point) {
+    if (!_presetAnchor) return;
+    if (drawingGesture === 'circle') {
+        const radius = _presetAnchor.distanceTo(point);
+        drawingPoints = circleRing(_presetAnchor, radius);
+        _presetCircle = {
+            center: { latitude: _presetAnchor.lat, longitude: _presetAnchor.lng },
+            radius: radius
+        };
+        updateStatus(`Circle - ${Math.round(radius)} m radius`);
+    } else {
+        drawingPoints = rectangleRing(_presetAnchor, point);
+    }
+    if (tempPolyline) tempPolyline.setLatLngs([...drawingPoints, drawingPoints[0]]);
+}
+
+/**
+ * Where the radius tool centres its circle: the search pin, else the
+ * user's GPS location.  Returns { coords: [lat, lng], label } or null.
+ */
+function getRadiusToolAnchor() {
+    if (searchPinCoords) return { coords: searchPinCoords, label: 'around search pin' };
+    if (window._userLatLng) return { coords: window._userLatLng, label: 'around your location' };
+    return null;
+}
+
+/**
+ * Create a circle of `radiusM` metres around the radius-tool anchor.
+ */
+function applyRadiusTool(radiusM) {
+    closeShapeToolsMenu();
+    if (isSearching) return;
+
+    const anchor = getRadiusToolAnchor();
+    if (!anchor) {
+        showNotification('Search an address or share your location first', 'error');
+        return;
+    }
+    if (!(radiusM > 0)) {
+        showNotification('Enter a radius in metres', 'error');
+        return;
+    }
+
+    const center = L.latLng(anchor.coords[0], anchor.coords[1]);
+    const ring = circleRing(center, radiusM);
+    const closedRing = ring.map(ll => [ll.lat, ll.lng]);
+    closedRing.push([...closedRing[0]]);
+    const check = _searchGuard.validateSearchArea(closedRing);
+    if (!check.ok) {
+        showNotification(check.reason, 'error');
+        return;
+    }
+
+    drawingPoints = ring;
+    drawingGesture = 'circle';
+    _presetCircle = {
+        center: { latitude: center.lat, longitude: center.lng },
+        radius: radiusM
+    };
+    closeFreehandPolygon();
+}
+
+function openShapeToolsMenu() {
+    const menu = document.getElementById('shape-tools-menu');
+    const btn = document.getElementById('shape-tools-btn');
+    if (!menu) return;
+    const anchor = getRadiusToolAnchor();
+    const anchorLabel = document.getElementById('radius-tool-anchor');
+    if (anchorLabel) anchorLabel.textContent = anchor ? anchor.label : 'needs a search pin or location';
+    const goBtn = document.getElementById('radius-tool-go');
+    if (goBtn) goBtn.disabled = !anchor;
+    const isoAnchorLabel = document.getElementById('isochrone-anchor');
+    if (isoAnchorLabel) isoAnchorLabel.textContent = anchor ? 'from ' + anchor.label.replace(/^around /, '') : 'needs a search pin or location';
+    const isoGoBtn = document.getElementById('isochrone-go');
+    if (isoGoBtn) isoGoBtn.disabled = !anchor;
+    closeCategoryPicker();
+    menu.classList.remove('hidden');
+    if (btn) btn.setAttribute('aria-expanded', 'true');
+}
+
+function closeShapeToolsMenu() {
+    const menu = document.getElementById('shape-tools-menu');
+    const btn = document.getElementById('shape-tools-btn');
+    if (menu) menu.classList.add('hidden');
+    if (btn) btn.setAttribute('aria-expanded', 'false');
+}
+
+function setupShapeTools() {
+    const btn = document.getElementById('shape-tools-btn');
+    const menu = document.getElementById('shape-tools-menu');
+    if (!btn || !menu) return;
+
+    btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        if (menu.classList.contains('hidden')) openShapeToolsMenu();
+        else closeShapeToolsMenu();
+    });
+    menu.addEventListener('click', (e) => e.stopPropagation());
+    document.addEventListener('click', closeShapeToolsMenu);
+
+    menu.querySelectorAll('.shape-tool-item[data-tool]').forEach(item => {
+        item.addEventListener('click', () => startPresetShapeTool(item.dataset.tool));
+    });
+
+    const routeInput = document.getElementById('route-width-input');
+    const routeGoBtn = document.getElementById('route-draw-btn');
+    const routeGo = () => {
+        const width = parseFloat(routeInput.value);
+        if (!(width >= ROUTE_MIN_WIDTH_M && width <= ROUTE_MAX_WIDTH_M)) {
+            showNotification(`Corridor width must be ${ROUTE_MIN_WIDTH_M}–${ROUTE_MAX_WIDTH_M} m`, 'error');
+            return;
+        }
+        routeCorridorWidthM = width;
+        startPresetShapeTool('route');
+    };
+    if (routeInput) routeInput.value = routeCorridorWidthM;
+    if (routeGoBtn) routeGoBtn.addEventListener('click', routeGo);
+    if (routeInput) {
+        routeInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') routeGo();
+        });
+    }
+
+    const isoInput = document.getElementById('isochrone-minutes-input');
+    const isoGoBtn = document.getElementById('isochrone-go');
+    const isoGo = () => applyIsochroneTool(parseFloat(isoInput.value));
+    if (isoGoBtn) isoGoBtn.addEventListener('click', isoGo);
+    if (isoInput) {
+        isoInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') isoGo();
+        });
+    }
+
+    const radiusInput = document.getElementById('radius-tool-input');
+    const goBtn = document.getElementById('radius-tool-go');
+    if (radiusInput && !radiusInput.value) radiusInput.value = RADIUS_TOOL_DEFAULT_M;
+    const go = () => applyRadiusTool(parseFloat(radiusInput.value));
+    if (goBtn) goBtn.addEventListener('click', go);
+    if (radiusInput) {
+        radiusInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') go();
+        });
+    }
+}
+
+// =============================================================================
+// Route Corridor ("places along my path")
+// =============================================================================
+//
+// The route tool draws an open line with the freehand handlers; on release
+// closeFreehandPolygon buffers it into a corridor polygon.  The centreline is
+// kept on the shape so results can be ordered by position along the route.
+
+const ROUTE_MIN_WIDTH_M = 20;
+const ROUTE_MAX_WIDTH_M = 1000;
+const ROUTE_CAP_SEGMENTS = 8;        // vertices per half-circle end cap
+const ROUTE_MIN_LOOP_AREA_M2 = 100;  // smaller loops from splitting the outline are slivers
+
+let routeCorridorWidthM = 200;       // full corridor width chosen in the shape tools menu
+
+/**
+ * Douglas–Peucker on a freehand line in screen pixels at `zoom` (same
+ * tolerance as closed lassos).  Returns [lat, lng] points.
+ */
+function simplifyFreehandLine(latLngs, zoom) {
+    const projected = latLngs.map(ll => map.project(ll, zoom));
+    return L.LineUtil.simplify(projected, FREEHAND_SIMPLIFY_TOLERANCE_PX)
+        .map(p => map.unproject(p, zoom))
+        .map(ll => [ll.lat, ll.lng]);
+}
+
+/**
+ * Buffer a [lat, lng] polyline by `halfWidthM` on each side (mitred joins,
+ * round caps).  A route that crosses itself gives a self-intersecting
+ * outline, which is split into simple loops and rebuilt as the corridor's
+ * union: loops wound like the corridor are its pieces (minus the overlaps
+ * where it crosses itself), reversed loops away from the centreline are
+ * areas the route encircles and become holes, and reversed loops close to
+ * it are mitre artefacts from tight turns.
+ *
+ * @returns {Array<Array<Array<[number, number]>>>|null} polygons as
+ *          [outer, ...holes] open [lat, lng] rings, largest first; null
+ *          for a degenerate line
+ */
+function bufferPolyline(line, halfWidthM) {
+    const proj = _localProjection(line[0]);
+    const pts = line.map(p => proj.toXY(p[0], p[1]))
+        .filter((p, i, arr) => i === 0 || Math.hypot(p.x - arr[i - 1].x, p.y - arr[i - 1].y) > 0.5);
+    if (pts.length < 2) return null;
+
+    const normals = [];
+    for (let i = 0; i < pts.length - 1; i++) {
+        const dx = pts[i + 1].x - pts[i].x, dy = pts[i + 1].y - pts[i].y;
+        const len = Math.hypot(dx, dy);
+        normals.push({ x: -dy / len, y: dx / len });   // left-hand normal
+    }
+
+    // Offset vertex i to the `side` (+1 left, -1 right) with a mitre join
+    const offsetAt = (i, side) => {
+        const n1 = normals[Math.max(0, i - 1)];
+        const n2 = normals[Math.min(normals.length - 1, i)];
+        let mx = n1.x + n2.x, my = n1.y + n2.y;
+        const mLen = Math.hypot(mx, my) || 1;
+        mx /= mLen; my /= mLen;
+        // Mitre length 1/cos(θ/2), capped so sharp turns don't spike
+        const cosHalf = Math.max(0.5, mx * n2.x + my * n2.y);
+        const d = side * halfWidthM / cosHalf;
+        return { x: pts[i].x + mx * d, y: pts[i].y + my * d };
+    };
+
+    // Half circle around `p`, starting on `fromNormal` and sweeping clockwise
+    const cap = (p, fromNormal) => {
+        const start = Math.atan2(fromNormal.y, fromNormal.x);
+        const arc = [];
+        for (let k = 1; k < ROUTE_CAP_SEGMENTS; k++) {
+            const a = start - Math.PI * k / ROUTE_CAP_SEGMENTS;
+            arc.push({ x: p.x + Math.cos(a) * halfWidthM, y: p.y + Math.sin(a) * halfWidthM });
+        }
+        return arc;
+    };
+
+    const last = pts.length - 1;
+    const ring = [];
+    for (let i = 0; i <= last; i++) ring.push(offsetAt(i, 1));
+    ring.push(...cap(pts[last], normals[normals.length - 1]));
+    for (let i = last; i >= 0; i--) ring.push(offsetAt(i, -1));
+    const startNormal = normals[0];
+    ring.push(...cap(pts[0], { x: -startNormal.x, y: -startNormal.y }));
+
+    const loops = _splitSelfIntersectingRing(ring)
+        .filter(r => r.length >= 3)
+        .map(r => ({ ring: r, area2: _ringArea2(r) }))
+        .filter(l => Math.abs(l.area2) / 2 >= ROUTE_MIN_LOOP_AREA_M2)
+        .sort((a, b) => Math.abs(b.area2) - Math.abs(a.area2));
+    if (loops.length === 0) return null;
+
+    const sign = Math.sign(loops[0].area2);
+    const inside = (p, r) => pointInPolygon([p.y, p.x], r.map(q => [q.y, q.x]));
+    const fromLine = (p) => {
+        let d = Infinity;
+        for (let i = 0; i < pts.length - 1; i++) d = Math.min(d, _pointSegmentDistance(p, pts[i], pts[i + 1]));
+        return d;
+    };
+
+    const pieces = [];
+    for (const loop of loops.filter(l => Math.sign(l.area2) === sign)) {
+        // Where the route crosses itself the overlap is wound twice: it is
+        // its own loop, nested inside a piece that was already kept
+        const probe = _ringInteriorPoints(loop.ring, sign)[0];
+        if (pieces.some(piece => inside(probe, piece.outer))) continue;
+        pieces.push({ outer: loop.ring, holes: [] });
+    }
+    for (const loop of loops.filter(l => Math.sign(l.area2) !== sign)) {
+        const probes = _ringInteriorPoints(loop.ring, -sign).filter(p => inside(p, loop.ring));
+        const deepest = probes.reduce((best, p) => (fromLine(p) > fromLine(best) ? p : best), probes[0]);
+        if (!deepest || fromLine(deepest) <= halfWidthM + 1) continue;
+        const piece = pieces.find(pc => inside(deepest, pc.outer));
+        if (piece) piece.holes.push(loop.ring);
+    }
+
+    const toLatLngRing = r => r.map(p => proj.toLatLng(p));
+    return pieces.map(piece => [toLatLngRing(piece.outer), ...piece.holes.map(toLatLngRing)]);
+}
+
+/**
+ * Candidate interior points of a simple open ring of {x, y} points wound
+ * with `sign` (+1 counter-clockwise): each edge midpoint nudged 0.1 m
+ * inwards, longest edge first, then the area centroid.
+ */
+function _ringInteriorPoints(ring, sign) {
+    const n = ring.length;
+    const edges = ring.map((a, i) => ({ a, b: ring[(i + 1) % n] }))
+        .map(e => ({ ...e, len: Math.hypot(e.b.x - e.a.x, e.b.y - e.a.y) }))
+        .filter(e => e.len > 0)
+        .sort((e1, e2) => e2.len - e1.len);
+    const points = edges.map(({ a, b, len }) => ({
+        x: (a.x + b.x) / 2 - sign * 0.1 * (b.y - a.y) / len,
+        y: (a.y + b.y) / 2 + sign * 0.1 * (b.x - a.x) / len
+    }));
+
+    let area2 = 0, cx = 0, cy = 0;
+    for (let i = 0; i < n; i++) {
+        const p = ring[i], q = ring[(i + 1) % n];
+        const cross = p.x * q.y - q.x * p.y;
+        area2 += cross;
+        cx += (p.x + q.x) * cross;
+        cy += (p.y + q.y) * cross;
+    }
+    if (area2 !== 0) points.push({ x: cx / (3 * area2), y: cy / (3 * area2) });
+    return points;
+}
+
+/**
+ * Distance (m) along `line` ([lat, lng] points) to the point on the line
+ * nearest `point`.
+ */
+function positionAlongLine(point, line) {
+    const proj = _localProjection(line[0]);
+    const p = proj.toXY(point[0], point[1]);
+    let bestDist = Infinity, bestPos = 0, walked = 0;
+    for (let i = 0; i < line.length - 1; i++) {
+        const a = proj.toXY(line[i][0], line[i][1]);
+        const b = proj.toXY(line[i + 1][0], line[i + 1][1]);
+        const dx = b.x - a.x, dy = b.y - a.y;
+        const lenSq = dx * dx + dy * dy;
+        const len = Math.sqrt(lenSq);
+        const t = lenSq ? Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lenSq)) : 0;
+        const d = Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+        if (d < bestDist) {
+            bestDist = d;
+            bestPos = walked + t * len;
+        }
+        walked += len;
+    }
+    return bestPos;
+}
+
+// =============================================================================
+// Walking Isochrone (reachable area from OSM road data)
+// =============================================================================
+//
+// "Everything within a 10-minute walk": fetch walkable ways around the anchor
+// from Overpass, run Dijkstra over the road graph, collect every reachable
+// node (plus the partial reach along edges leaving the budget), wrap them in
+// a concave hull and buffer it slightly so buildings set back from the street
+// are included.  The geometry steps are pure — computeWalkIsochrone() takes
+// the raw Overpass JSON, so a saved extract can be run offline — and only
+// applyIsochroneTool() touches the network and the map.
+
+const WALK_SPEED_MPS = 1.33;            // ≈ 4.8 km/h
+const ISOCHRONE_MAX_MINUTES = 30;       // keeps the area well inside _searchGuard limits
+const ISOCHRONE_GRID_M = 20;            // reachable points are thinned to one per grid cell
+const ISOCHRONE_HULL_CONCAVITY = 2;     // lower = tighter hull (edge length / dig depth)
+const ISOCHRONE_HULL_MIN_EDGE_M = 60;   // don't dig into edges shorter than this
+const ISOCHRONE_BUFFER_M = 25;          // outward buffer so street-set-back places are kept
+const ISOCHRONE_MAX_SNAP_M = 300;       // anchor must be this close to a walkable way
+const ISOCHRONE_MAX_HULL_POINTS = 1500; // concaveHull is O(n²) and runs on the main thread
+const WALKABLE_HIGHWAY_RE = /^(footway|path|pedestrian|living_street|residential|service|unclassified|tertiary|tertiary_link|secondary|secondary_link|primary|primary_link|steps|track|cycleway|crossing|corridor)$/;
+
+/**
+ * Overpass QL for walkable ways within `radiusM` of [lat, lng].
+ */
+function buildWalkNetworkQuery(center, radiusM) {
+    const [lat, lng] = center;
+    const r = Math.round(radiusM);
+    return `[out:json][timeout:25];` +
+        `way["highway"~"${WALKABLE_HIGHWAY_RE.source}"](around:${r},${lat},${lng});` +
+        `out body;>;out skel qt;`;
+}
+
+/**
+ * Fetch the raw Overpass extract for the walk network around `center`.
+ * `fetchImpl` is injectable so a recorded response can stand in for the API.
+ */
+async function fetchWalkNetwork(center, radiusM, fetchImpl = fetch) {
+    const response = await fetchImpl(OVERPASS_URL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: `data=${encodeURIComponent(buildWalkNetworkQuery(center, radiusM))}`
+    });
+    if (!response.ok) throw new Error(`Overpass error ${response.status}`);
+    return response.json();
+}
+
+/**
+ * Local equirectangular projection around `origin` ([lat, lng]) in metres.
+ * Accurate to well under 1% over walking distances.
+ */
+function _localProjection(origin) {
+    const mPerDeg = 6371e3 * Math.PI / 180;
+    const kx = mPerDeg * Math.cos(origin[0] * Math.PI / 180);
+    return {
+        toXY: (lat, lng) => ({ x: (lng - origin[1]) * kx, y: (lat - origin[0]) * mPerDeg }),
+        toLatLng: (p) => [origin[0] + p.y / mPerDeg, origin[1] + p.x / kx]
+    };
+}
+
+/**
+ * Undirected pedestrian graph from an Overpass JSON extract.
+ * Returns { coords: Map<id, {x, y}>, adj: Map<id, Array<{ to, w }>> } with
+ * edge weights in metres (oneway tags are ignored — pedestrians walk both ways).
+ */
+function buildWalkGraph(osmJson, proj) {
+    const nodeLatLng = new Map();
+    for (const el of osmJson.elements || []) {
+        if (el.type === 'node') nodeLatLng.set(el.id, [el.lat, el.lon]);
+    }
+
+    const coords = new Map();
+    const adj = new Map();
+    const dist = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+    const ensure = (id) => {
+        if (!coords.has(id)) {
+            const ll = nodeLatLng.get(id);
+            coords.set(id, proj.toXY(ll[0], ll[1]));
+            adj.set(id, []);
+        }
+    };
+
+    for (const el of osmJson.elements || []) {
+        if (el.type !== 'way' || !Array.isArray(el.nodes)) continue;
+        const tags = el.tags || {};
+        if (!WALKABLE_HIGHWAY_RE.test(tags.highway || '')) continue;
+        if (tags.foot === 'no' || tags.access === 'no' || tags.access === 'private') continue;
+
+        for (let i = 0; i < el.nodes.length - 1; i++) {
+            const a = el.nodes[i], b = el.nodes[i + 1];
+            if (!nodeLatLng.has(a) || !nodeLatLng.has(b)) continue;
+            ensure(a);
+            ensure(b);
+            const w = dist(coords.get(a), coords.get(b));
+            adj.get(a).push({ to: b, w });
+            adj.get(b).push({ to: a, w });
+        }
+    }
+
+    return { coords, adj };
+}
+
+/**
+ * Dijkstra from `source`, stopping at `maxCost`.  Returns Map<id, cost>.
+ */
+function dijkstraWithin(graph, source, maxCost) {
+    const best = new Map([[source, 0]]);
+    const heap = [[0, source]];
+
+    const push = (item) => {
+        heap.push(item);
+        let i = heap.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (heap[parent][0] <= heap[i][0]) break;
+            [heap[parent], heap[i]] = [heap[i], heap[parent]];
+            i = parent;
+        }
+    };
+    const pop = () => {
+        const top = heap[0];
+        const last = heap.pop();
+        if (heap.length > 0) {
+            heap[0] = last;
+            let i = 0;
+            for (;;) {
+                const l = 2 * i + 1, r = l + 1;
+                let m = i;
+                if (l < heap.length && heap[l][0] < heap[m][0]) m = l;
+                if (r < heap.length && heap[r][0] < heap[m][0]) m = r;
+                if (m === i) break;
+                [heap[m], heap[i]] = [heap[i], heap[m]];
+                i = m;
+            }
+        }
+        return top;
+    };
+
+    while (heap.length > 0) {
+        const [cost, id] = pop();
+        if (cost > best.get(id)) continue;   // stale heap entry
+        for (const { to, w } of graph.adj.get(id) || []) {
+            const next = cost + w;
+            if (next > maxCost) continue;
+            if (!best.has(to) || next < best.get(to)) {
+                best.set(to, next);
+                push([next, to]);
+            }
+        }
+    }
+    return best;
+}
+
+/**
+ * Reachable {x, y} points: every reached node plus, for each edge that
+ * leaves the budget, the point where the budget runs out.  Thinned to one
+ * point per ISOCHRONE_GRID_M cell.
+ */
+function collectReachablePoints(graph, reached, maxCost) {
+    const cells = new Map();
+    const add = (p) => {
+        const key = Math.round(p.x / ISOCHRONE_GRID_M) + ',' + Math.round(p.y / ISOCHRONE_GRID_M);
+        if (!cells.has(key)) cells.set(key, p);
+    };
+
+    for (const [id, cost] of reached) {
+        const p = graph.coords.get(id);
+        add(p);
+        for (const { to, w } of graph.adj.get(id)) {
+            if (reached.has(to) || w === 0) continue;
+            const t = (maxCost - cost) / w;
+            const q = graph.coords.get(to);
+            add({ x: p.x + (q.x - p.x) * t, y: p.y + (q.y - p.y) * t });
+        }
+    }
+    return Array.from(cells.values());
+}
+
+/**
+ * Thin reachable points to at most `maxPoints` before concaveHull by
+ * doubling the grid cell until few enough remain.  Convex hull vertices
+ * are always kept, so the outline still reaches the furthest points.
+ */
+function thinHullPoints(points, maxPoints = ISOCHRONE_MAX_HULL_POINTS) {
+    if (points.length <= maxPoints) return points;
+    const extremes = convexHull(points);
+    for (let cell = ISOCHRONE_GRID_M * 2; ; cell *= 2) {
+        const cells = new Map();
+        for (const p of points) {
+            const key = Math.round(p.x / cell) + ',' + Math.round(p.y / cell);
+            if (!cells.has(key)) cells.set(key, p);
+        }
+        if (cells.size + extremes.length <= maxPoints || cells.size === 1) {
+            return Array.from(new Set([...extremes, ...cells.values()]));
+        }
+    }
+}
+
+/**
+ * Convex hull (monotone chain), counter-clockwise.
+ */
+function convexHull(points) {
+    const pts = points.slice().sort((a, b) => a.x - b.x || a.y - b.y);
+    if (pts.length < 3) return pts;
+    const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+    const lower = [];
+    for (const p of pts) {
+        while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], p) <= 0) lower.pop();
+        lower.push(p);
+    }
+    const upper = [];
+    for (let i = pts.length - 1; i >= 0; i--) {
+        const p = pts[i];
+        while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], p) <= 0) upper.pop();
+        upper.push(p);
+    }
+    lower.pop();
+    upper.pop();
+    return lower.concat(upper);
+}
+
+function _pointSegmentDistance(p, a, b) {
+    const dx = b.x - a.x, dy = b.y - a.y;
+    const lenSq = dx * dx + dy * dy;
+    let t = lenSq ? ((p.x - a.x) * dx + (p.y - a.y) * dy) / lenSq : 0;
+    t = Math.max(0, Math.min(1, t));
+    return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+}
+
+/**
+ * Concave hull by edge digging (Park & Oh): start from the convex hull and
+ * repeatedly replace a long edge a→b by a→p→b, where p is the nearest inner
+ * point to that edge, while edge length / distance to p exceeds `concavity`
+ * and the new edges don't cross the hull.
+ */
+function concaveHull(points, concavity = ISOCHRONE_HULL_CONCAVITY, minEdge = ISOCHRONE_HULL_MIN_EDGE_M) {
+    const hull = convexHull(points);
+    if (hull.length < 3) return hull;
+
+    const used = new Set(hull);
+    const inner = points.filter(p => !used.has(p));
+
+    const crossesHull = (a, b, skipIndex) => {
+        for (let j = 0; j < hull.length; j++) {
+            if (j === skipIndex) continue;
+            if (_segmentIntersection(a, b, hull[j], hull[(j + 1) % hull.length])) return true;
+        }
+        return false;
+    };
+
+    let i = 0;
+    let guard = points.length * 2;
+    while (i < hull.length && guard-- > 0) {
+        const n = hull.length;
+        const a = hull[i], b = hull[(i + 1) % n];
+        const len = Math.hypot(b.x - a.x, b.y - a.y);
+        if (len <= minEdge) { i++; continue; }
+
+        const prev = hull[(i + n - 1) % n];
+        const next = hull[(i + 2) % n];
+        let best = null, bestD = Infinity;
+        for (const p of inner) {
+            if (used.has(p)) continue;
+            const d = _pointSegmentDistance(p, a, b);
+            if (d >= bestD) continue;
+            // p must belong to this edge, not a neighbouring one
+            if (_pointSegmentDistance(p, prev, a) < d || _pointSegmentDistance(p, b, next) < d) continue;
+            best = p;
+            bestD = d;
+        }
+
+        if (best && bestD > 0 && len / bestD > concavity &&
+            !crossesHull(a, best, i) && !crossesHull(best, b, i)) {
+            hull.splice(i + 1, 0, best);
+            used.add(best);
+            continue;   // re-examine the new edge a→best
+        }
+        i++;
+    }
+    return hull;
+}
+
+/**
+ * Push every vertex of a counter-clockwise ring outwards by `distance`
+ * along its bisector normal, then drop any self-intersection the offset
+ * produced in tight concave corners (keeping the largest loop).
+ */
+function _bufferRing(ring, distance) {
+    const n = ring.length;
+    const normal = (a, b) => {
+        const len = Math.hypot(b.x - a.x, b.y - a.y) || 1;
+        return { x: (b.y - a.y) / len, y: -(b.x - a.x) / len };
+    };
+    const out = ring.map((p, i) => {
+        const n1 = normal(ring[(i + n - 1) % n], p);
+        const n2 = normal(p, ring[(i + 1) % n]);
+        let nx = n1.x + n2.x, ny = n1.y + n2.y;
+        const len = Math.hypot(nx, ny) || 1;
+        nx /= len; ny /= len;
+        return { x: p.x + nx * distance, y: p.y + ny * distance };
+    });
+    const loops = _splitSelfIntersectingRing(out)
+        .filter(r => r.length >= 3)
+        .sort((a, b) => Math.abs(_ringArea2(b)) - Math.abs(_ringArea2(a)));
+    return loops[0] || out;
+}
+
+/**
+ * Walking isochrone polygon — pure: no network, no map.
+ *
+ * @param {Object} osmJson   — Overpass JSON (ways with tags + their nodes)
+ * @param {[number, number]} center — [lat, lng] start point
+ * @param {number} minutes   — walking time budget
+ * @returns {Array<[number, number]>|null} open [lat, lng] ring, or null when
+ *          the start isn't near any walkable way / too little is reachable
+ */
+function computeWalkIsochrone(osmJson, center, minutes) {
+    const proj = _localProjection(center);
+    const graph = buildWalkGraph(osmJson, proj);
+    if (graph.coords.size === 0) return null;
+
+    // Snap the start to the nearest graph node
+    const origin = { x: 0, y: 0 };
+    let startId = null, startDist = Infinity;
+    for (const [id, p] of graph.coords) {
+        const d = Math.hypot(p.x - origin.x, p.y - origin.y);
+        if (d < startDist) { startDist = d; startId = id; }
+    }
+    if (startDist > ISOCHRONE_MAX_SNAP_M) return null;
+
+    // Walking from the anchor to the snapped node uses part of the budget
+    const budget = minutes * 60 * WALK_SPEED_MPS - startDist;
+    if (budget <= 0) return null;
+
+    const reached = dijkstraWithin(graph, startId, budget);
+    const points = collectReachablePoints(graph, reached, budget);
+    points.push(origin);
+    if (points.length < 3) return null;
+
+    const hull = concaveHull(thinHullPoints(points));
+    if (hull.length < 3) return null;
+
+    return _bufferRing(hull, ISOCHRONE_BUFFER_M).map(p => proj.toLatLng(p));
+}
+
+/**
+ * Build a walking-time area around the radius-tool anchor (search pin or
+ * user location) and install it as the search shape.
+ */
+async function applyIsochroneTool(minutes, fetchImpl = fetch) {
+    closeShapeToolsMenu();
+    if (isSearching) return;
+
+    const anchor = getRadiusToolAnchor();
+    if (!anchor) {
+        showNotification('Search an address or share your location first', 'error');
+        return;
+    }
+    if (!(minutes > 0) || minutes > ISOCHRONE_MAX_MINUTES) {
+        showNotification(`Enter a walking time of 1–${ISOCHRONE_MAX_MINUTES} minutes`, 'error');
+        return;
+    }
+
+    const epoch = _clearEpoch;
+    updateStatus(`Building ${minutes}-minute walking area...`, true);
+    showLoading(true, 'Loading street network...');
+
+    let ring;
+    try {
+        const reachM = minutes * 60 * WALK_SPEED_MPS;
+        const osmJson = await fetchWalkNetwork(anchor.coords, reachM * 1.05, fetchImpl);
+        ring = computeWalkIsochrone(osmJson, anchor.coords, minutes);
+    } catch (err) {
+        console.error('[Isochrone] Failed:', err);
+        showNotification('Could not load street data. Please try again.', 'error');
+        updateStatus('Ready');
+        return;
+    } finally {
+        showLoading(false);
+    }
+
+    // Cleared (or a new shape drawn) while the network was loading
+    if (_clearEpoch !== epoch) return;
+
+    if (!ring) {
+        showNotification('No walkable streets found near that point', 'error');
+        updateStatus('Ready');
+        return;
+    }
+
+    const closedRing = ring.concat([ring[0]]);
+    const check = _searchGuard.validateSearchArea(closedRing);
+    if (!check.ok) {
+        showNotification(check.reason, 'error');
+        updateStatus('Ready');
+        return;
+    }
+
+    console.log(`[Isochrone] ${minutes} min walk → ${ring.length}-vertex polygon`);
+    drawingPoints = ring.map(p => L.latLng(p[0], p[1]));
+    drawingGesture = 'isochrone';
+    closeFreehandPolygon();
+}
+
+// =============================================================================
+// Search Area Import (GeoJSON / KML)
+// =============================================================================
+//
+// Neighbourhood boundaries kept as files can be loaded from the shape tools
+// menu or dropped onto the map.  Every Polygon / MultiPolygon part becomes a
+// search shape (inner rings become exclusion holes) and goes through the same
+// _searchGuard checks as a drawn shape.
+
+const AREA_IMPORT_MAX_BYTES = 5 * 1024 * 1024;
+
+/**
+ * Normalise a [lat, lng] ring: drop consecutive duplicates and close it.
+ * Returns null when fewer than 3 distinct vertices remain.
+ */
+function _normalizeImportedRing(ring) {
+    const pts = [];
+    for (const p of ring) {
+        if (!Array.isArray(p) || !isFinite(p[0]) || !isFinite(p[1])) return null;
+        if (Math.abs(p[0]) > 90 || Math.abs(p[1]) > 180) return null;
+        const prev = pts[pts.length - 1];
+        if (!prev || prev[0] !== p[0] || prev[1] !== p[1]) pts.push([p[0], p[1]]);
+    }
+    if (pts.length > 1 && pts[0][0] === pts[pts.length - 1][0] && pts[0][1] === pts[pts.length - 1][1]) {
+        pts.pop();
+    }
+    if (pts.length < 3) return null;
+    pts.push([...pts[0]]);
+    return pts;
+}
+
+/**
+ * Polygon parts of a GeoJSON object (FeatureCollection, Feature, geometry or
+ * GeometryCollection) as { points, holes } with closed [lat, lng] rings.
+ * Non-polygon geometries are ignored.
+ */
+function parseGeoJsonAreas(geojson) {
+    const areas = [];
+    const addPolygon = (coords) => {
+        if (!Array.isArray(coords) || coords.length === 0) return;
+        // GeoJSON positions are [lng, lat(, alt)]
+        const rings = coords.map(ring => Array.isArray(ring)
+            ? _normalizeImportedRing(ring.map(pos => [pos[1], pos[0]]))
+            : null);
+        if (!rings[0]) return;
+        areas.push({ points: rings[0], holes: rings.slice(1).filter(Boolean) });
+    };
+    const visit = (obj) => {
+        if (!obj || typeof obj !== 'object') return;
+        switch (obj.type) {
+            case 'FeatureCollection': (obj.features || []).forEach(visit); break;
+            case 'Feature': visit(obj.geometry); break;
+            case 'GeometryCollection': (obj.geometries || []).forEach(visit); break;
+            case 'Polygon': addPolygon(obj.coordinates); break;
+            case 'MultiPolygon': (obj.coordinates || []).forEach(addPolygon); break;
+        }
+    };
+    visit(geojson);
+    return areas;
+}
+
+/**
+ * Polygon parts of a KML document (every <Polygon>, including those inside
+ * <MultiGeometry>) as { points, holes } with closed [lat, lng] rings.
+ * Elements match by local name, so prefixed ones (<kml:Polygon>) count too.
+ * Throws when the text isn't well-formed XML.
+ */
+function parseKmlAreas(kmlText) {
+    const doc = new DOMParser().parseFromString(kmlText, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+        throw new Error('Invalid KML');
+    }
+    const byName = (el, name) => Array.from(el.getElementsByTagNameNS('*', name));
+    // KML coordinates are whitespace-separated "lng,lat[,alt]" tuples
+    const readRing = (boundary) => {
+        const coordsEl = boundary && byName(boundary, 'coordinates')[0];
+        if (!coordsEl) return null;
+        const ring = coordsEl.textContent.trim().split(/\s+/).map(tuple => {
+            const [lng, lat] = tuple.split(',').map(Number);
+            return [lat, lng];
+        });
+        return _normalizeImportedRing(ring);
+    };
+    const areas = [];
+    for (const polygon of byName(doc, 'Polygon')) {
+        const outer = readRing(byName(polygon, 'outerBoundaryIs')[0]);
+        if (!outer) continue;
+        const holes = byName(polygon, 'innerBoundaryIs')
+            .map(readRing)
+            .filter(Boolean);
+        areas.push({ points: outer, holes });
+    }
+    return areas;
+}
+
+/**
+ * Parse an area file's text as KML or GeoJSON (by extension, falling back
+ * to sniffing the content).  Throws on unreadable files.
+ */
+function parseAreaFile(fileName, text) {
+    const isKml = /\.kml$/i.test(fileName) || /^\s*</.test(text);
+    return isKml ? parseKmlAreas(text) : parseGeoJsonAreas(JSON.parse(text));
+}
+
+/**
+ * Read `file` and install its polygons as the search area.
+ */
+async function importSearchAreaFile(file) {
+    closeShapeToolsMenu();
+    if (!file || isSearching) return;
+    if (file.size > AREA_IMPORT_MAX_BYTES) {
+        showNotification('File too large (max 5 MB)', 'error');
+        return;
+    }
+
+    let areas;
+    try {
+        areas = parseAreaFile(file.name, await file.text());
+    } catch (err) {
+        console.error('[Import] Failed to parse', file.name, err);
+        showNotification('Could not read that file — use GeoJSON or KML', 'error');
+        return;
+    }
+    console.log(`[Import] ${file.name}: ${areas.length} polygon part(s)`);
+    installSearchAreas(areas, `Imported ${areas.length} area${areas.length === 1 ? '' : 's'} from ${file.name}`);
+}
+
+/**
+ * Replace the current search shape(s) with { points, holes } areas (closed
+ * [lat, lng] rings) and fit the map to them.  Used by file import and the
+ * saved areas library.  Returns false (with a notification) when the areas
+ * fail _searchGuard, exceed the shape limit, or have holes that an
+ * exclusion drawn by hand couldn't have (see addExclusionHole).
+ */
+function installSearchAreas(areas, statusText) {
+    if (areas.length === 0) {
+        showNotification('No polygons found', 'error');
+        return false;
+    }
+    const maxShapes = _searchGuard.getMaxShapes();
+    if (areas.length > maxShapes) {
+        showNotification(`${areas.length} polygons — up to ${maxShapes} per search`, 'error');
+        return false;
+    }
+    for (const area of areas) {
+        const check = _searchGuard.validateSearchArea(area.points, area.holes);
+        const holeProblem = check.ok ? _holesProblem(area.points, area.holes) : null;
+        if (!check.ok || holeProblem) {
+            showNotification(check.ok ? holeProblem : check.reason, 'error');
+            return false;
+        }
+    }
+
+    if (isDrawingMode) disableDrawingMode();
+    removeCurrentPolygon();
+
+    for (const area of areas) {
+        const polygon = createSearchShapePolygon([area.points, ...area.holes]);
+        searchShapes.push({ polygon, points: area.points, holes: area.holes, circle: null });
+    }
+    setActiveShape(searchShapes[0].polygon);
+    isAddingShape = false;
+    updateDrawButtonState();
+    updateZoomFitButtonState();
+    updateShapeToolButtonsState();
+
+    // Same edge-padded fit as after freehand drawing, without the drawing-zoom clamp
+    const { center: fitCenter, zoom: fitZoom } = calculatePolygonFit(
+        getSearchAreaFitLayer(), map, 10 + getMobileHeaderPad(), 10, 10, 10
+    );
+    isAutoFittingPolygon = true;
+    map.flyTo(fitCenter, Math.min(fitZoom, map.getMaxZoom()), { duration: 0.5 });
+    const epochAtImport = _clearEpoch;
+    map.once('moveend', () => {
+        if (_clearEpoch !== epochAtImport) return;
+        isAutoFittingPolygon = false;
+    });
+
+    updateStatus(statusText);
+    showNotification('Area loaded! Click Draw Search to find businesses');
+    return true;
+}
+
+/**
+ * File picker entry in the shape tools menu plus drag-and-drop onto #map.
+ */
+function setupAreaImport() {
+    const input = document.getElementById('area-import-input');
+    const importBtn = document.getElementById('area-import-btn');
+    if (importBtn && input) {
+        importBtn.addEventListener('click', () => input.click());
+        input.addEventListener('change', () => {
+            const file = input.files && input.files[0];
+            input.value = '';   // allow re-importing the same file
+            importSearchAreaFile(file);
+        });
+    }
+
+    const mapEl = document.getElementById('map');
+    if (!mapEl) return;
+    const hasFiles = (e) => e.dataTransfer && Array.from(e.dataTransfer.types || []).includes('Files');
+    let dragDepth = 0;   // dragenter/leave also fire for child elements
+    mapEl.addEventListener('dragenter', (e) => {
+        if (!hasFiles(e)) return;
+        e.preventDefault();
+        dragDepth++;
+        mapEl.classList.add('map-drop-active');
+    });
+    mapEl.addEventListener('dragover', (e) => {
+        if (!hasFiles(e)) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+    });
+    mapEl.addEventListener('dragleave', () => {
+        dragDepth = Math.max(0, dragDepth - 1);
+        if (dragDepth === 0) mapEl.classList.remove('map-drop-active');
+    });
+    mapEl.addEventListener('drop', (e) => {
+        if (!hasFiles(e)) return;
+        e.preventDefault();
+        dragDepth = 0;
+        mapEl.classList.remove('map-drop-active');
+        importSearchAreaFile(e.dataTransfer.files[0]);
+    });
+}
+
+// =============================================================================
+// Saved Areas Library (IndexedDB)
+// =============================================================================
+//
+// Named search areas live in IndexedDB (database "laso", store "savedAreas")
+// rather than localStorage — a handful of detailed neighbourhood polygons can
+// outgrow the ~5 MB localStorage quota.  Records:
+//   { id, name, shapes: [{ points, holes }], createdAt, lastRunAt, lastResultCount }
+// The panel is a second screen inside the settings overlay, like Route Order.
+// The same database also holds search history snapshots (see below).
+
+const LASO_DB_NAME = 'laso';
+const LASO_DB_VERSION = 2;             // v2: searchHistory store
+const SAVED_AREAS_STORE = 'savedAreas';
+const SEARCH_HISTORY_STORE = 'searchHistory';
+
+let _lasoDbPromise = null;
+let _activeSavedArea = null;   // { id, signature } of the last saved area loaded
+
+function _openLasoDb() {
+    if (_lasoDbPromise) return _lasoDbPromise;
+    _lasoDbPromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB unavailable'));
+            return;
+        }
+        const req = indexedDB.open(LASO_DB_NAME, LASO_DB_VERSION);
+        req.onupgradeneeded = () => {
+            const db = req.result;
+            for (const name of [SAVED_AREAS_STORE, SEARCH_HISTORY_STORE]) {
+                if (!db.objectStoreNames.contains(name)) {
+                    db.createObjectStore(name, { keyPath: 'id', autoIncrement: true });
+                }
+            }
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+    // Let a later call retry after a failure (e.g. private mode quirks)
+    _lasoDbPromise.catch(() => { _lasoDbPromise = null; });
+    return _lasoDbPromise;
+}
+
+/**
+ * Run `fn(store)` in a transaction on `storeName` and resolve with the
+ * request's result.
+ */
+async function _lasoDbRequest(storeName, mode, fn) {
+    const db = await _openLasoDb();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, mode);
+        const req = fn(tx.objectStore(storeName));
+        tx.oncomplete = () => resolve(req.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+/**
+ * All saved areas, newest first.
+ */
+async function listSavedAreas() {
+    const areas = await _lasoDbRequest(SAVED_AREAS_STORE, 'readonly', store => store.getAll());
+    return areas.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+function getSavedArea(id) {
+    return _lasoDbRequest(SAVED_AREAS_STORE, 'readonly', store => store.get(id));
+}
+
+/**
+ * Insert or update a record; resolves with its id.
+ */
+function putSavedArea(area) {
+    return _lasoDbRequest(SAVED_AREAS_STORE, 'readwrite', store => store.put(area));
+}
+
+function deleteSavedArea(id) {
+    return _lasoDbRequest(SAVED_AREAS_STORE, 'readwrite', store => store.delete(id));
+}
+
+// Identity of a set of shapes, to tell whether the loaded area was changed
+function _savedAreaSignature(shapes) {
+    return shapes.map(s => [s.points, ...s.holes].map(encodePolyline).join('.')).join('-');
+}
+
+/**
+ * Save the current search shape(s) under `name`.
+ */
+async function saveCurrentArea(name) {
+    const shapes = getSearchShapeGeometry().map(s => ({ points: s.points, holes: s.holes }));
+    if (shapes.length === 0) {
+        showNotification('Draw a shape first, then save it', 'error');
+        return null;
+    }
+    const record = {
+        name: name.trim() || `Area ${new Date().toLocaleDateString()}`,
+        shapes,
+        createdAt: Date.now(),
+        lastRunAt: null,
+        lastResultCount: null
+    };
+    try {
+        record.id = await putSavedArea(record);
+    } catch (err) {
+        console.error('[Saved areas] Save failed:', err);
+        showNotification('Could not save area', 'error');
+        return null;
+    }
+    _activeSavedArea = { id: record.id, signature: _savedAreaSignature(shapes) };
+    console.log(`[Saved areas] Saved "${record.name}" (#${record.id})`);
+    showNotification(`Saved "${record.name}"`);
+    return record;
+}
+
+/**
+ * Install saved area `id` as the search area; with `rerun`, search it too.
+ */
+async function loadSavedArea(id, rerun = false) {
+    if (isSearching) return false;
+    let record;
+    try {
+        record = await getSavedArea(id);
+    } catch (err) {
+        console.error('[Saved areas] Load failed:', err);
+    }
+    if (!record) {
+        showNotification('Saved area not found', 'error');
+        return false;
+    }
+    if (!installSearchAreas(record.shapes, `Loaded "${record.name}"`)) return false;
+    _activeSavedArea = { id: record.id, signature: _savedAreaSignature(record.shapes) };
+    if (rerun) performLasoSearch();
+    return true;
+}
+
+/**
+ * After a search: store the result count on the saved area it ran on, as
+ * long as the shapes weren't changed since loading it.
+ */
+async function recordSavedAreaRun(resultCount) {
+    if (!_activeSavedArea) return;
+    const shapes = getSearchShapeGeometry();
+    if (_savedAreaSignature(shapes) !== _activeSavedArea.signature) {
+        _activeSavedArea = null;
+        return;
+    }
+    try {
+        const record = await getSavedArea(_activeSavedArea.id);
+        if (!record) return;
+        record.lastRunAt = Date.now();
+        record.lastResultCount = resultCount;
+        await putSavedArea(record);
+    } catch (err) {
+        console.warn('[Saved areas] Could not record run:', err);
+    }
+}
+
+function _formatSavedAreaMeta(area) {
+    const created = new Date(area.createdAt).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' });
+    const parts = [`Saved ${created}`];
+    if (area.shapes.length > 1) parts.push(`${area.shapes.length} shapes`);
+    parts.push(area.lastResultCount === null || area.lastResultCount === undefined
+        ? 'not run yet'
+        : `${area.lastResultCount} result${area.lastResultCount === 1 ? '' : 's'} last run`);
+    return parts.join(' · ');
+}
+
+/**
+ * Re-render the saved areas list in the settings overlay.
+ */
+async function renderSavedAreasList() {
+    const list = document.getElementById('saved-areas-list');
+    if (!list) return;
+    const saveBtn = document.getElementById('saved-area-save-btn');
+    if (saveBtn) saveBtn.disabled = searchShapes.length === 0;
+
+    let areas;
+    try {
+        areas = await listSavedAreas();
+    } catch (err) {
+        console.warn('[Saved areas] Unavailable:', err);
+        list.innerHTML = '<p class="saved-areas-empty">Saved areas need browser storage, which is unavailable here.</p>';
+        return;
+    }
+
+    if (areas.length === 0) {
+        list.innerHTML = '<p class="saved-areas-empty">No saved areas yet. Draw a shape, then save it here.</p>';
+        return;
+    }
+
+    list.innerHTML = '';
+    for (const area of areas) {
+        const row = document.createElement('div');
+        row.className = 'saved-area-row';
+        row.dataset.id = area.id;
+        row.innerHTML = `
+            <button class="saved-area-main" type="button" data-action="load" title="Show on map">
+                <span class="saved-area-name"></span>
+                <span class="saved-area-meta"></span>
+            </button>
+            <button class="saved-area-action" type="button" data-action="rerun" title="Search this area" aria-label="Search this area">
+                <i class="fas fa-play"></i>
+            </button>
+            <button class="saved-area-action" type="button" data-action="rename" title="Rename" aria-label="Rename">
+                <i class="fas fa-pen"></i>
+            </button>
+            <button class="saved-area-action saved-area-delete" type="button" data-action="delete" title="Delete" aria-label="Delete">
+                <i class="fas fa-trash-alt"></i>
+            </button>`;
+        // Names are user text — set via textContent, never innerHTML
+        row.querySelector('.saved-area-name').textContent = area.name;
+        row.querySelector('.saved-area-meta').textContent = _formatSavedAreaMeta(area);
+        list.appendChild(row);
+    }
+}
+
+/**
+ * Swap a row's name for an inline text field; Enter saves, Escape cancels.
+ */
+function _startSavedAreaRename(row) {
+    const nameEl = row.querySelector('.saved-area-name');
+    if (!nameEl || row.querySelector('.saved-area-rename')) return;
+    const id = Number(row.dataset.id);
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'filter-input saved-area-rename';
+    input.value = nameEl.textContent;
+    input.maxLength = 80;
+    row.querySelector('.saved-area-main').replaceWith(input);
+    input.focus();
+    input.select();
+
+    let done = false;
+    const finish = async (commit) => {
+        if (done) return;
+        done = true;
+        const name = input.value.trim();
+        if (commit && name) {
+            try {
+                const record = await getSavedArea(id);
+                if (record) {
+                    record.name = name;
+                    await putSavedArea(record);
+                }
+            } catch (err) {
+                console.error('[Saved areas] Rename failed:', err);
+                showNotification('Could not rename area', 'error');
+            }
+        }
+        renderSavedAreasList();
+    };
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') { e.preventDefault(); finish(true); }
+        else if (e.key === 'Escape') { e.preventDefault(); e.stopPropagation(); finish(false); }
+    });
+    input.addEventListener('blur', () => finish(true));
+}
+
+/**
+ * Wire the saved areas panel.  `closeSettings` dismisses the overlay once an
+ * area has been put on the map.
+ */
+function setupSavedAreas(closeSettings) {
+    const list = document.getElementById('saved-areas-list');
+    const nameInput = document.getElementById('saved-area-name');
+    const saveBtn = document.getElementById('saved-area-save-btn');
+
+    const save = async () => {
+        const record = await saveCurrentArea(nameInput ? nameInput.value : '');
+        if (record && nameInput) nameInput.value = '';
+        renderSavedAreasList();
+    };
+    if (saveBtn) saveBtn.addEventListener('click', save);
+    if (nameInput) {
+        nameInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') save();
+        });
+    }
+
+    if (!list) return;
+    list.addEventListener('click', async (e) => {
+        const btn = e.target.closest('[data-action]');
+        const row = e.target.closest('.saved-area-row');
+        if (!btn || !row) return;
+        const id = Number(row.dataset.id);
+        switch (btn.dataset.action) {
+            case 'load':
+            case 'rerun':
+                if (await loadSavedArea(id, btn.dataset.action === 'rerun')) closeSettings();
+                break;
+            case 'rename':
+                _startSavedAreaRename(row);
+                break;
+            case 'delete':
+                try {
+                    await deleteSavedArea(id);
+                    if (_activeSavedArea && _activeSavedArea.id === id) _activeSavedArea = null;
+                } catch (err) {
+                    console.error('[Saved areas] Delete failed:', err);
+                    showNotification('Could not delete area', 'error');
+                }
+                renderSavedAreasList();
+                break;
+        }
+    });
+}
+
+// =============================================================================
+// Search History (result snapshots + diff)
+// =============================================================================
+//
+// Every completed LASO Search stores a snapshot in the "searchHistory" store:
+//   { id, createdAt, shapes, signature, areaName, places: { [place_id]: {...} } }
+// The history panel diffs any two snapshots — typically the same area a few
+// weeks apart — into new, disappeared, re-rated and status-changed places.
+
+const SEARCH_HISTORY_MAX = 50;          // oldest snapshots are pruned beyond this
+
+let _historySnapshots = [];             // newest first, as shown in the panel
+
+// The subset of a place worth comparing between runs
+function _snapshotPlace(place) {
+    return {
+        name: place.name,
+        address: place.address,
+        coordinates: place.coordinates,
+        rating: place.rating ?? null,
+        userRatingCount: place.userRatingCount ?? null,
+        openNow: place.openNow ?? null,
+        businessStatus: place.businessStatus || null
+    };
+}
+
+/**
+ * Persist a snapshot of `places` (unfilteredSearchResults) for the current
+ * search shapes.  Failures are logged, never surfaced — history is a bonus.
+ */
+async function recordSearchSnapshot(places) {
+    const shapes = getSearchShapeGeometry().map(s => ({ points: s.points, holes: s.holes }));
+    if (shapes.length === 0) return;
+    const signature = _savedAreaSignature(shapes);
+    const byId = {};
+    for (const place of places) {
+        if (place.place_id) byId[place.place_id] = _snapshotPlace(place);
+    }
+
+    try {
+        let areaName = null;
+        if (_activeSavedArea && _activeSavedArea.signature === signature) {
+            const saved = await getSavedArea(_activeSavedArea.id);
+            if (saved) areaName = saved.name;
+        }
+        await _lasoDbRequest(SEARCH_HISTORY_STORE, 'readwrite', store => store.add({
+            createdAt: Date.now(),
+            shapes,
+            signature,
+            areaName,
+            places: byId
+        }));
+
+        // Prune the oldest beyond SEARCH_HISTORY_MAX (keys are ascending ids)
+        const keys = await _lasoDbRequest(SEARCH_HISTORY_STORE, 'readonly', store => store.getAllKeys());
+        if (keys.length > SEARCH_HISTORY_MAX) {
+            const stale = keys.slice(0, keys.length - SEARCH_HISTORY_MAX);
+            await _lasoDbRequest(SEARCH_HISTORY_STORE, 'readwrite', store =>
+                store.delete(IDBKeyRange.upperBound(stale[stale.length - 1])));
+        }
+        console.log(`[History] Snapshot saved (${Object.keys(byId).length} places)`);
+    } catch (err) {
+        console.warn('[History] Could not save snapshot:', err);
+    }
+}
+
+/**
+ * All snapshots, newest first.
+ */
+async function listSearchSnapshots() {
+    const snapshots = await _lasoDbRequest(SEARCH_HISTORY_STORE, 'readonly', store => store.getAll());
+    return snapshots.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+function clearSearchHistory() {
+    return _lasoDbRequest(SEARCH_HISTORY_STORE, 'readwrite', store => store.clear());
+}
+
+/**
+ * Compare two snapshots' places (keyed by place_id).  Returns
+ *   { added, removed, ratingChanged, statusChanged }
+ * where added/removed hold snapshot places and the change lists hold
+ * { place, from, to } (statusChanged adds `field`: 'businessStatus' | 'openNow').
+ * Unknown (null) values on either side don't count as a change.
+ */
+function diffSearchSnapshots(older, newer) {
+    const oldPlaces = older.places || {};
+    const newPlaces = newer.places || {};
+    const diff = { added: [], removed: [], ratingChanged: [], statusChanged: [] };
+
+    for (const [id, place] of Object.entries(newPlaces)) {
+        const before = oldPlaces[id];
+        if (!before) {
+            diff.added.push(place);
+            continue;
+        }
+        if (before.rating !== null && place.rating !== null && before.rating !== place.rating) {
+            diff.ratingChanged.push({ place, from: before.rating, to: place.rating });
+        }
+        for (const field of ['businessStatus', 'openNow']) {
+            if (before[field] !== null && place[field] !== null && before[field] !== place[field]) {
+                diff.statusChanged.push({ place, field, from: before[field], to: place[field] });
+            }
+        }
+    }
+    for (const [id, place] of Object.entries(oldPlaces)) {
+        if (!newPlaces[id]) diff.removed.push(place);
+    }
+
+    const byName = (a, b) => a.name.localeCompare(b.name);
+    diff.added.sort(byName);
+    diff.removed.sort(byName);
+    diff.ratingChanged.sort((a, b) => Math.abs(b.to - b.from) - Math.abs(a.to - a.from));
+    diff.statusChanged.sort((a, b) => byName(a.place, b.place));
+    return diff;
+}
+
+function _formatSnapshotLabel(snapshot) {
+    const when = new Date(snapshot.createdAt).toLocaleString(undefined, {
+        month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit'
+    });
+    const count = Object.keys(snapshot.places || {}).length;
+    const area = snapshot.areaName || (snapshot.shapes.length > 1 ? `${snapshot.shapes.length} shapes` : 'Drawn area');
+    return `${when} · ${count} places · ${area}`;
+}
+
+function _formatStatusValue(field, value) {
+    if (field === 'openNow') return value ? 'open' : 'closed';
+    return {
+        OPERATIONAL: 'operating',
+        CLOSED_TEMPORARILY: 'temporarily closed',
+        CLOSED_PERMANENTLY: 'permanently closed'
+    }[value] || String(value).toLowerCase();
+}
+
+function _historyMessage(text, className = 'saved-areas-empty') {
+    const p = document.createElement('p');
+    p.className = className;
+    p.textContent = text;
+    return p;
+}
+
+/**
+ * Re-render the history panel: run pickers plus the diff between them.
+ */
+async function renderSearchHistory() {
+    const olderSel = document.getElementById('history-older');
+    const newerSel = document.getElementById('history-newer');
+    const controls = document.getElementById('history-controls');
+    const out = document.getElementById('history-diff');
+    if (!olderSel || !newerSel || !out) return;
+
+    try {
+        _historySnapshots = await listSearchSnapshots();
+    } catch (err) {
+        console.warn('[History] Unavailable:', err);
+        _historySnapshots = [];
+    }
+
+    out.innerHTML = '';
+    if (_historySnapshots.length < 2) {
+        if (controls) controls.classList.add('hidden');
+        out.appendChild(_historyMessage(_historySnapshots.length === 0
+            ? 'No searches recorded yet. Each LASO Search is saved here.'
+            : 'Run another search to compare with the first one.'));
+        return;
+    }
+    if (controls) controls.classList.remove('hidden');
+
+    for (const sel of [olderSel, newerSel]) {
+        sel.innerHTML = '';
+        for (const snap of _historySnapshots) {
+            const opt = document.createElement('option');
+            opt.value = snap.id;
+            opt.textContent = _formatSnapshotLabel(snap);
+            sel.appendChild(opt);
+        }
+    }
+
+    // Default: latest run vs the previous run of the same area
+    const latest = _historySnapshots[0];
+    const previous = _historySnapshots.slice(1).find(s => s.signature === latest.signature)
+        || _historySnapshots[1];
+    newerSel.value = latest.id;
+    olderSel.value = previous.id;
+    renderSnapshotDiff();
+}
+
+/**
+ * Diff the two snapshots picked in the history panel.
+ */
+function renderSnapshotDiff() {
+    const olderSel = document.getElementById('history-older');
+    const newerSel = document.getElementById('history-newer');
+    const out = document.getElementById('history-diff');
+    if (!olderSel || !newerSel || !out) return;
+
+    let older = _historySnapshots.find(s => s.id === Number(olderSel.value));
+    let newer = _historySnapshots.find(s => s.id === Number(newerSel.value));
+    if (!older || !newer) return;
+    if (older.createdAt > newer.createdAt) [older, newer] = [newer, older];
+
+    out.innerHTML = '';
+    if (older.id === newer.id) {
+        out.appendChild(_historyMessage('Pick two different runs to compare.'));
+        return;
+    }
+    if (older.signature !== newer.signature) {
+        out.appendChild(_historyMessage(
+            'These runs covered different areas — some differences come from the shape, not the places.',
+            'history-note'
+        ));
+    }
+
+    const diff = diffSearchSnapshots(older, newer);
+    const sections = [
+        ['New places', 'fa-plus-circle', 'history-added', diff.added.map(p => [p.name, p.address])],
+        ['Gone', 'fa-minus-circle', 'history-removed', diff.removed.map(p => [p.name, p.address])],
+        ['Rating changes', 'fa-star', 'history-rating', diff.ratingChanged.map(c =>
+            [c.place.name, `${c.from} → ${c.to}`])],
+        ['Status changes', 'fa-door-open', 'history-status', diff.statusChanged.map(c =>
+            [c.place.name, `${_formatStatusValue(c.field, c.from)} → ${_formatStatusValue(c.field, c.to)}`])]
+    ].filter(section => section[3].length > 0);
+
+    if (sections.length === 0) {
+        out.appendChild(_historyMessage('No changes between these runs.'));
+        return;
+    }
+
+    // Place names are third-party text — build nodes, never innerHTML
+    for (const [title, icon, className, rows] of sections) {
+        const section = document.createElement('div');
+        section.className = `history-section ${className}`;
+        const heading = document.createElement('h4');
+        const iconEl = document.createElement('i');
+        iconEl.className = `fas ${icon}`;
+        heading.append(iconEl, ` ${title} (${rows.length})`);
+        const list = document.createElement('ul');
+        for (const [name, detail] of rows) {
+            const li = document.createElement('li');
+            const nameEl = document.createElement('span');
+            nameEl.className = 'history-place-name';
+            nameEl.textContent = name;
+            const detailEl = document.createElement('span');
+            detailEl.className = 'history-place-detail';
+            detailEl.textContent = detail || '';
+            li.append(nameEl, detailEl);
+            list.appendChild(li);
+        }
+        section.append(heading, list);
+        out.appendChild(section);
+    }
+}
+
+function setupSearchHistory() {
+    const olderSel = document.getElementById('history-older');
+    const newerSel = document.getElementById('history-newer');
+    if (olderSel) olderSel.addEventListener('change', renderSnapshotDiff);
+    if (newerSel) newerSel.addEventListener('change', renderSnapshotDiff);
+
+    const clearBtn = document.getElementById('history-clear-btn');
+    if (clearBtn) {
+        clearBtn.addEventListener('click', async () => {
+            try {
+                await clearSearchHistory();
+                showNotification('Search history cleared');
+            } catch (err) {
+                console.error('[History] Clear failed:', err);
+                showNotification('Could not clear history', 'error');
+            }
+            renderSearchHistory();
+        });
+    }
+}
+
+// =============================================================================
+// Exclusion Areas (polygon holes)
+// =============================================================================
+//
+// The "Exclude area" map control draws a ring that is cut out of the shape
+// containing it ("this neighbourhood except the mall").  Holes live on the
+// searchShapes entry and flow through pointInPolygon, filterPlacesInPolygon,
+// getDistanceToPolygonEdge and _searchGuard.validateSearchArea.
+
+/**
+ * Start drawing an exclusion ring inside an existing shape.
+ */
+function startExcludeShape() {
+    if (isDrawingMode || isSearching) return;
+    if (!currentPolygon) {
+        showNotification('Draw a shape first, then exclude areas from it', 'error');
+        return;
+    }
+
+    exitPolygonEditMode();
+    isExcludingShape = true;
+    enableDrawingMode();
+    if (!isDrawingMode) {
+        isExcludingShape = false;
+    } else {
+        if (tempPolyline) tempPolyline.setStyle({ color: '#ea4335' });
+        updateStatus('Exclude mode - Draw around the area to leave out');
+    }
+    updateShapeToolButtonsState();
+}
+
+/**
+ * Cut `ringLatLngs` (open ring of L.LatLng) out of the shape that contains
+ * it.  The ring must lie fully inside one shape and not overlap its other
+ * holes.  Existing results inside the new hole are dropped immediately —
+ * no re-search needed, since the area only shrank.
+ */
+function addExclusionHole(ringLatLngs) {
+    const wasExcluding = isExcludingShape;
+    isExcludingShape = false;
+    updateShapeToolButtonsState();
+    if (!wasExcluding) return;
+
+    const hole = ringLatLngs.map(ll => [ll.lat, ll.lng]);
+    hole.push([...hole[0]]);
+
+    const shape = searchShapes.find(s => _ringInside(hole, s.points));
+    // The active shape's drawingPoints were cleared by startFreehandDrawing
+    const active = searchShapes.find(s => s.polygon === currentPolygon);
+    if (active) drawingPoints = active.points;
+
+    if (!shape) {
+        showNotification('Draw the exclusion fully inside a shape', 'error');
+        updateStatus('Exclusion must be inside a shape');
+        return;
+    }
+    if (shape.holes.some(h => _holesOverlap(h, hole))) {
+        showNotification('Exclusions can\'t overlap each other', 'error');
+        updateStatus('Exclusion overlaps another one');
+        return;
+    }
+    const check = _searchGuard.validateSearchArea(shape.points, [...shape.holes, hole]);
+    if (!check.ok) {
+        showNotification(check.reason, 'error');
+        return;
+    }
+
+    shape.holes.push(hole);
+    shape.polygon.setLatLngs([shape.points, ...shape.holes]);
+    setActiveShape(shape.polygon);
+    scheduleUrlStateSync();
+
+    // Drop already-found places that now sit in the hole
+    if (unfilteredSearchResults.length > 0) {
+        const before = unfilteredSearchResults.length;
+        unfilteredSearchResults = unfilteredSearchResults.filter(place =>
+            !place.coordinates || !pointInPolygon(place.coordinates, hole)
+        );
+        if (unfilteredSearchResults.length !== before) {
+            applyFiltersAndSort({ resetToFirstPage: true });
+        }
+        console.log(`[Exclude] Removed ${before - unfilteredSearchResults.length} places inside the new exclusion`);
+    }
+
+    updateStatus(`Excluded area from shape (${shape.holes.length} exclusion${shape.holes.length === 1 ? '' : 's'})`);
+    showNotification('Area excluded from search');
+}
+
+/** True when closed ring `hole` lies fully inside closed ring `outer`. */
+function _ringInside(hole, outer) {
+    return !_ringsOverlap(outer, hole) && pointInPolygon(hole[0], outer);
+}
+
+/** True when closed rings `a` and `b` cross or one lies inside the other. */
+function _holesOverlap(a, b) {
+    return _ringsOverlap(a, b) || pointInPolygon(a[0], b) || pointInPolygon(b[0], a);
+}
+
+/**
+ * Why `holes` can't be cut out of `points` — a hole outside its shape or
+ * overlapping another hole — or null when they're fine.
+ */
+function _holesProblem(points, holes) {
+    for (let i = 0; i < holes.length; i++) {
+        if (!_ringInside(holes[i], points)) return 'Exclusions must lie fully inside their shape';
+        if (holes.slice(0, i).some(h => _holesOverlap(h, holes[i]))) return 'Exclusions can\'t overlap each other';
+    }
+    return null;
+}
+
+/**
+ * True when any edge of closed ring `a` crosses any edge of closed ring `b`
+ * ([lat, lng] points, planar approximation).
+ */
+function _ringsOverlap(a, b) {
+    const toXY = p => ({ x: p[1], y: p[0] });
+    for (let i = 0; i < a.length - 1; i++) {
+        const a0 = toXY(a[i]), a1 = toXY(a[i + 1]);
+        for (let j = 0; j < b.length - 1; j++) {
+            if (_segmentIntersection(a0, a1, toXY(b[j]), toXY(b[j + 1]))) return true;
+        }
+    }
+    return false;
+}
+
+// =============================================================================
+// Polygon Vertex Editing
+// =============================================================================
+//
+// Tap the finished shape to edit it:
+//   • drag a vertex handle to move it
+//   • drag (or tap) a midpoint handle to insert a new vertex
+//   • long-press a vertex handle to delete it (min 3 vertices)
+// Tap the map or press Escape to finish.  Every edit keeps drawingPoints in
+// sync and flags existing results as stale until the next LASO Search.
+
+let isEditingPolygon = false;
+let resultsStale = false;           // true when the shape changed after the last search
+let _editVertices = [];             // open ring of L.LatLng being edited
+let _editVertexHandles = [];
+let _editMidpointHandles = [];
+const VERTEX_LONG_PRESS_MS = 600;
+
+const _vertexHandleIcon = L.divIcon({
+    className: 'vertex-handle',
+    iconSize: [14, 14],
+    iconAnchor: [7, 7]
+});
+
+const _midpointHandleIcon = L.divIcon({
+    className: 'vertex-handle vertex-handle-midpoint',
+    iconSize: [10, 10],
+    iconAnchor: [5, 5]
+});
+
+/**
+ * Wire a freshly-created search polygon so tapping it enters edit mode.
+ */
+function attachPolygonEditHandlers(polygon) {
+    polygon.on('click', (e) => {
+        if (isDrawingMode || isSearching || isEditingPolygon) return;
+        L.DomEvent.stopPropagation(e);
+        setActiveShape(polygon);
+        enterPolygonEditMode();
+    });
+}
+
+function enterPolygonEditMode() {
+    if (!currentPolygon || isEditingPolygon) return;
+    isEditingPolygon = true;
+    _editVertices = currentPolygon.getLatLngs()[0].map(ll => L.latLng(ll.lat, ll.lng));
+    map.getContainer().classList.add('polygon-editing');
+    _rebuildEditHandles();
+    map.on('click', _onEditMapClick);
+    document.addEventListener('keydown', _onEditKeydown);
+    updateStatus('Editing shape — drag points, tap midpoints to add, long-press to delete');
+}
+
+function exitPolygonEditMode() {
+    if (!isEditingPolygon) return;
+    isEditingPolygon = false;
+    _clearEditHandles();
+    _editVertices = [];
+    map.getContainer().classList.remove('polygon-editing');
+    map.off('click', _onEditMapClick);
+    document.removeEventListener('keydown', _onEditKeydown);
+    updateStatus(resultsStale ? 'Shape edited — re-run LASO Search' : 'Ready');
+}
+
+function _onEditMapClick() {
+    exitPolygonEditMode();
+}
+
+function _onEditKeydown(e) {
+    if (e.key === 'Escape') exitPolygonEditMode();
+}
+
+function _clearEditHandles() {
+    _editVertexHandles.concat(_editMidpointHandles).forEach(h => {
+        if (map.hasLayer(h)) map.removeLayer(h);
+    });
+    _editVertexHandles = [];
+    _editMidpointHandles = [];
+}
+
+function _editMidpoint(i) {
+    const a = _editVertices[i];
+    const b = _editVertices[(i + 1) % _editVertices.length];
+    return L.latLng((a.lat + b.lat) / 2, (a.lng + b.lng) / 2);
+}
+
+function _rebuildEditHandles() {
+    _clearEditHandles();
+    if (!isEditingPolygon) return;
+
+    _editVertices.forEach((ll, i) => {
+        const handle = L.marker(ll, {
+            icon: _vertexHandleIcon,
+            draggable: true,
+            keyboard: false,
+            zIndexOffset: 1000
+        }).addTo(map);
+
+        handle.on('drag', () => {
+            _editVertices[i] = handle.getLatLng();
+            currentPolygon.setLatLngs([_editVertices, ...getActiveShapeHoles()]);
+            // Keep the two neighbouring midpoints centred on their edges
+            const n = _editVertices.length;
+            const prev = _editMidpointHandles[(i + n - 1) % n];
+            const next = _editMidpointHandles[i];
+            if (prev) prev.setLatLng(_editMidpoint((i + n - 1) % n));
+            if (next) next.setLatLng(_editMidpoint(i));
+        });
+        handle.on('dragend', _commitPolygonEdit);
+        _bindVertexLongPress(handle, () => _deleteEditVertex(i));
+
+        _editVertexHandles.push(handle);
+    });
+
+    _editVertices.forEach((ll, i) => {
+        const handle = L.marker(_editMidpoint(i), {
+            icon: _midpointHandleIcon,
+            draggable: true,
+            keyboard: false,
+            zIndexOffset: 900
+        }).addTo(map);
+
+        // Dragging a midpoint inserts a real vertex and moves it
+        handle.on('dragstart', () => {
+            _editVertices.splice(i + 1, 0, handle.getLatLng());
+        });
+        handle.on('drag', () => {
+            _editVertices[i + 1] = handle.getLatLng();
+            currentPolygon.setLatLngs([_editVertices, ...getActiveShapeHoles()]);
+        });
+        handle.on('dragend', _commitPolygonEdit);
+        // Tapping a midpoint inserts a vertex in place
+        handle.on('click', () => {
+            _editVertices.splice(i + 1, 0, handle.getLatLng());
+            _commitPolygonEdit();
+        });
+
+        _editMidpointHandles.push(handle);
+    });
+}
+
+/**
+ * Long-press (touch or mouse) on a vertex handle.  Any drag cancels it.
+ */
+function _bindVertexLongPress(handle, onLongPress) {
+    const el = handle.getElement();
+    if (!el) return;
+    let timer = null;
+    const cancel = () => {
+        if (timer) clearTimeout(timer);
+        timer = null;
+    };
+    L.DomEvent.on(el, 'mousedown touchstart', () => {
+        cancel();
+        timer = setTimeout(() => {
+            timer = null;
+            onLongPress();
+        }, VERTEX_LONG_PRESS_MS);
+    });
+    L.DomEvent.on(el, 'mouseup touchend touchcancel', cancel);
+    // Suppress the native long-press context menu on the handle
+    L.DomEvent.on(el, 'contextmenu', L.DomEvent.preventDefault);
+    handle.on('dragstart', cancel);
+}
+
+function _deleteEditVertex(i) {
+    if (!isEditingPolygon) return;
+    if (_editVertices.length <= 3) {
+        showNotification('A shape needs at least 3 points', 'error');
+        return;
+    }
+    _editVertices.splice(i, 1);
+    _commitPolygonEdit();
+}
+
+/**
+ * Apply the edited ring: redraw the polygon, sync drawingPoints (closed
+ * [lat, lng] ring, same format as closeFreehandPolygon) and mark results stale.
+ */
+function _commitPolygonEdit() {
+    if (!isEditingPolygon || !currentPolygon) return;
+
+    drawingPoints = _editVertices.map(ll => [ll.lat, ll.lng]);
+    drawingPoints.push([...drawingPoints[0]]);
+
+    // Exclusions must stay strictly inside the edited outline (same rule as
+    // addExclusionHole) — drop any the new edges cut through or uncovered.
+    const previousHoles = getActiveShapeHoles();
+    const holes = previousHoles.filter(hole =>
+        !_ringsOverlap(drawingPoints, hole) && pointInPolygon(hole[0], drawingPoints));
+    const droppedHoles = previousHoles.length - holes.length;
+    currentPolygon.setLatLngs([_editVertices, ...holes]);
+
+    const shape = searchShapes.find(s => s.polygon === currentPolygon);
+    if (shape) {
+        shape.points = drawingPoints;
+        shape.holes = holes;
+        shape.circle = null;   // no longer an exact circle
+        if (shape.route) {
+            // A hand-edited corridor no longer follows its route line
+            // Pieces of a self-crossing corridor share one centreline layer
+            const shared = searchShapes.some(s => s !== shape && s.routeLayer === shape.routeLayer);
+            if (shape.routeLayer && !shared && map.hasLayer(shape.routeLayer)) map.removeLayer(shape.routeLayer);
+            shape.route = null;
+            shape.routeLayer = null;
+            syncFilterSortUIState();
+        }
+    }
+
+    const check = _searchGuard.validateSearchArea(drawingPoints, holes);
+    if (!check.ok) {
+        showNotification(check.reason, 'error');
+    } else if (droppedHoles > 0) {
+        showNotification(`Removed ${droppedHoles} exclusion${droppedHoles === 1 ? '' : 's'} no longer inside the edited shape`);
+    }
+
+    markResultsStale();
+    scheduleUrlStateSync();
+    updateStatus(`Shape edited — ${drawingPoints.length - 1} points`);
+
+    // Rebuild after the current drag/click event has finished dispatching
+    setTimeout(_rebuildEditHandles, 0);
+}
+
+/**
+ * Flag the current results as stale (shape changed since the last search).
+ * No-op when there are no results to go stale.
+ */
+function markResultsStale() {
+    if (unfilteredSearchResults.length === 0) return;
+    setResultsStale(true);
+}
+
+function setResultsStale(stale) {
+    resultsStale = stale;
+    const banner = document.getElementById('stale-results-banner');
+    if (banner) banner.classList.toggle('hidden', !stale);
+    const sidebar = document.getElementById('results-sidebar');
+    if (sidebar) sidebar.classList.toggle('results-stale', stale);
+}
+
+// =============================================================================
+// Polygon Utilities
+// =============================================================================
+
+/**
+ * Decide whether sidebar transitions should recenter on the location pin
+ * or the polygon center.
+ *
+ * Rules:
+ *   1. No location pin → 'polygon'
+ *   2. No polygon      → 'pin'
+ *   3. Pin INSIDE polygon → 'pin'
+ *   4. Pin OUTSIDE polygon → whichever is closer to the current map center
+ *
+ * @returns {'pin'|'polygon'}
+ */
+function _getSidebarRecenterTarget() {
+    const hasPin = searchAddressMarker && map.hasLayer(searchAddressMarker);
+    const hasPoly = !!currentPolygon;
+
+    // Category search fit states take priority over stale mega pin
+    if (!hasPoly && fitStateResultsOpen) return 'polygon';
+
+    if (!hasPin && !hasPoly) return 'polygon';
+    if (!hasPin) return 'polygon';
+    if (!hasPoly) return 'pin';
+
+    // Check if pin is inside the polygon
+    const pinLL = searchAddressMarker.getLatLng();
+    const pinCoord = [pinLL.lat, pinLL.lng];
+    if (pointInSearchArea(pinCoord)) {
+        return 'pin';
+    }
+
+    // Pin is outside polygon — pick whichever is closer to current map center
+    const mapCenter = map.getCenter();
+    const polyCenter = currentPolygon.getBounds().getCenter();
+    const dPin = map.distance(mapCenter, pinLL);
+    const dPoly = map.distance(mapCenter, polyCenter);
+    return dPin <= dPoly ? 'pin' : 'polygon';
+}
+
+function getPolygonBounds() {
+    if (!currentPolygon) return null;
+    return currentPolygon.getBounds();
+}
+
+function getPolygonCenter() {
+    if (!currentPolygon) return null;
+    const bounds = currentPolygon.getBounds();
+    return [
+        (bounds.getNorth() + bounds.getSouth()) / 2,
+        (bounds.getEast() + bounds.getWest()) / 2
+    ];
+}
+
+function getPolygonCentroid(polygonPoints) {
+    if (!Array.isArray(polygonPoints) || polygonPoints.length < 3) return null;
+
+    // Shoelace formula on lng/lat treated as planar. Adequate for small areas.
+    let area2 = 0;
+    let cx = 0;
+    let cy = 0;
+
+    const n = polygonPoints.length;
+    for (let i = 0; i < n - 1; i++) {
+        const [y0, x0] = polygonPoints[i];
+        const [y1, x1] = polygonPoints[i + 1];
+        const cross = x0 * y1 - x1 * y0;
+        area2 += cross;
+        cx += (x0 + x1) * cross;
+        cy += (y0 + y1) * cross;
+    }
+
+    if (!isFinite(area2) || Math.abs(area2) < 1e-12) return null;
+    const area6 = area2 * 3;
+    return [cy / area6, cx / area6];
+}
+
+// -----------------------------------------------------------------------------
+// Freehand geometry cleanup
+// -----------------------------------------------------------------------------
+// Move handlers append a vertex every few metres, and figure-eight scribbles
+// cross themselves.  cleanupFreehandRing() runs in projected pixel space at
+// the drawing zoom, so the simplification tolerance is a fixed number of
+// screen pixels — coarse when zoomed out, fine when zoomed in.
+
+const FREEHAND_SIMPLIFY_TOLERANCE_PX = 3;
+const FREEHAND_MIN_LOOP_AREA_PX = 100;   // loops smaller than ~10×10 px are scribble noise
+
+/**
+ * Simplify a freehand ring (Douglas–Peucker) and split it at every
+ * self-intersection.  Returns simple open rings of L.LatLng, largest first.
+ *
+ * @param {Array<L.LatLng>} latLngs — open ring as drawn
+ * @param {number} zoom — zoom the shape was drawn at
+ * @returns {Array<Array<L.LatLng>>}
+ */
+function cleanupFreehandRing(latLngs, zoom) {
+    const projected = latLngs.map(ll => map.project(ll, zoom));
+    const simplified = L.LineUtil.simplify(projected, FREEHAND_SIMPLIFY_TOLERANCE_PX);
+
+    return _splitSelfIntersectingRing(simplified)
+        .map(ring => ({ ring, area: Math.abs(_ringArea2(ring)) / 2 }))
+        .filter(r => r.ring.length >= 3 && r.area >= FREEHAND_MIN_LOOP_AREA_PX)
+        .sort((a, b) => b.area - a.area)
+        .map(r => r.ring.map(p => map.unproject(p, zoom)));
+}
+
+/**
+ * Split an open ring of {x, y} points into simple (non-self-intersecting)
+ * rings.  At each crossing of edges i and j the ring is cut into the loop
+ * between them and the remainder, both passing through the crossing point.
+ */
+function _splitSelfIntersectingRing(ring) {
+    const simple = [];
+    const pending = [ring];
+    let splits = 0;
+
+    while (pending.length > 0) {
+        const r = pending.pop();
+        const n = r.length;
+        let hit = null;
+
+        // Non-adjacent edge pairs only; edge n-1 (closing) is adjacent to edge 0
+        for (let i = 0; i < n && !hit; i++) {
+            for (let j = i + 2; j < n; j++) {
+                if (i === 0 && j === n - 1) continue;
+                const x = _segmentIntersection(r[i], r[(i + 1) % n], r[j], r[(j + 1) % n]);
+                if (x) { hit = { i, j, x }; break; }
+            }
+        }
+
+        // Safety valve for pathological scribbles — keep what we have
+        if (!hit || ++splits > 200) {
+            simple.push(r);
+            continue;
+        }
+
+        const { i, j, x } = hit;
+        pending.push([x, ...r.slice(i + 1, j + 1)]);
+        pending.push([...r.slice(0, i + 1), x, ...r.slice(j + 1)]);
+    }
+
+    return simple;
+}
+
+/**
+ * Proper crossing point of segments ab and cd, or null.  Touching endpoints
+ * and collinear overlaps don't count.
+ */
+function _segmentIntersection(a, b, c, d) {
+    const rx = b.x - a.x, ry = b.y - a.y;
+    const sx = d.x - c.x, sy = d.y - c.y;
+    const denom = rx * sy - ry * sx;
+    if (Math.abs(denom) < 1e-9) return null;
+
+    const t = ((c.x - a.x) * sy - (c.y - a.y) * sx) / denom;
+    const u = ((c.x - a.x) * ry - (c.y - a.y) * rx) / denom;
+    const eps = 1e-9;
+    if (t <= eps || t >= 1 - eps || u <= eps || u >= 1 - eps) return null;
+
+    return L.point(a.x + t * rx, a.y + t * ry);
+}
+
+// Twice the signed shoelace area of an open ring of {x, y} points
+function _ringArea2(ring) {
+    let sum = 0;
+    for (let i = 0; i < ring.length; i++) {
+        const p = ring[i], q = ring[(i + 1) % ring.length];
+        sum += p.x * q.y - q.x * p.y;
+    }
+    return sum;
+}
+
+function normalizePlaceType(type) {
+    return String(type || '')
+        .trim()
+        .toLowerCase()
+        .replace(/_/g, ' ')
+        .replace(/\s+/g, ' ');
+}
+
+function normalizePlaceName(name) {
+    return String(name || '')
+        .trim()
+        .toLowerCase()
+        .replace(/\s+/g, ' ');
+}
+
+function normalizeFilterToken(token) {
     return String(token || '')
         .trim()
         .toLowerCase()
@@ -3212,14 +5608,404 @@ function computeNameRelevance(tokens, placeName) {
     return (0.01 + 0.29 * coverage) * avgQuality;
 }
 
+// =============================================================================
+// Filter Query Language — #place-filter grammar
+// =============================================================================
+//
+//   query   := or
+//   or      := and ( OR and )*
+//   and     := unary ( [AND] unary )*          juxtaposition means AND
+//   unary   := '-' unary | NOT unary | '(' or ')' | predicate | "phrase" | word
+//
+// Predicates:  rating>=4.3  reviews>100  type:bar  name:"joe's"  open:now
+//              has:website | phone | hours | rating | price
+// Numeric fields take : = > >= < <= (':' means "at least").  AND / OR / NOT
+// must be upper-case so "bar or grill" stays plain text.  Words and phrases
+// match name or type as before, and still drive the computeNameRelevance
+// tier ranking (best-scoring OR branch wins).
+//
+// open: and has: website / phone / hours can be unknown (null) — a Google
+// place whose details haven't loaded yet.  Matching is three-valued and only
+// a definite false drops a place, the same rule as the "open at" menu.
+
+const FILTER_QUERY_FIELDS = Object.freeze({
+    rating: 'number',
+    reviews: 'number',
+    type: 'text',
+    name: 'text',
+    open: 'open',
+    has: 'has'
+});
+
+// true / false, or null while the place's Google details are still pending
+const _detailsOrUnknown = has => p => (has(p) ? true : p.detailsLoaded === false ? null : false);
+
+const FILTER_QUERY_HAS = Object.freeze({
+    website: _detailsOrUnknown(p => !!p.website),
+    phone: _detailsOrUnknown(p => !!p.phone),
+    hours: _detailsOrUnknown(p => !!(p.openingHours || (p.openingPeriods && p.openingPeriods.length))),
+    rating: p => typeof p.rating === 'number',
+    price: p => !!p.price
+});
+
+// Predicates that read the on-demand Google details
+const FILTER_QUERY_DETAIL_HAS = Object.freeze(['website', 'phone', 'hours']);
+
+const FILTER_QUERY_HELP = 'e.g. pizza -chain rating>=4.3 reviews>100 type:bar open:now has:website "exact phrase" (A OR B)';
+
+function _filterQueryError(message, position) {
+    const err = new Error(message);
+    err.position = position;
+    return err;
+}
+
+/** Closest known name to a mistyped one, for "did you mean" hints. */
+function _closestFilterName(word, names) {
+    let best = null, bestDist = 3;
+    for (const n of names) {
+        const d = levenshteinDistance(word, n, 2);
+        if (d < bestDist) { best = n; bestDist = d; }
+    }
+    return best;
+}
+
+function _tokenizeFilterQueryInput(input) {
+    const tokens = [];
+    let i = 0;
+
+    const readQuoted = () => {
+        const start = i;
+        const end = input.indexOf('"', i + 1);
+        if (end === -1) throw _filterQueryError('Missing closing quote', start);
+        i = end + 1;
+        return input.slice(start + 1, end);
+    };
+
+    while (i < input.length) {
+        const ch = input[i];
+        if (/[\s,]/.test(ch)) { i++; continue; }
+        const at = i;
+        if (ch === '(' || ch === ')') { tokens.push({ t: ch, at }); i++; continue; }
+        if (ch === '"') { tokens.push({ t: 'phrase', v: readQuoted(), at }); continue; }
+        if (ch === '-') {
+            if (i + 1 >= input.length || /[\s,)]/.test(input[i + 1])) {
+                throw _filterQueryError('Nothing to exclude after "-"', at);
+            }
+            tokens.push({ t: 'not', at });
+            i++;
+            continue;
+        }
+
+        let j = i;
+        while (j < input.length && !/[\s,()"]/.test(input[j])) j++;
+        const word = input.slice(i, j);
+        i = j;
+
+        if (word === 'AND' || word === 'OR' || word === 'NOT') {
+            tokens.push({ t: word.toLowerCase(), at });
+            continue;
+        }
+        const m = word.match(/^([a-z]+)(>=|<=|:|=|>|<)(.*)$/i);
+        if (m) {
+            let value = m[3];
+            if (!value && input[i] === '"') value = readQuoted();     // type:"fast food"
+            tokens.push({ t: 'field', field: m[1].toLowerCase(), op: m[2], value, at });
+            continue;
+        }
+        tokens.push({ t: 'word', v: word, at });
+    }
+    return tokens;
+}
+
+/** Validate one predicate and turn it into an AST node. */
+function _filterFieldNode(tk) {
+    const kind = Object.hasOwn(FILTER_QUERY_FIELDS, tk.field) ? FILTER_QUERY_FIELDS[tk.field] : null;
+    if (!kind) {
+        const hint = _closestFilterName(tk.field, Object.keys(FILTER_QUERY_FIELDS));
+        throw _filterQueryError(
+            `Unknown field "${tk.field}"` + (hint ? ` — did you mean "${hint}"?` : ` — try ${Object.keys(FILTER_QUERY_FIELDS).join(', ')}`),
+            tk.at
+        );
+    }
+    if (tk.value === '') throw _filterQueryError(`"${tk.field}${tk.op}" needs a value`, tk.at);
+
+    if (kind === 'number') {
+        const value = Number(tk.value);
+        if (!Number.isFinite(value)) {
+            throw _filterQueryError(`"${tk.field}" needs a number, e.g. ${tk.field === 'rating' ? 'rating>=4.3' : 'reviews>100'}`, tk.at);
+        }
+        return { type: 'field', field: tk.field, op: tk.op === ':' ? '>=' : tk.op, value };
+    }
+    if (tk.op !== ':' && tk.op !== '=') {
+        throw _filterQueryError(`"${tk.field}" can't be compared with "${tk.op}" — use ${tk.field}:…`, tk.at);
+    }
+    const value = tk.value.toLowerCase();
+    if (kind === 'open' && value !== 'now') {
+        throw _filterQueryError('open: only supports "now" — use the hours menu to pick another day or time', tk.at);
+    }
+    if (kind === 'has' && !Object.hasOwn(FILTER_QUERY_HAS, value)) {
+        const hint = _closestFilterName(value, Object.keys(FILTER_QUERY_HAS));
+        throw _filterQueryError(
+            `has:${value} isn't supported` + (hint ? ` — did you mean has:${hint}?` : ` — try ${Object.keys(FILTER_QUERY_HAS).map(k => 'has:' + k).join(', ')}`),
+            tk.at
+        );
+    }
+    if (kind === 'text' && tokenizeFilterQuery(value).length === 0) {
+        throw _filterQueryError(`"${tk.field}:" needs at least two letters or digits`, tk.at);
+    }
+    return { type: 'field', field: tk.field, op: ':', value };
+}
+
+function _parseFilterQueryTokens(tokens, input) {
+    let pos = 0;
+    const peek = () => tokens[pos];
+    const endAt = () => (peek() ? peek().at : input.length);
+
+    // Groups made only of words too short to filter on come back null and
+    // drop out — "a" alone filters nothing, as before
+    function parseOr() {
+        const items = [parseAnd()];
+        while (peek() && peek().t === 'or') {
+            const orTk = tokens[pos++];
+            if (!peek() || peek().t === ')' || peek().t === 'or') {
+                throw _filterQueryError('Nothing after OR', orTk.at);
+            }
+            items.push(parseAnd());
+        }
+        const kept = items.filter(Boolean);
+        if (kept.length < items.length) return kept.length === 0 ? null : (kept.length === 1 ? kept[0] : { type: 'or', items: kept });
+        return items.length === 1 ? items[0] : { type: 'or', items };
+    }
+
+    function parseAnd() {
+        const start = pos;
+        const items = [];
+        for (;;) {
+            const tk = peek();
+            if (!tk || tk.t === ')' || tk.t === 'or') break;
+            if (tk.t === 'and') {
+                pos++;
+                if (items.length === 0) throw _filterQueryError('Nothing before AND', tk.at);
+                if (!peek() || peek().t === ')' || peek().t === 'or' || peek().t === 'and') {
+                    throw _filterQueryError('Nothing after AND', tk.at);
+                }
+                continue;
+            }
+            const node = parseUnary();
+            if (node) items.push(node);
+        }
+        if (items.length === 0) {
+            if (pos > start) return null;
+            throw _filterQueryError(peek() && peek().t === 'or' ? 'Nothing before OR' : 'Empty group', endAt());
+        }
+        return items.length === 1 ? items[0] : { type: 'and', items };
+    }
+
+    function parseUnary() {
+        const tk = tokens[pos++];
+        if (tk.t === 'not') {
+            if (!peek() || peek().t === ')' || peek().t === 'or' || peek().t === 'and') {
+                throw _filterQueryError('Nothing to exclude after NOT', tk.at);
+            }
+            const item = parseUnary();
+            return item ? { type: 'not', item } : null;
+        }
+        if (tk.t === '(') {
+            if (peek() && peek().t === ')') throw _filterQueryError('Empty parentheses', tk.at);
+            const inner = parseOr();
+            if (!peek() || peek().t !== ')') throw _filterQueryError('Missing ")" for the "(" here', tk.at);
+            pos++;
+            return inner;
+        }
+        if (tk.t === 'field') return _filterFieldNode(tk);
+        if (tk.t === 'phrase') {
+            const words = tokenizeFilterQuery(tk.v);
+            return words.length ? { type: 'phrase', text: words.join(' '), tokens: words } : null;
+        }
+        if (tk.t === 'word') {
+            const words = tokenizeFilterQuery(tk.v);
+            return words.length ? { type: 'text', tokens: words } : null;
+        }
+        throw _filterQueryError(`Unexpected "${tk.t === ')' ? ')' : tk.t.toUpperCase()}"`, tk.at);
+    }
+
+    const ast = parseOr();
+    if (pos < tokens.length) throw _filterQueryError('Unexpected ")"', tokens[pos].at);
+    return ast;
+}
+
+const FILTER_QUERY_MAX_BRANCHES = 64;
+
+/**
+ * The query in OR-of-ANDs form: [{ nodes, tokens }], where `tokens` are the
+ * branch's free-text words (for tier ranking).  Huge expansions collapse to
+ * one branch holding every word.
+ */
+function _filterQueryBranches(ast) {
+    const expand = node => {
+        if (node.type === 'or') return node.items.flatMap(expand);
+        if (node.type === 'and') {
+            return node.items.reduce((acc, item) => {
+                const out = [];
+                for (const left of acc) for (const right of expand(item)) out.push([...left, ...right]);
+                return out;
+            }, [[]]);
+        }
+        return [[node]];
+    };
+    const textTokens = nodes => nodes.flatMap(n => (n.type === 'text' || n.type === 'phrase' ? n.tokens : []));
+
+    const branches = expand(ast);
+    if (branches.length > FILTER_QUERY_MAX_BRANCHES) {
+        const all = [];
+        const collect = node => {
+            if (node.type === 'text' || node.type === 'phrase') all.push(...node.tokens);
+            else if (node.items) node.items.forEach(collect);
+        };
+        collect(ast);
+        return [{ nodes: [ast], tokens: all }];
+    }
+    return branches.map(nodes => ({ nodes, tokens: textTokens(nodes) }));
+}
+
+/**
+ * Parse the filter box.  Same result shape as _searchGuard's checks:
+ * { ok: true, query } (query null for an empty box) or
+ * { ok: false, reason, position }.
+ */
+function parseFilterQuery(value) {
+    const input = String(value || '');
+    if (!input.trim()) return { ok: true, query: null };
+    try {
+        const tokens = _tokenizeFilterQueryInput(input);
+        if (tokens.length === 0) return { ok: true, query: null };
+        const ast = _parseFilterQueryTokens(tokens, input);
+        if (!ast) return { ok: true, query: null };
+        const branches = _filterQueryBranches(ast);
+        return {
+            ok: true,
+            query: { ast, branches, hasText: branches.some(b => b.tokens.length > 0), source: input }
+        };
+    } catch (e) {
+        if (e.position === undefined) throw e;
+        return { ok: false, reason: e.message, position: e.position };
+    }
+}
+
+/** true / false, or null when `place` lacks the data to decide. */
+function _placeMatchesFilterNode(node, place) {
+    switch (node.type) {
+        case 'and': {
+            let result = true;
+            for (const item of node.items) {
+                const r = _placeMatchesFilterNode(item, place);
+                if (r === false) return false;
+                if (r === null) result = null;
+            }
+            return result;
+        }
+        case 'or': {
+            let result = false;
+            for (const item of node.items) {
+                const r = _placeMatchesFilterNode(item, place);
+                if (r === true) return true;
+                if (r === null) result = null;
+            }
+            return result;
+        }
+        case 'not': {
+            const r = _placeMatchesFilterNode(node.item, place);
+            return r === null ? null : !r;
+        }
+        case 'text': return placeMatchesAnyToken(place, node.tokens);
+        case 'phrase':
+            return computeNameRelevance(node.tokens, place.name) >= 0.90
+                || normalizeFilterToken(place.place_type).includes(node.text);
+        case 'field': {
+            if (node.field === 'rating' || node.field === 'reviews') {
+                const v = node.field === 'rating' ? place.rating : place.userRatingCount;
+                if (typeof v !== 'number') return false;
+                switch (node.op) {
+                    case '>=': return v >= node.value;
+                    case '<=': return v <= node.value;
+                    case '>': return v > node.value;
+                    case '<': return v < node.value;
+                    default: return v === node.value;
+                }
+            }
+            if (node.field === 'type') return placeMatchesAnyToken({ name: '', place_type: place.place_type }, tokenizeFilterQuery(node.value));
+            if (node.field === 'name') return placeMatchesAnyToken({ name: place.name, place_type: '' }, tokenizeFilterQuery(node.value));
+            if (node.field === 'open') return placeOpenAt(place);
+            if (node.field === 'has') return FILTER_QUERY_HAS[node.value](place);
+            return false;
+        }
+        default: return true;
+    }
+}
+
+// Unknown counts as a match
+function placeMatchesFilterQuery(query, place) {
+    return !query || _placeMatchesFilterNode(query.ast, place) !== false;
+}
+
+/** Whether `query` reads hours, phone or website (open:, has:website…). */
+function filterQueryNeedsDetails(query) {
+    if (!query) return false;
+    const walk = node => {
+        if (node.items) return node.items.some(walk);
+        if (node.item) return walk(node.item);
+        return node.type === 'field'
+            && (node.field === 'open' || (node.field === 'has' && FILTER_QUERY_DETAIL_HAS.includes(node.value)));
+    };
+    return walk(query.ast);
+}
+
+/**
+ * Best computeNameRelevance over the OR branches `place` satisfies; a
+ * branch of predicates only (type:bar) counts as a full match.
+ */
+function filterQueryRelevance(query, place) {
+    if (!query || !query.hasText) return 1;
+    let best = 0;
+    for (const branch of query.branches) {
+        if (branch.nodes.some(n => _placeMatchesFilterNode(n, place) === false)) continue;
+        best = Math.max(best, branch.tokens.length ? computeNameRelevance(branch.tokens, place.name) : 1);
+    }
+    return best;
+}
+
 function parsePlaceFiltersFromInput(value) {
-    return tokenizeFilterQuery(value);
+    const result = parseFilterQuery(value);
+    return result.ok ? result.query : null;
+}
+
+/**
+ * Re-parse the filter box into activePlaceQuery.  An invalid query keeps the
+ * last valid one applied and flags the box with the reason; returns the
+ * parse result so callers can surface the error.
+ */
+function updatePlaceFilterFromInput(input) {
+    const result = parseFilterQuery(input.value);
+    input.classList.toggle('filter-input-invalid', !result.ok);
+    input.title = result.ok ? FILTER_QUERY_HELP : result.reason;
+    if (result.ok) activePlaceQuery = result.query;
+    return result;
+}
+
+/**
+ * Offer to load Google details for the results once the filter box starts
+ * reading them (open:, has:website…), then filter again if it still does.
+ */
+async function _loadDetailsForPlaceQuery() {
+    const updated = await ensurePlaceDetails(unfilteredSearchResults);
+    if (updated > 0 && filterQueryNeedsDetails(activePlaceQuery)) {
+        applyFiltersAndSort({ resetToFirstPage: true });
+    }
 }
 
 function getActivePriorityCenter() {
     // 1. Mega pin: search address marker exists AND is inside the drawn shape
-    if (searchPinCoords && drawingPoints.length >= 3
-        && pointInPolygon(searchPinCoords, drawingPoints)) {
+    if (searchPinCoords && pointInSearchArea(searchPinCoords)) {
         return searchPinCoords;
     }
     // 2. Current GPS location
@@ -3235,6 +6021,21 @@ function compareByDistance(a, b, center) {
     return distA - distB;
 }
 
+/**
+ * Route corridors: order by position along the drawn line (route order first
+ * when several routes were searched — the pieces of one self-crossing route
+ * share it).  Places without a route position come after, by distance.
+ */
+function compareByRoutePosition(a, b, center) {
+    const hasA = typeof a.routePosition === 'number';
+    const hasB = typeof b.routePosition === 'number';
+    if (hasA !== hasB) return hasA ? -1 : 1;
+    if (!hasA) return center ? compareByDistance(a, b, center) : 0;
+    const ra = a.routeIndex || 0, rb = b.routeIndex || 0;
+    if (ra !== rb) return ra - rb;
+    return a.routePosition - b.routePosition;
+}
+
 function compareByAlphabetical(a, b) {
     const nameA = String(a.name || '').toLowerCase();
     const nameB = String(b.name || '').toLowerCase();
@@ -3252,12 +6053,18 @@ function applyFiltersAndSort({ resetToFirstPage = true } = {}) {
     // Recompute distance origin each time (GPS may have updated since search)
     lastPriorityCenter = getActivePriorityCenter();
     const center = lastPriorityCenter;
-    const hasFilter = activePlaceFilters.length > 0;
+    const hasFilter = activePlaceQuery !== null;
 
     let derived = unfilteredSearchResults;
     if (hasFilter) {
-        const tokens = activePlaceFilters;
-        derived = derived.filter(place => placeMatchesAnyToken(place, tokens));
+        const query = activePlaceQuery;
+        derived = derived.filter(place => placeMatchesFilterQuery(query, place));
+    }
+    if (activeOpenAtFilter) {
+        // Only drop places known to be closed — places without hours (no
+        // OSM tag, details not loaded, holiday-dependent) stay listed
+        const when = resolveOpenAtDate(activeOpenAtFilter);
+        derived = derived.filter(place => placeOpenAt(place, when) !== false);
     }
 
     // ── Force-include the mega-pin matched place ──
@@ -3265,7 +6072,7 @@ function applyFiltersAndSort({ resetToFirstPage = true } = {}) {
     // filtering so the red pin stays enriched and clickable.  Without this,
     // changing filters can silently remove the mega-pin place from the list,
     // causing stale-index bugs where a *different* blue marker gets suppressed.
-    if (hasFilter && searchAddressMarker && map.hasLayer(searchAddressMarker)) {
+    if ((hasFilter || activeOpenAtFilter) && searchAddressMarker && map.hasLayer(searchAddressMarker)) {
         const enr = searchAddressMarker._searchEnrichment;
         if (enr && enr._megaPin && enr._megaPinPlace) {
             if (!derived.includes(enr._megaPinPlace)) {
@@ -3283,12 +6090,14 @@ function applyFiltersAndSort({ resetToFirstPage = true } = {}) {
     // Tier 0 = phrase-level match  (relevance >= 0.90)
     // Tier 1 = all-tokens match    (relevance >= 0.60)
     // Tier 2 = partial / weak      (everything else)
+    //
+    // Only the free-text parts of the query rank — predicates just filter.
     let tierMap = null;
-    if (hasFilter) {
-        const tokens = activePlaceFilters;
+    if (hasFilter && activePlaceQuery.hasText) {
+        const query = activePlaceQuery;
         tierMap = new Map();
         for (const place of derived) {
-            const rel = computeNameRelevance(tokens, place.name);
+            const rel = filterQueryRelevance(query, place);
             let tier;
             if (rel >= 0.90) tier = 0;       // Tier A – phrase match
             else if (rel >= 0.60) tier = 1;  // Tier B – all tokens
@@ -3319,15 +6128,18 @@ function applyFiltersAndSort({ resetToFirstPage = true } = {}) {
             sorted.sort(compareByRating);
         }
     } else {
-        // Distance mode (default)
-        if (tierMap && center) {
+        // Distance mode (default) — route corridors order along the route instead
+        const compareNear = hasRouteResults(derived)
+            ? (a, b) => compareByRoutePosition(a, b, center)
+            : center ? (a, b) => compareByDistance(a, b, center) : null;
+        if (tierMap && compareNear) {
             sorted.sort((a, b) => {
                 const ta = tierMap.get(a), tb = tierMap.get(b);
                 if (ta.tier !== tb.tier) return ta.tier - tb.tier;
                 // Within same tier, use fine-grained relevance as secondary
                 // (e.g., exact phrase > fuzzy phrase within Tier A)
                 if (ta.rel !== tb.rel) return tb.rel - ta.rel;
-                return compareByDistance(a, b, center);
+                return compareNear(a, b);
             });
         } else if (tierMap) {
             // No center available — sort by relevance only
@@ -3336,12 +6148,13 @@ function applyFiltersAndSort({ resetToFirstPage = true } = {}) {
                 if (ta.tier !== tb.tier) return ta.tier - tb.tier;
                 return tb.rel - ta.rel;
             });
-        } else if (center) {
-            sorted.sort((a, b) => compareByDistance(a, b, center));
+        } else if (compareNear) {
+            sorted.sort(compareNear);
         }
     }
 
     allSearchResults = sorted;
+    updateExportButtonState();
 
     // Mega pin refresh: if the search pin exists, re-enrich it with draw search data
     _refreshMegaPin();
@@ -3355,8 +6168,20 @@ function applyFiltersAndSort({ resetToFirstPage = true } = {}) {
 }
 
 function syncFilterSortUIState() {
+    syncOpenAtControls();
     const sortSelect = document.getElementById('sort-select');
-    if (sortSelect) sortSelect.value = activeSortMode;
+    if (sortSelect) {
+        sortSelect.value = activeSortMode;
+        // Route corridor results: "distance" means position along the route
+        const distanceOption = sortSelect.querySelector('option[value="distance"]');
+        if (distanceOption) {
+            distanceOption.textContent = hasRouteResults(unfilteredSearchResults) ? 'Along route' : 'Distance';
+        }
+    }
+}
+
+function hasRouteResults(places) {
+    return places.some(p => typeof p.routePosition === 'number');
 }
 
 function populateTypeDatalistFromResults(places) {
@@ -3398,7 +6223,11 @@ function calculateDistance(point1, point2) {
     return R * c;
 }
 
-function pointInPolygon(point, polygonPoints) {
+/**
+ * Ray-casting point-in-polygon.  A point inside any of `holes` (closed
+ * [lat, lng] exclusion rings) is outside the polygon.
+ */
+function pointInPolygon(point, polygonPoints, holes = []) {
     const x = point[1]; // lng
     const y = point[0]; // lat
     let inside = false;
@@ -3412,17 +6241,25 @@ function pointInPolygon(point, polygonPoints) {
         if (intersect) inside = !inside;
     }
 
+    if (inside && holes.length > 0) {
+        return !holes.some(hole => pointInPolygon(point, hole));
+    }
     return inside;
 }
 
-function getDistanceToPolygonEdge(point, polygonPoints) {
+/**
+ * Distance (m) to the nearest edge of the outer ring or any hole.
+ */
+function getDistanceToPolygonEdge(point, polygonPoints, holes = []) {
     let minDistance = Infinity;
 
-    for (let i = 0; i < polygonPoints.length - 1; i++) {
-        const start = polygonPoints[i];
-        const end = polygonPoints[i + 1];
-        const distance = pointToLineDistance(point, start, end);
-        minDistance = Math.min(minDistance, distance);
+    for (const ring of [polygonPoints, ...holes]) {
+        for (let i = 0; i < ring.length - 1; i++) {
+            const start = ring[i];
+            const end = ring[i + 1];
+            const distance = pointToLineDistance(point, start, end);
+            minDistance = Math.min(minDistance, distance);
+        }
     }
 
     return minDistance;
@@ -3490,6 +6327,7 @@ let currentDisplayOffset = 0;
 const RESULTS_PER_PAGE = 40;
 
 async function performLasoSearch() {
+    hideSharedSearchPrompt();
     // Dismiss first-time shimmer and remember the user has pressed Draw Search
     const lasoBtn = document.getElementById('lasosearch-btn');
     if (lasoBtn) lasoBtn.classList.remove('shimmer');
@@ -3505,8 +6343,16 @@ async function performLasoSearch() {
         return;
     }
 
-    // Verify proxy / daily limit before searching
-    if (!canMakeGooglePlacesCall()) {
+    if (getSelectedTypeGroups().length === 0) {
+        showNotification('Pick at least one category to search', 'error');
+        openCategoryPicker();
+        return;
+    }
+
+    // Pick the backend.  Auto falls back to OpenStreetMap on its own, so only
+    // a pinned Google choice can be refused for proxy / daily-limit reasons.
+    const provider = resolveSearchProvider();
+    if (!provider.isAvailable()) {
         if (typeof LASO_PROXY_URL === 'undefined' || !LASO_PROXY_URL) {
             showNotification('API proxy not configured. Check config.js', 'error');
             console.error('[Google Places] Cannot search — LASO_PROXY_URL missing. See config.js');
@@ -3517,6 +6363,8 @@ async function performLasoSearch() {
         return;
     }
 
+    exitPolygonEditMode();
+
     isSearching = true;
     currentSearchOffset = 0;
 
@@ -3536,20 +6384,29 @@ async function performLasoSearch() {
 
     // Show loading
     showLoading(true);
-    updateStatus('Searching Google Places...', true);
+    updateStatus(`Searching ${provider.label}...`, true);
+    if (provider.id !== 'google' && getSearchProviderPreference() === 'auto') {
+        console.log('[Search provider] Google unavailable (no proxy or daily budget used) — using OpenStreetMap');
+    }
+    resetPlacesCacheStats();
+    _lastWorkerRejection = null;
 
     try {
         const priorityCenter = getActivePriorityCenter();
         lastPriorityCenter = priorityCenter;
 
-        // Search using Google Nearby Search (parallel calls for each type group)
-        const allPlaces = await searchPlacesWithGoogle(drawingPoints, (progress) => {
+        // Search with the chosen provider (Google: parallel calls for each
+        // type group), once per drawn shape
+        const allPlaces = await searchPlacesInShapes(getSearchShapeGeometry(), (progress) => {
             updateStatus(progress, true);
-        });
+        }, provider);
 
-        console.log(`[Google Places] Found ${allPlaces.length} total places in polygon`);
+        console.log(`[${provider.label}] Found ${allPlaces.length} total places in polygon`);
+        recordSavedAreaRun(allPlaces.length);
+        recordSearchSnapshot(allPlaces);
 
         unfilteredSearchResults = allPlaces;
+        setResultsStale(false);
         populateTypeDatalistFromResults(allPlaces);
         syncFilterSortUIState();
         applyFiltersAndSort({ resetToFirstPage: true });
@@ -3565,7 +6422,7 @@ async function performLasoSearch() {
             const headerPad = getMobileHeaderPad();
             const toasterVisibleH = mapEl ? mapEl.offsetHeight * 0.5 : 0;
             const { center: openCenter, zoom: rawOpenZoom, contentCenter: openCC } = calculatePolygonFit(
-                currentPolygon, map,
+                getSearchAreaFitLayer(), map,
                 5 + headerPad, 5, toasterVisibleH + 5, 5
             );
             fitStateResultsOpen = {
@@ -3576,7 +6433,7 @@ async function performLasoSearch() {
 
             // State 2: lip-peeked (only 52px lip visible at bottom)
             const { center: lipCenter, zoom: rawLipZoom, contentCenter: lipCC } = calculatePolygonFit(
-                currentPolygon, map,
+                getSearchAreaFitLayer(), map,
                 5 + headerPad, 5, TOASTER_LIP_HEIGHT + 5, 5
             );
             fitStateLipPeeked = {
@@ -3595,10 +6452,14 @@ async function performLasoSearch() {
         // Show sidebar (toaster on mobile) AFTER the polygon is fitted.
         openSidebar();
 
-        updateStatus(`Found ${allSearchResults.length} businesses`);
+        updateStatus(_lastWorkerRejection
+            ? `Found ${allSearchResults.length} businesses — some requests rejected: ${_lastWorkerRejection.message}`
+            : provider.id === 'google'
+                ? `Found ${allSearchResults.length} businesses${describePlacesCacheUse()}`
+                : `Found ${allSearchResults.length} businesses (${provider.label})`);
 
     } catch (error) {
-        console.error('[Google Places] Search error:', error);
+        console.error(`[${provider.label}] Search error:`, error);
         updateStatus('Search failed - please try again');
         showNotification('Error searching for businesses. Please try again.', 'error');
     } finally {
@@ -3635,9 +6496,10 @@ function displayResultsPage(pageNum) {
 
     let html = pageResults.map((place, index) => createPlaceCard(place, start + index)).join('');
 
-    // Add pagination controls
+    // Add pagination controls.  Next also appears on the last loaded page
+    // when a paged Text Search can fetch more.
     const hasPrevious = start > 0;
-    const hasMore = end < allSearchResults.length;
+    const hasMore = end < allSearchResults.length || hasMoreTextSearchResults();
 
     if (hasPrevious || hasMore) {
         html += `
@@ -3674,6 +6536,10 @@ function displayResultsPage(pageNum) {
     const loadMoreBtn = document.getElementById('load-more-btn');
     if (loadMoreBtn) {
         loadMoreBtn.addEventListener('click', () => {
+            if (end >= allSearchResults.length) {
+                loadMoreTextSearchResults();
+                return;
+            }
             currentDisplayOffset++;
             displayResultsPage(currentDisplayOffset);
         });
@@ -3707,7 +6573,1146 @@ function formatAddress(tags) {
     if (tags['addr:city']) parts.push(tags['addr:city']);
     if (tags['addr:postcode']) parts.push(tags['addr:postcode']);
 
-    return parts.length > 0 ? parts.join(', ') : 'Address not available';
+    return parts.length > 0 ? parts.join(', ') : 'Address not available';
+}
+
+// =============================================================================
+// Category Picker — which type groups a LASO search queries
+// =============================================================================
+//
+// Each non-empty group costs one Nearby Search call per shape, so unticking
+// groups (or narrowing one to a few types) makes a search cheaper.  Types
+// picked inside a group still share that group's call, so the number of
+// calls can never exceed _searchGuard's group limit.
+
+const TYPE_SELECTION_KEY = 'laso_type_selection';
+
+// Chosen types per group, index-aligned with GOOGLE_TYPE_GROUPS (lazy-loaded)
+let _typeSelection = null;
+
+function _loadTypeSelection() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(TYPE_SELECTION_KEY));
+        if (Array.isArray(saved) && saved.length === GOOGLE_TYPE_GROUPS.length) {
+            return GOOGLE_TYPE_GROUPS.map((group, i) =>
+                Array.isArray(saved[i]) ? group.filter(t => saved[i].includes(t)) : [...group]);
+        }
+    } catch { /* corrupt — fall back to everything */ }
+    return GOOGLE_TYPE_GROUPS.map(group => [...group]);
+}
+
+function _getTypeSelection() {
+    if (!_typeSelection) _typeSelection = _loadTypeSelection();
+    return _typeSelection;
+}
+
+function _saveTypeSelection() {
+    try { localStorage.setItem(TYPE_SELECTION_KEY, JSON.stringify(_typeSelection)); } catch {}
+}
+
+/**
+ * Type lists the next LASO search will query, one Nearby call each per
+ * shape.  Only known types survive, and the list is capped at the guard's
+ * group limit.
+ */
+function getSelectedTypeGroups() {
+    const selection = _getTypeSelection();
+    return getSelectedTypeGroupIndexes()
+        .map(i => GOOGLE_TYPE_GROUPS[i].filter(t => selection[i].includes(t)));
+}
+
+/** Indexes into GOOGLE_TYPE_GROUPS of the groups with at least one type picked. */
+function getSelectedTypeGroupIndexes() {
+    const selection = _getTypeSelection();
+    return GOOGLE_TYPE_GROUPS
+        .map((group, i) => i)
+        .filter(i => GOOGLE_TYPE_GROUPS[i].some(t => selection[i].includes(t)))
+        .slice(0, _searchGuard.getMaxTypeGroups());
+}
+
+/** "3 calls" style estimate of the Nearby calls one search will make. */
+function describeSearchCallCost(groupCount) {
+    const shapes = Math.max(1, searchShapes.length);
+    const calls = groupCount * shapes;
+    let text = `${calls} call${calls === 1 ? '' : 's'} per search`;
+    if (shapes > 1) text += ` (${groupCount} × ${shapes} shapes)`;
+    if (calls > 0 && isAdaptiveTilingEnabled()) {
+        text += ` + up to ${_searchGuard.getMaxTileCalls()} in dense areas`;
+    }
+    return text;
+}
+
+function renderCategoryPicker() {
+    const list = document.getElementById('category-picker-list');
+    if (!list) return;
+    const selection = _getTypeSelection();
+
+    list.innerHTML = GOOGLE_TYPE_GROUPS.map((group, i) => {
+        const chosen = selection[i].length;
+        const typeItems = group.map(type => `
+            <label class="category-type">
+                <input type="checkbox" data-group="${i}" data-type="${type}"${selection[i].includes(type) ? ' checked' : ''}>
+                <span>${type.replace(/_/g, ' ')}</span>
+            </label>`).join('');
+        return `
+            <div class="category-group">
+                <label class="shape-tool-item category-group-row">
+                    <input type="checkbox" data-group="${i}"${chosen === group.length ? ' checked' : ''}>
+                    <i class="fas ${GOOGLE_TYPE_GROUP_ICONS[i]}"></i>
+                    <span>${GOOGLE_TYPE_GROUP_LABELS[i]}
+                        <small>${chosen === 0 ? 'skipped — no call' : `1 call · ${chosen === group.length ? 'all' : chosen} of ${group.length} types`}</small>
+                    </span>
+                </label>
+                <details class="category-types">
+                    <summary>Choose types</summary>
+                    <div class="category-type-list">${typeItems}</div>
+                </details>
+            </div>`;
+    }).join('');
+
+    // Partially-picked groups show an indeterminate box
+    list.querySelectorAll('.category-group-row input').forEach(box => {
+        const i = +box.dataset.group;
+        const chosen = selection[i].length;
+        box.indeterminate = chosen > 0 && chosen < GOOGLE_TYPE_GROUPS[i].length;
+    });
+
+    updateCategoryPickerSummary();
+}
+
+/** Refresh the cost line in the picker and the picker button's state. */
+function updateCategoryPickerSummary() {
+    const groupCount = getSelectedTypeGroups().length;
+    const selection = _getTypeSelection();
+    const isFiltered = selection.some((types, i) => types.length < GOOGLE_TYPE_GROUPS[i].length);
+
+    const cost = document.getElementById('category-picker-cost');
+    if (cost) {
+        cost.textContent = groupCount === 0
+            ? 'Pick at least one category'
+            : describeSearchCallCost(groupCount);
+        cost.classList.toggle('is-empty', groupCount === 0);
+    }
+    const btn = document.getElementById('category-picker-btn');
+    if (btn) {
+        btn.classList.toggle('is-filtered', isFiltered);
+        btn.title = isFiltered
+            ? `Categories: ${groupCount} of ${GOOGLE_TYPE_GROUPS.length} groups`
+            : 'Categories: all';
+    }
+}
+
+function openCategoryPicker() {
+    const menu = document.getElementById('category-picker-menu');
+    if (!menu) return;
+    closeShapeToolsMenu();
+    renderCategoryPicker();
+    menu.classList.remove('hidden');
+    document.getElementById('category-picker-btn')?.setAttribute('aria-expanded', 'true');
+}
+
+function closeCategoryPicker() {
+    const menu = document.getElementById('category-picker-menu');
+    if (menu) menu.classList.add('hidden');
+    document.getElementById('category-picker-btn')?.setAttribute('aria-expanded', 'false');
+}
+
+function setupCategoryPicker() {
+    const btn = document.getElementById('category-picker-btn');
+    const menu = document.getElementById('category-picker-menu');
+    if (!btn || !menu) return;
+
+    btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        if (menu.classList.contains('hidden')) openCategoryPicker();
+        else closeCategoryPicker();
+    });
+    menu.addEventListener('click', (e) => e.stopPropagation());
+    document.addEventListener('click', closeCategoryPicker);
+
+    menu.addEventListener('change', (e) => {
+        const box = e.target;
+        if (!box.matches('input[type="checkbox"][data-group]')) return;
+        const i = +box.dataset.group;
+        const selection = _getTypeSelection();
+        if (box.dataset.type) {
+            const type = box.dataset.type;
+            selection[i] = GOOGLE_TYPE_GROUPS[i].filter(t =>
+                t === type ? box.checked : selection[i].includes(t));
+        } else {
+            selection[i] = box.checked ? [...GOOGLE_TYPE_GROUPS[i]] : [];
+        }
+        _saveTypeSelection();
+        // Keep open <details> open across the re-render
+        const open = [...menu.querySelectorAll('.category-types')].map(d => d.open);
+        renderCategoryPicker();
+        menu.querySelectorAll('.category-types').forEach((d, j) => { d.open = open[j]; });
+    });
+
+    const setAll = (all) => {
+        _typeSelection = GOOGLE_TYPE_GROUPS.map(group => all ? [...group] : []);
+        _saveTypeSelection();
+        renderCategoryPicker();
+    };
+    document.getElementById('category-picker-all')?.addEventListener('click', () => setAll(true));
+    document.getElementById('category-picker-none')?.addEventListener('click', () => setAll(false));
+
+    updateCategoryPickerSummary();
+}
+
+// =============================================================================
+// Place Normalization — canonical place schema, source adapters, conflation
+// =============================================================================
+//
+// Every source is mapped into one place shape by an adapter below, so cards,
+// popups, filters and exports never see provider-specific JSON.  Canonical
+// fields:
+//
+//   place_id        'ChIJ…' for Google, 'osm:node/123' for OSM
+//   name, address, coordinates ([lat, lng] or null), place_type
+//   rating, userRatingCount, price ('$$'), phone, website, googleMapsUri,
+//   openNow, businessStatus, openingHours (raw OSM opening_hours string)
+//   openingPeriods  Google currentOpeningHours.periods
+//   detailsLoaded   false while Google's Enterprise fields are still pending
+//   sources         e.g. ['google', 'osm'] once conflated
+//   google          { rating, userRatingCount, googleMapsUri, displayName }
+//                   — Google's own values, kept for the card/popup code
+//                   that reads them
+//
+// conflatePlaces merges records of the same real-world business from
+// several sources (by name similarity and distance), so one card can show
+// the Google rating and OSM opening hours together — see searchShapeWithGoogle.
+
+const PLACE_DEFAULTS = Object.freeze({
+    place_id: '',
+    name: 'Unnamed Place',
+    address: 'Address not available',
+    coordinates: null,
+    place_type: 'Business',
+    rating: null,
+    userRatingCount: 0,
+    price: null,
+    phone: null,
+    website: null,
+    googleMapsUri: null,
+    openNow: null,
+    businessStatus: null,
+    openingHours: null,
+    openingPeriods: null
+});
+
+// Fields conflation may fill in from a later source
+const CONFLATED_FIELDS = Object.freeze([
+    'rating', 'userRatingCount', 'price', 'phone', 'website', 'googleMapsUri',
+    'openNow', 'businessStatus', 'openingHours', 'openingPeriods'
+]);
+
+const CONFLATE_MAX_DISTANCE_M = 75;
+const CONFLATE_MIN_NAME_SIMILARITY = 0.8;
+
+const OSM_ELEMENT_TYPES = Object.freeze({ N: 'node', W: 'way', R: 'relation', node: 'node', way: 'way', relation: 'relation' });
+
+/** Build a canonical place from `fields` (anything missing gets its default). */
+function createPlace(fields, source) {
+    const place = { ...PLACE_DEFAULTS };
+    for (const [key, value] of Object.entries(fields)) {
+        if (value !== undefined && value !== null && value !== '') place[key] = value;
+    }
+    place.sources = [source];
+    place.google = {
+        rating: place.rating,
+        userRatingCount: place.userRatingCount,
+        googleMapsUri: place.googleMapsUri,
+        displayName: fields.name || null
+    };
+    return place;
+}
+
+function _osmPlaceId(type, id) {
+    const t = OSM_ELEMENT_TYPES[type];
+    return t && id != null ? `osm:${t}/${id}` : '';
+}
+
+/** Google Places (New) `places[]` entry.  `detailsLoaded` marks Nearby results still missing Enterprise fields. */
+function normalizeGooglePlace(gp, { detailsLoaded = true } = {}) {
+    return createPlace({
+        place_id: gp.id,
+        name: gp.displayName ? gp.displayName.text : null,
+        address: gp.formattedAddress,
+        coordinates: gp.location ? [gp.location.latitude, gp.location.longitude] : null,
+        place_type: gp.primaryTypeDisplayName
+            ? gp.primaryTypeDisplayName.text
+            : (gp.primaryType || 'Business').replace(/_/g, ' '),
+        rating: gp.rating,
+        userRatingCount: gp.userRatingCount,
+        phone: gp.internationalPhoneNumber,
+        website: gp.websiteUri,
+        googleMapsUri: gp.googleMapsUri,
+        openNow: gp.currentOpeningHours?.openNow,
+        openingPeriods: gp.currentOpeningHours?.periods,
+        businessStatus: gp.businessStatus,
+        detailsLoaded
+    }, 'google');
+}
+
+/** Overpass element — a node, or a way/relation queried with `out center`. */
+function normalizeOverpassElement(el) {
+    const tags = el.tags || {};
+    const lat = el.lat ?? el.center?.lat;
+    const lng = el.lon ?? el.center?.lon;
+    if (lat == null || lng == null) return null;
+    return createPlace({
+        place_id: _osmPlaceId(el.type, el.id),
+        osm_id: el.id,
+        osm_type: el.type,
+        name: tags.name,
+        address: formatAddress(tags),
+        coordinates: [lat, lng],
+        place_type: getPlaceType(tags),
+        phone: tags.phone || tags['contact:phone'],
+        website: tags.website || tags['contact:website'],
+        openingHours: tags.opening_hours
+    }, 'osm');
+}
+
+/** 0–1 similarity of two business names (symmetric computeNameRelevance). */
+function placeNameSimilarity(a, b) {
+    const ta = tokenizeFilterQuery(a), tb = tokenizeFilterQuery(b);
+    if (ta.length === 0 || tb.length === 0) return 0;
+    return Math.max(computeNameRelevance(ta, b), computeNameRelevance(tb, a));
+}
+
+/**
+ * Fold `other` into `target` (mutated): `target` keeps every value it
+ * already has, `other` only fills the gaps.  Returns `target`.
+ */
+function mergePlaceRecords(target, other) {
+    const targetFromGoogle = (target.sources || []).includes('google');
+    for (const field of CONFLATED_FIELDS) {
+        const empty = target[field] === null || target[field] === undefined
+            || (field === 'userRatingCount' && !target[field]);
+        if (empty && other[field] !== null && other[field] !== undefined) target[field] = other[field];
+    }
+    if (target.address === PLACE_DEFAULTS.address && other.address !== PLACE_DEFAULTS.address) {
+        target.address = other.address;
+    }
+    if (other.osm_id != null && target.osm_id == null) {
+        target.osm_id = other.osm_id;
+        target.osm_type = other.osm_type;
+    }
+    target.sources = [...new Set([...(target.sources || []), ...(other.sources || [])])];
+    // target.google only ever holds values Google returned
+    if (other.google && !targetFromGoogle && (other.sources || []).includes('google')) {
+        target.google = { ...other.google };
+    }
+    return target;
+}
+
+/**
+ * Merge place lists from several sources into one.  Earlier lists take
+ * precedence — pass Google first so its values win over OSM's.  A place
+ * joins an existing record with the same place_id, or one from a different
+ * source within CONFLATE_MAX_DISTANCE_M whose name is similar enough;
+ * otherwise it is kept as its own record.
+ */
+function conflatePlaces(lists, {
+    maxDistanceM = CONFLATE_MAX_DISTANCE_M,
+    minSimilarity = CONFLATE_MIN_NAME_SIMILARITY
+} = {}) {
+    const merged = [];
+    const byId = new Map();
+
+    for (const list of lists) {
+        for (const place of list) {
+            let match = place.place_id ? byId.get(place.place_id) : null;
+
+            if (!match && place.coordinates) {
+                let bestScore = 0;
+                for (const candidate of merged) {
+                    if (!candidate.coordinates) continue;
+                    // Two records from one source are two businesses
+                    if (candidate.sources.some(src => place.sources.includes(src))) continue;
+                    const d = calculateDistance(candidate.coordinates, place.coordinates);
+                    if (d > maxDistanceM) continue;
+                    const similarity = placeNameSimilarity(candidate.name, place.name);
+                    if (similarity < minSimilarity) continue;
+                    const score = similarity - 0.1 * d / maxDistanceM;   // nearer breaks ties
+                    if (score > bestScore) {
+                        bestScore = score;
+                        match = candidate;
+                    }
+                }
+            }
+
+            if (match) {
+                mergePlaceRecords(match, place);
+            } else {
+                match = { ...place, sources: [...(place.sources || [])], google: place.google && { ...place.google } };
+                merged.push(match);
+            }
+            if (place.place_id) byId.set(place.place_id, match);
+        }
+    }
+    return merged;
+}
+
+// =============================================================================
+// Opening Hours — OSM opening_hours evaluator and the "open at" filter
+// =============================================================================
+//
+// parseOpeningHours compiles an OSM opening_hours value (see the wiki's
+// Key:opening_hours/specification) into rules, and openingStateAt /
+// nextOpeningChange evaluate them at any Date.  Supported:
+//
+//   • normal (;), additional (,) and fallback (||) rule separators
+//   • year, month and month-day ranges (Dec 24-Jan 06), week numbers
+//     (week 01-53/2), weekday ranges incl. wrap-around (Fr-Mo)
+//   • nth weekdays with day offsets (Su[-1], Mo[1,3], Sa[-1] +1 day)
+//   • several intervals per day, overnight ranges (22:00-02:00,
+//     18:00-26:00), open ends (17:00+), 24/7
+//   • sunrise / sunset / dawn / dusk with offsets — fixed approximations,
+//     we have no ephemeris
+//   • open / closed / off / unknown modifiers and "comments"
+//
+// PH / SH match dates passed in `options.holidays` ({ ph, sh } sets of
+// 'YYYY-MM-DD').  No holiday calendar is bundled, so without one any day
+// could be a holiday: openingStateAt reports unknown (null) wherever a PH / SH
+// rule would change the answer, and schedules / next changes assume an
+// ordinary day.  Easter and other unsupported syntax fails the parse (null);
+// callers then show the raw string.
+
+const OH_WEEKDAYS = Object.freeze(['Su', 'Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa']);   // Date#getDay order
+const OH_MONTHS = Object.freeze(['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec']);
+const OH_VARIABLE_TIMES = Object.freeze({ dawn: 330, sunrise: 360, sunset: 1110, dusk: 1140 });
+const OH_DAY_MINUTES = 1440;
+const OH_WEEK_MINUTES = 7 * OH_DAY_MINUTES;
+const OH_LOOKAHEAD_DAYS = 8;
+
+const _openingHoursCache = new Map();
+
+function _tokenizeOpeningHours(value) {
+    const tokens = [];
+    const re = /\s+|"([^"]*)"|(\d{1,2}):(\d{2})|(\d+)|([A-Za-z]+)|(\|\||[-,;:+/[\]()])/y;
+    while (re.lastIndex < value.length) {
+        const at = re.lastIndex;
+        const m = re.exec(value);
+        if (!m) throw new Error(`Unexpected "${value[at]}" at position ${at + 1}`);
+        if (m[1] !== undefined) tokens.push({ t: 'str', v: m[1] });
+        else if (m[2] !== undefined) tokens.push({ t: 'time', v: +m[2] * 60 + +m[3] });
+        else if (m[4] !== undefined) tokens.push({ t: 'num', v: +m[4], raw: m[4] });
+        else if (m[5] !== undefined) tokens.push({ t: 'word', v: m[5].toLowerCase() });
+        else if (m[6] !== undefined) tokens.push({ t: m[6] });
+    }
+    return tokens;
+}
+
+/** Recursive-descent parser; throws on anything outside the supported grammar. */
+function _compileOpeningHours(value) {
+    const tokens = _tokenizeOpeningHours(value.replace(/[–—]/g, '-'));
+    let pos = 0;
+
+    const peek = (offset = 0) => tokens[pos + offset];
+    const is = (type, v, offset = 0) => {
+        const tk = peek(offset);
+        return !!tk && tk.t === type && (v === undefined || tk.v === v);
+    };
+    const next = () => tokens[pos++];
+    const fail = msg => { throw new Error(`${msg} (token ${pos + 1})`); };
+    const expect = (type, what) => (is(type) ? next() : fail(`Expected ${what}`));
+    const indexIn = (names, tk) => (tk && tk.t === 'word' ? names.findIndex(n => n.toLowerCase() === tk.v) : -1);
+    const isWeekday = (offset = 0) => indexIn(OH_WEEKDAYS, peek(offset)) >= 0;
+    const isMonth = (offset = 0) => indexIn(OH_MONTHS, peek(offset)) >= 0;
+    const isHoliday = () => is('word', 'ph') || is('word', 'sh');
+    const isYear = () => is('num') && peek().raw.length === 4;
+    const isTimeStart = () => is('time') || is('(') || (is('word') && peek().v in OH_VARIABLE_TIMES);
+
+    // Comma-separated items; a comma followed by anything else separates rules
+    function list(item, continues) {
+        const items = [item()];
+        while (is(',')) {
+            pos++;
+            if (!continues()) { pos--; break; }
+            items.push(item());
+        }
+        return items;
+    }
+
+    function stepRange(what) {
+        const from = expect('num', what).v;
+        let to = from, step = 1;
+        if (is('-') && is('num', undefined, 1)) { next(); to = next().v; }
+        else if (is('+')) { next(); to = Infinity; }
+        if (is('/')) { next(); step = expect('num', 'a repeat step').v; }
+        return { from, to, step };
+    }
+
+    function monthItem() {
+        const m1 = indexIn(OH_MONTHS, next()) + 1;
+        if (is('num')) {
+            const from = m1 * 100 + next().v;
+            if (is('-') && is('num', undefined, 1)) {            // Dec 24-26
+                next();
+                return { from, to: m1 * 100 + next().v };
+            }
+            if (is('-') && isMonth(1)) {                          // Dec 24-Jan 06
+                next();
+                const m2 = indexIn(OH_MONTHS, next()) + 1;
+                return { from, to: m2 * 100 + (is('num') ? next().v : 31) };
+            }
+            return { from, to: from };
+        }
+        let m2 = m1;
+        if (is('-') && isMonth(1)) { next(); m2 = indexIn(OH_MONTHS, next()) + 1; }
+        return { from: m1 * 100 + 1, to: m2 * 100 + 31 };
+    }
+
+    function weekdayItem() {
+        if (isHoliday()) return { holiday: next().v };
+        const from = indexIn(OH_WEEKDAYS, next());
+        let to = from;
+        if (is('-') && isWeekday(1)) { next(); to = indexIn(OH_WEEKDAYS, next()); }
+        const item = { from, to, nth: null, offset: 0 };
+        if (is('[')) {
+            next();
+            item.nth = [];
+            for (;;) {
+                const negative = is('-') && !!next();
+                const a = expect('num', 'a week-of-month number').v * (negative ? -1 : 1);
+                let b = a;
+                if (!negative && is('-') && is('num', undefined, 1)) { next(); b = next().v; }
+                for (let n = a; n <= b; n++) item.nth.push(n);
+                if (!is(',')) break;
+                next();
+            }
+            expect(']', '"]"');
+            if ((is('+') || is('-')) && is('num', undefined, 1)) {
+                const sign = next().t === '+' ? 1 : -1;
+                item.offset = sign * next().v;
+                if (!is('word', 'day') && !is('word', 'days')) fail('Expected "day" after a day offset');
+                next();
+            }
+        }
+        return item;
+    }
+
+    function timePoint() {
+        if (is('time')) return next().v;
+        if (is('word') && peek().v in OH_VARIABLE_TIMES) return OH_VARIABLE_TIMES[next().v];
+        expect('(', 'a time');
+        const tk = next();
+        if (!tk || tk.t !== 'word' || !(tk.v in OH_VARIABLE_TIMES)) fail('Expected sunrise, sunset, dawn or dusk');
+        const sign = is('+') ? 1 : is('-') ? -1 : fail('Expected "+" or "-"');
+        next();
+        const offset = expect('time', 'an offset like 01:00').v;
+        expect(')', '")"');
+        return OH_VARIABLE_TIMES[tk.v] + sign * offset;
+    }
+
+    function timeSpan() {
+        const from = timePoint();
+        if (is('+')) {                                             // open end: "17:00+"
+            next();
+            return { from, to: Math.max(OH_DAY_MINUTES, from + 1), openEnd: true };
+        }
+        if (!is('-')) return { from, to: from };                   // a lone time point never counts as open
+        next();
+        let to = timePoint();
+        if (to <= from) to += OH_DAY_MINUTES;                      // 22:00-02:00 runs past midnight
+        if (is('+')) next();
+        if (is('/')) {                                             // "10:00-16:00/01:30" — treat as one span
+            next();
+            if (!is('time') && !is('num')) fail('Expected a repeat interval');
+            next();
+        }
+        return { from, to };
+    }
+
+    function rule() {
+        const r = { years: null, months: null, weeks: null, weekdays: null, times: null, state: true, comment: null };
+        const start = pos;
+        if (is('num', 24) && is('/', undefined, 1) && is('num', 7, 2)) {
+            pos += 3;
+            r.times = [{ from: 0, to: OH_DAY_MINUTES }];
+        } else {
+            if (isYear()) r.years = list(() => stepRange('a year'), isYear);
+            if (isMonth()) r.months = list(monthItem, isMonth);
+            if (is('word', 'week')) {
+                next();
+                r.weeks = list(() => stepRange('a week number'), () => is('num'));
+            }
+            if (is('word', 'easter')) fail('Easter dates are not supported');
+            if (isWeekday() || isHoliday()) r.weekdays = list(weekdayItem, () => isWeekday() || isHoliday());
+            if (is(':')) next();
+            if (isTimeStart()) r.times = list(timeSpan, isTimeStart);
+        }
+        if (is('word') && ['open', 'closed', 'off', 'unknown'].includes(peek().v)) {
+            const modifier = next().v;
+            r.state = modifier === 'open' ? true : modifier === 'unknown' ? null : false;
+        }
+        if (is('str')) {
+            if (pos === start) r.state = null;                     // a bare "comment" says nothing definite
+            r.comment = next().v;
+        }
+        if (pos === start) fail('Unexpected input');
+        return r;
+    }
+
+    const rules = [];
+    let kind = 'normal';
+    while (pos < tokens.length) {
+        const r = rule();
+        r.kind = kind;
+        rules.push(r);
+        if (pos >= tokens.length) break;
+        if (is(';')) kind = 'normal';
+        else if (is('||')) kind = 'fallback';
+        else if (is(',')) kind = 'additional';
+        else fail('Expected ";", "," or "||"');
+        next();
+    }
+    if (rules.length === 0) fail('Empty value');
+    return rules;
+}
+
+/**
+ * Compile an OSM opening_hours value into rules, or null if it uses syntax
+ * we can't evaluate.  Results are memoised per string.
+ */
+function parseOpeningHours(value) {
+    if (typeof value !== 'string' || !value.trim()) return null;
+    if (_openingHoursCache.has(value)) return _openingHoursCache.get(value);
+    let rules = null;
+    try {
+        rules = _compileOpeningHours(value.trim());
+    } catch (e) {
+        console.warn(`[Opening hours] Can't evaluate "${value}": ${e.message}`);
+    }
+    _openingHoursCache.set(value, rules);
+    return rules;
+}
+
+function _ohAddDays(date, days) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+function _ohDateKey(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+function _ohIsoWeek(date) {
+    const d = new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+    d.setUTCDate(d.getUTCDate() + 4 - (d.getUTCDay() || 7));
+    const yearStart = new Date(Date.UTC(d.getUTCFullYear(), 0, 1));
+    return Math.ceil(((d - yearStart) / 86400000 + 1) / 7);
+}
+
+function _ohInStepRange(value, range) {
+    return value >= range.from && value <= range.to && (value - range.from) % range.step === 0;
+}
+
+function _ohInWrappingRange(value, from, to) {
+    return from <= to ? value >= from && value <= to : value >= from || value <= to;
+}
+
+function _ohWeekdayMatches(item, date, holidays) {
+    if (item.holiday) return !!holidays?.[item.holiday]?.has(_ohDateKey(date));
+    const d = item.offset ? _ohAddDays(date, -item.offset) : date;
+    if (!_ohInWrappingRange(d.getDay(), item.from, item.to)) return false;
+    if (!item.nth) return true;
+    const daysInMonth = new Date(d.getFullYear(), d.getMonth() + 1, 0).getDate();
+    const fromStart = Math.floor((d.getDate() - 1) / 7) + 1;
+    const fromEnd = -(Math.floor((daysInMonth - d.getDate()) / 7) + 1);
+    return item.nth.includes(fromStart) || item.nth.includes(fromEnd);
+}
+
+function _ohRuleMatchesDate(rule, date, holidays) {
+    if (rule.years && !rule.years.some(r => _ohInStepRange(date.getFullYear(), r))) return false;
+    if (rule.months) {
+        const monthDay = (date.getMonth() + 1) * 100 + date.getDate();
+        if (!rule.months.some(r => _ohInWrappingRange(monthDay, r.from, r.to))) return false;
+    }
+    if (rule.weeks && !rule.weeks.some(r => _ohInStepRange(_ohIsoWeek(date), r))) return false;
+    if (rule.weekdays && !rule.weekdays.some(item => _ohWeekdayMatches(item, date, holidays))) return false;
+    return true;
+}
+
+function _ohSubtractSpans(spans, cuts) {
+    let out = spans;
+    for (const cut of cuts) {
+        out = out.flatMap(s => {
+            if (cut.to <= s.from || cut.from >= s.to) return [s];
+            const parts = [];
+            if (cut.from > s.from) parts.push({ ...s, to: cut.from });
+            if (cut.to < s.to) parts.push({ ...s, from: cut.to });
+            return parts;
+        });
+    }
+    return out;
+}
+
+/**
+ * Open / unknown spans (minutes from that day's midnight, `to` may pass
+ * 1440) that the rules give `date`.  Anything not covered is closed.
+ */
+function _ohDaySpans(rules, date, holidays) {
+    let spans = [];
+    let matched = false;
+    for (const rule of rules) {
+        if (rule.kind === 'fallback' && matched) continue;
+        if (!_ohRuleMatchesDate(rule, date, holidays)) continue;
+        matched = true;
+        if (rule.state === false) {
+            // "We 12:00-14:00 off" closes just those hours; a bare "off" the whole day
+            spans = rule.times ? _ohSubtractSpans(spans, rule.times) : [];
+            continue;
+        }
+        // A normal rule replaces what earlier rules said about this day
+        if (rule.kind !== 'additional') spans = [];
+        for (const t of rule.times || [{ from: 0, to: OH_DAY_MINUTES }]) {
+            if (t.to > t.from) spans.push({ ...t, state: rule.state, comment: rule.comment });
+        }
+    }
+    return spans;
+}
+
+/** Day-span lookups around `date`, memoised for one evaluation. */
+function _ohEvaluator(rules, date, holidays) {
+    const base = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    const days = new Map();
+    const spansFor = k => {
+        if (!days.has(k)) days.set(k, _ohDaySpans(rules, _ohAddDays(base, k), holidays));
+        return days.get(k);
+    };
+    // `rel` is minutes since `base`; yesterday's overnight spans spill into today
+    const stateAt = rel => {
+        const k = Math.floor(rel / OH_DAY_MINUTES);
+        const m = rel - k * OH_DAY_MINUTES;
+        const hits = [
+            ...spansFor(k).filter(s => m >= s.from && m < s.to),
+            ...spansFor(k - 1).filter(s => m + OH_DAY_MINUTES >= s.from && m + OH_DAY_MINUTES < s.to)
+        ];
+        const open = hits.some(s => s.state === true) ? true : hits.length > 0 ? null : false;
+        const hit = hits.find(s => s.state === open && s.comment);
+        return { open, comment: hit ? hit.comment : null };
+    };
+    const toDate = rel => {
+        const k = Math.floor(rel / OH_DAY_MINUTES);
+        return new Date(base.getFullYear(), base.getMonth(), base.getDate() + k, 0, rel - k * OH_DAY_MINUTES);
+    };
+    return { spansFor, stateAt, toDate };
+}
+
+/**
+ * Evaluate an OSM opening_hours value at `date`.
+ * @returns {{open: boolean|null, comment: string|null}|null} `open` is null
+ *          for "unknown"; the whole result is null if the value can't be parsed
+ */
+function openingStateAt(value, date = new Date(), { holidays = null } = {}) {
+    const rules = parseOpeningHours(value);
+    if (!rules) return null;
+    const minute = date.getHours() * 60 + date.getMinutes();
+    const kinds = holidays ? [] : _ohHolidayKinds(rules);
+    if (kinds.length === 0) return _ohEvaluator(rules, date, holidays).stateAt(minute);
+
+    // No calendar: try every mix of "today is / isn't a PH / SH" and only
+    // answer if they all agree
+    const always = { has: () => true };
+    const states = [];
+    for (let mask = 0; mask < 1 << kinds.length; mask++) {
+        const world = {};
+        kinds.forEach((kind, i) => { if (mask & (1 << i)) world[kind] = always; });
+        states.push(_ohEvaluator(rules, date, world).stateAt(minute));
+    }
+    if (states.every(s => s.open === states[0].open)) return states[0];
+    return { open: null, comment: states.find(s => s.comment)?.comment ?? null };
+}
+
+/** Holiday kinds ('ph', 'sh') that `rules` refer to. */
+function _ohHolidayKinds(rules) {
+    const kinds = new Set();
+    for (const rule of rules) {
+        for (const item of rule.weekdays || []) {
+            if (item.holiday) kinds.add(item.holiday);
+        }
+    }
+    return [...kinds];
+}
+
+/**
+ * The next time within a week the state of `value` changes after `date`.
+ * Without `holidays`, PH / SH rules are taken not to apply.
+ * @returns {{at: Date, open: boolean|null}|null} null if it never changes
+ *          (24/7, always closed) or can't be parsed
+ */
+function nextOpeningChange(value, date = new Date(), { holidays = null } = {}) {
+    const rules = parseOpeningHours(value);
+    if (!rules) return null;
+    const ev = _ohEvaluator(rules, date, holidays);
+    const now = date.getHours() * 60 + date.getMinutes();
+    const current = ev.stateAt(now).open;
+
+    const edges = new Set();
+    for (let k = -1; k <= OH_LOOKAHEAD_DAYS; k++) {
+        for (const s of ev.spansFor(k)) {
+            edges.add(k * OH_DAY_MINUTES + s.from);
+            if (!s.openEnd) edges.add(k * OH_DAY_MINUTES + s.to);   // "17:00+" has no known close
+        }
+    }
+    const upcoming = [...edges].filter(e => e > now).sort((a, b) => a - b);
+    for (const rel of upcoming) {
+        const state = ev.stateAt(rel);
+        if (state.open !== current) return { at: ev.toDate(rel), open: state.open };
+    }
+    return null;
+}
+
+/**
+ * Whether Google `currentOpeningHours.periods` cover `date` (weekly — the
+ * periods' own dates are ignored).  null when there are no periods.
+ */
+function googlePeriodsOpenAt(periods, date) {
+    if (!Array.isArray(periods) || periods.length === 0) return null;
+    const toMinutes = p => p.day * OH_DAY_MINUTES + (p.hour || 0) * 60 + (p.minute || 0);
+    const at = date.getDay() * OH_DAY_MINUTES + date.getHours() * 60 + date.getMinutes();
+    for (const period of periods) {
+        if (!period.open) continue;
+        if (!period.close) return true;                // a lone open with no close is 24/7
+        const from = toMinutes(period.open);
+        let to = toMinutes(period.close);
+        if (to <= from) to += OH_WEEK_MINUTES;          // Saturday night into Sunday
+        if ((at >= from && at < to) || (at + OH_WEEK_MINUTES >= from && at + OH_WEEK_MINUTES < to)) return true;
+    }
+    return false;
+}
+
+/**
+ * Whether `place` is open at `date` (default now) — true / false, or null
+ * when its hours are unknown.  OSM opening_hours win over Google periods
+ * (currentOpeningHours, which already reflect this week's holidays).
+ * Google's `openNow` is a snapshot from when the place was fetched, so it
+ * only answers "now", and only for places with neither.
+ */
+function placeOpenAt(place, date = null) {
+    const when = date || new Date();
+    if (place.openingHours) {
+        const state = openingStateAt(place.openingHours, when);
+        if (state && state.open !== null) return state.open;
+    }
+    const open = googlePeriodsOpenAt(place.openingPeriods, when);
+    if (open !== null) return open;
+    return date ? null : place.openNow ?? null;
+}
+
+// ── Weekly schedule & next change ───────────────────────────────────────
+
+/** Next open/closed transition in Google periods after `date`, within a week. */
+function googlePeriodsNextChange(periods, date) {
+    if (!Array.isArray(periods) || periods.length === 0) return null;
+    const current = googlePeriodsOpenAt(periods, date);
+    const at = date.getDay() * OH_DAY_MINUTES + date.getHours() * 60 + date.getMinutes();
+    const toMinutes = p => p.day * OH_DAY_MINUTES + (p.hour || 0) * 60 + (p.minute || 0);
+    const deltas = new Set();
+    for (const period of periods) {
+        for (const point of [period.open, period.close]) {
+            if (point) deltas.add(((toMinutes(point) - at) % OH_WEEK_MINUTES + OH_WEEK_MINUTES) % OH_WEEK_MINUTES || OH_WEEK_MINUTES);
+        }
+    }
+    for (const delta of [...deltas].sort((a, b) => a - b)) {
+        const when = new Date(date.getFullYear(), date.getMonth(), date.getDate(), date.getHours(), date.getMinutes() + delta);
+        const open = googlePeriodsOpenAt(periods, when);
+        if (open !== current) return { at: when, open };
+    }
+    return null;
+}
+
+/** When `place` next opens or closes after `now` (OSM hours first, then Google periods). */
+function placeNextOpeningChange(place, now = new Date()) {
+    if (place.openingHours && parseOpeningHours(place.openingHours)) {
+        return nextOpeningChange(place.openingHours, now);
+    }
+    return googlePeriodsNextChange(place.openingPeriods, now);
+}
+
+/**
+ * Seven days of hours for `place`, Monday first:
+ * [{ day, today, spans: [{ from, to, state }] }] with minutes from that
+ * day's midnight (`to` may pass 1440).  null when its hours are unknown.
+ */
+function placeWeeklySchedule(place, now = new Date()) {
+    const rules = place.openingHours ? parseOpeningHours(place.openingHours) : null;
+    const periods = Array.isArray(place.openingPeriods) && place.openingPeriods.length > 0
+        ? place.openingPeriods
+        : null;
+    if (!rules && !periods) return null;
+
+    const days = [];
+    for (let k = 0; k < 7; k++) {
+        const date = _ohAddDays(now, k);
+        const day = date.getDay();
+        let spans;
+        if (rules) {
+            spans = _ohDaySpans(rules, date, null).map(s => ({ from: s.from, to: s.to, state: s.state }));
+        } else if (periods.some(p => p.open && !p.close)) {
+            spans = [{ from: 0, to: OH_DAY_MINUTES, state: true }];
+        } else {
+            spans = periods
+                .filter(p => p.open && p.close && p.open.day === day)
+                .map(p => {
+                    const from = (p.open.hour || 0) * 60 + (p.open.minute || 0);
+                    let to = (p.close.hour || 0) * 60 + (p.close.minute || 0);
+                    if (p.close.day !== day || to <= from) to += OH_DAY_MINUTES;
+                    return { from, to, state: true };
+                });
+        }
+        spans.sort((a, b) => a.from - b.from);
+        days.push({ day, today: k === 0, spans });
+    }
+    return days.sort((a, b) => ((a.day + 6) % 7) - ((b.day + 6) % 7));
+}
+
+// ── "Open at" results filter ────────────────────────────────────────────
+
+/**
+ * null (any time), 'now', or { day: 0–6 (Sunday first), minutes } for the
+ * next such moment.  Turning it on offers to load Google hours for the
+ * result set (ensurePlaceDetails); places whose hours are still unknown are
+ * kept.
+ */
+let activeOpenAtFilter = null;
+
+const OPEN_AT_DAY_LABELS = Object.freeze(['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']);
+
+/** The Date an "open at" filter refers to: null for now, else its next occurrence. */
+function resolveOpenAtDate(filter, now = new Date()) {
+    if (!filter || filter === 'now') return null;
+    let ahead = (filter.day - now.getDay() + 7) % 7;
+    const sameDay = new Date(now.getFullYear(), now.getMonth(), now.getDate(), 0, filter.minutes);
+    if (ahead === 0 && sameDay < now) ahead = 7;
+    return new Date(now.getFullYear(), now.getMonth(), now.getDate() + ahead, 0, filter.minutes);
+}
+
+/** Minutes after midnight as "9 PM" / "9:30 AM" (wraps past 24:00). */
+function formatClockMinutes(minutes) {
+    const h = Math.floor(minutes / 60) % 24, m = minutes % 60;
+    return `${h % 12 || 12}${m ? ':' + String(m).padStart(2, '0') : ''} ${h >= 12 ? 'PM' : 'AM'}`;
+}
+
+/** "9 PM" / "9:30 AM", prefixed with the weekday when `date` isn't today. */
+function formatOpeningTime(date, now = new Date()) {
+    const time = formatClockMinutes(date.getHours() * 60 + date.getMinutes());
+    return date.toDateString() === now.toDateString() ? time : `${OPEN_AT_DAY_LABELS[date.getDay()]} ${time}`;
+}
+
+function describeOpenAtFilter(filter) {
+    if (!filter) return 'Any hours';
+    if (filter === 'now') return 'Open now';
+    return `Open ${OPEN_AT_DAY_LABELS[filter.day]} ${formatClockMinutes(filter.minutes)}`;
+}
+
+function syncOpenAtControls() {
+    const select = document.getElementById('open-at-select');
+    if (!select) return;
+    const atOption = select.querySelector('option[value="at"]');
+    if (typeof activeOpenAtFilter === 'object' && activeOpenAtFilter) {
+        atOption.textContent = describeOpenAtFilter(activeOpenAtFilter);
+        atOption.hidden = false;
+        select.value = 'at';
+    } else {
+        atOption.hidden = true;
+        select.value = activeOpenAtFilter === 'now' ? 'now' : 'any';
+    }
+}
+
+async function _setOpenAtFilter(filter) {
+    activeOpenAtFilter = filter;
+    syncOpenAtControls();
+    if (unfilteredSearchResults.length === 0) return;
+    applyFiltersAndSort({ resetToFirstPage: true });
+
+    // Nearby results only have hours once their details load; offer to load
+    // them and filter again unless the choice changed meanwhile
+    if (filter === null) return;
+    const updated = await ensurePlaceDetails(unfilteredSearchResults);
+    if (updated > 0 && activeOpenAtFilter === filter) {
+        applyFiltersAndSort({ resetToFirstPage: true });
+    }
+}
+
+function setupOpenAtFilter() {
+    const select = document.getElementById('open-at-select');
+    const picker = document.getElementById('open-at-picker');
+    const daySelect = document.getElementById('open-at-day');
+    const timeInput = document.getElementById('open-at-time');
+    const applyBtn = document.getElementById('open-at-apply');
+    if (!select || !picker || !daySelect || !timeInput || !applyBtn) return;
+
+    select.addEventListener('change', () => {
+        if (select.value === 'pick') {
+            // Default to the current choice, else today at the next full hour
+            const now = new Date();
+            const current = typeof activeOpenAtFilter === 'object' && activeOpenAtFilter
+                ? activeOpenAtFilter
+                : { day: now.getDay(), minutes: Math.min(23, now.getHours() + 1) * 60 };
+            daySelect.value = String(current.day);
+            timeInput.value = `${String(Math.floor(current.minutes / 60)).padStart(2, '0')}:${String(current.minutes % 60).padStart(2, '0')}`;
+            picker.classList.remove('hidden');
+            syncOpenAtControls();   // keep showing the active choice until applied
+            return;
+        }
+        picker.classList.add('hidden');
+        _setOpenAtFilter(select.value === 'now' ? 'now' : null);
+    });
+
+    applyBtn.addEventListener('click', () => {
+        const [h, m] = (timeInput.value || '').split(':').map(Number);
+        if (!Number.isFinite(h) || !Number.isFinite(m)) {
+            showNotification('Pick a time to filter by', 'error');
+            return;
+        }
+        picker.classList.add('hidden');
+        _setOpenAtFilter({ day: Number(daySelect.value), minutes: h * 60 + m });
+    });
+
+    document.addEventListener('pointerdown', (e) => {
+        if (picker.classList.contains('hidden')) return;
+        if (e.target && e.target.closest && e.target.closest('#open-at-filter')) return;
+        picker.classList.add('hidden');
+    }, { passive: true });
+
+    syncOpenAtControls();
+}
+
+// =============================================================================
+// Search Providers — Google Places (paid) or OpenStreetMap via Overpass (free)
+// =============================================================================
+//
+// A provider searches one shape ({ points, holes, circle }) and returns places
+// in the shape fetchNearbyPlaces produces.  "Auto" uses Google while the proxy
+// is configured and the daily budget lasts, then falls back to Overpass; the
+// choice can be pinned in Settings.  OSM places have no ratings and carry
+// place_id "osm:<type>/<id>".  Google searches also fetch the shape's OSM
+// places and conflate them in (searchShapeWithGoogle).
+
+const SEARCH_PROVIDER_KEY = 'laso_search_provider';   // 'auto' | 'google' | 'overpass'
+
+const SEARCH_PROVIDERS = Object.freeze({
+    google: Object.freeze({
+        id: 'google',
+        label: 'Google Places',
+        isAvailable: () => canMakeGooglePlacesCall(),
+        searchShape: (shape, progressCallback) => searchShapeWithGoogle(shape, progressCallback)
+    }),
+    overpass: Object.freeze({
+        id: 'overpass',
+        label: 'OpenStreetMap',
+        isAvailable: () => true,
+        searchShape: (shape, progressCallback) =>
+            searchPlacesWithOverpass(shape.points, progressCallback, shape.holes)
+    })
+});
+
+function getSearchProviderPreference() {
+    try {
+        const pref = localStorage.getItem(SEARCH_PROVIDER_KEY);
+        return pref && (pref === 'auto' || SEARCH_PROVIDERS[pref]) ? pref : 'auto';
+    } catch { return 'auto'; }
+}
+
+function setSearchProviderPreference(pref) {
+    try { localStorage.setItem(SEARCH_PROVIDER_KEY, pref); } catch {}
+}
+
+/** Provider for the next LASO search — the pinned one, or Auto's pick. */
+function resolveSearchProvider() {
+    const pref = getSearchProviderPreference();
+    if (pref !== 'auto') return SEARCH_PROVIDERS[pref];
+    return SEARCH_PROVIDERS.google.isAvailable() ? SEARCH_PROVIDERS.google : SEARCH_PROVIDERS.overpass;
+}
+
+// OSM tag filters per category group, index-aligned with GOOGLE_TYPE_GROUPS.
+// The category picker works at group level here — picking any type of a
+// group queries the whole group.
+const OSM_TYPE_GROUP_FILTERS = Object.freeze([
+    // Food & Drink
+    ['["amenity"~"^(restaurant|cafe|bar|pub|fast_food|ice_cream|food_court|biergarten)$"]',
+     '["shop"~"^(bakery|pastry|deli|confectionery)$"]'],
+    // Shopping & Retail
+    ['["shop"~"^(supermarket|convenience|mall|department_store|clothes|shoes|electronics|furniture|hardware|doityourself|houseware|jewelry|pet|books|alcohol|greengrocer|variety_store|gift|sports|toys|mobile_phone)$"]'],
+    // Services & Health
+    ['["amenity"~"^(bank|post_office|fuel|car_wash|pharmacy|hospital|clinic|doctors|dentist|veterinary)$"]',
+     '["shop"~"^(car_repair|laundry|dry_cleaning|hairdresser|beauty|chemist)$"]'],
+    // Education, Entertainment, Lodging, Religious
+    ['["amenity"~"^(school|university|college|library|cinema|nightclub|theatre|place_of_worship)$"]',
+     '["leisure"~"^(fitness_centre|sports_centre)$"]',
+     '["tourism"~"^(hotel|motel|guest_house|hostel)$"]']
+]);
+
+/**
+ * Overpass QL for named POIs of the picked groups inside `polygonPoints`
+ * ([lat, lng] ring).  `poly:` keeps the server-side search to the drawn area.
+ */
+function buildOverpassPlacesQuery(polygonPoints, groupIndexes) {
+    const poly = polygonPoints.map(p => `${p[0].toFixed(6)} ${p[1].toFixed(6)}`).join(' ');
+    const statements = groupIndexes
+        .flatMap(i => OSM_TYPE_GROUP_FILTERS[i])
+        .map(filter => `nwr${filter}["name"](poly:"${poly}");`)
+        .join('');
+    return `[out:json][timeout:25];(${statements});out center tags qt;`;
+}
+
+/**
+ * Search a polygon through Overpass — the free provider.  One request per
+ * shape; results are normalized, deduplicated and trimmed to the polygon
+ * (minus `holes`).  `fetchImpl` is injectable like fetchWalkNetwork's.
+ */
+async function searchPlacesWithOverpass(polygonPoints, progressCallback, holes = [], fetchImpl = fetch) {
+    const guardResult = _searchGuard.validateSearchArea(polygonPoints, holes);
+    if (!guardResult.ok) {
+        throw new Error('Search blocked: ' + guardResult.reason);
+    }
+    const groupIndexes = getSelectedTypeGroupIndexes();
+    if (groupIndexes.length === 0) throw new Error('Search blocked: no categories selected');
+
+    if (progressCallback) progressCallback('Searching OpenStreetMap...');
+
+    const response = await fetchImpl(OVERPASS_URL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: `data=${encodeURIComponent(buildOverpassPlacesQuery(polygonPoints, groupIndexes))}`
+    });
+    if (!response.ok) throw new Error(`Overpass error ${response.status}`);
+    const data = await response.json();
+
+    const unique = new Map();
+    for (const el of data.elements || []) {
+        const place = normalizeOverpassElement(el);
+        if (place && !unique.has(place.place_id)) unique.set(place.place_id, place);
+    }
+
+    const places = filterPlacesInPolygon(Array.from(unique.values()), polygonPoints, holes);
+    console.log(`[Overpass] ${places.length} places inside polygon (from ${unique.size} elements)`);
+    return places;
+}
+
+/**
+ * Search one shape with Google, then conflate the shape's OSM places in so
+ * Google results gain OSM opening hours, phone and website where Google's
+ * are not loaded.  The free Overpass request runs alongside the Google
+ * calls; if it fails the Google results are returned as they are.  Places
+ * only OSM knows are left out — this is Google's result list.
+ */
+async function searchShapeWithGoogle(shape, progressCallback) {
+    const osmPromise = searchPlacesWithOverpass(shape.points, null, shape.holes)
+        .catch(e => {
+            console.warn('[Conflate] OSM lookup failed:', e.message);
+            return [];
+        });
+    const googlePlaces = await searchPlacesWithGoogle(shape.points, progressCallback, shape.holes, shape.circle);
+    const osmPlaces = await osmPromise;
+    const places = conflatePlaces([googlePlaces, osmPlaces]).filter(p => p.sources.includes('google'));
+    const enriched = places.filter(p => p.sources.length > 1).length;
+    console.log(`[Conflate] ${enriched} of ${places.length} Google places matched OSM`);
+    return places;
 }
 
 // =============================================================================
@@ -3741,12 +7746,179 @@ function _recordGoogleApiCall() {
     return count;
 }
 
+// ── Worker-reported quota ──────────────────────────────────────────────
+// The worker meters every call that reaches Google per IP and globally, and
+// reports what is left of today's allowance in X-Quota-Remaining.  429s carry
+// Retry-After.  Unlike the localStorage counter above (per browser, easy to
+// clear), these numbers are authoritative, so canMakeGooglePlacesCall honours
+// them first.
+
+const GOOGLE_QUOTA_STORAGE_KEY = 'laso_google_quota';
+
+function _readServerQuota() {
+    try {
+        const quota = JSON.parse(localStorage.getItem(GOOGLE_QUOTA_STORAGE_KEY) || 'null');
+        return quota && typeof quota === 'object' ? quota : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Record the quota headers of a worker response.  Returns true when the
+ * response was a worker rate-limit 429 (so callers needn't treat it as a
+ * Google-side quota failure).
+ */
+function _noteGoogleQuotaHeaders(response) {
+    const remainingHeader = response.headers.get('X-Quota-Remaining');
+    const retryAfter = parseInt(response.headers.get('Retry-After'), 10);
+    const isWorkerLimit = response.status === 429 && Number.isFinite(retryAfter);
+    if (remainingHeader === null && !isWorkerLimit) return false;
+
+    const today = new Date().toISOString().split('T')[0];
+    const prev = _readServerQuota();
+    const quota = prev && prev.day === today ? prev : { day: today, remaining: null, retryAt: 0 };
+    if (remainingHeader !== null) {
+        const remaining = parseInt(remainingHeader, 10);
+        if (Number.isFinite(remaining)) quota.remaining = remaining;
+    }
+    if (isWorkerLimit) {
+        quota.retryAt = Date.now() + retryAfter * 1000;
+        console.warn(`[Google Places] Worker rate limit hit — retry in ${retryAfter}s`);
+    }
+    try {
+        localStorage.setItem(GOOGLE_QUOTA_STORAGE_KEY, JSON.stringify(quota));
+    } catch { /* storage full / blocked — the worker still enforces */ }
+    return isWorkerLimit;
+}
+
+// The worker validates every Google request (radius, types, field mask) and
+// answers rejects with a structured 400: { error: 'invalid_request', code,
+// field, message }.  The latest one is kept so the search status can say why.
+let _lastWorkerRejection = null;
+
+/**
+ * Parse a worker 400 body; returns the rejection (and shows it in the
+ * status bar) or null when the body isn't a structured validation error.
+ */
+function _noteWorkerRejection(status, errorText) {
+    if (status !== 400) return null;
+    let parsed;
+    try {
+        parsed = JSON.parse(errorText);
+    } catch {
+        return null;
+    }
+    if (!parsed || parsed.error !== 'invalid_request' || !parsed.message) return null;
+    _lastWorkerRejection = { code: parsed.code, field: parsed.field, message: parsed.message };
+    console.warn(`[Google Places] Worker rejected request (${parsed.code}):`, parsed.message);
+    updateStatus(`Search rejected — ${parsed.message}`);
+    return _lastWorkerRejection;
+}
+
 function canMakeGooglePlacesCall() {
     if (typeof LASO_PROXY_URL === 'undefined' || !LASO_PROXY_URL) return false;
+    const quota = _readServerQuota();
+    if (quota) {
+        if (quota.retryAt && Date.now() < quota.retryAt) return false;
+        if (quota.day === new Date().toISOString().split('T')[0] && quota.remaining === 0) return false;
+    }
     if (typeof GOOGLE_PLACES_DAILY_LIMIT === 'undefined') return true;
     return _getGoogleUsageCount() < GOOGLE_PLACES_DAILY_LIMIT;
 }
 
+// ── localStorage response cache ────────────────────────────────────────
+// Normalized Nearby / Text Search responses keyed by a quantized circle and
+// the type group or query, so redrawing nearly the same shape minutes later
+// costs no API calls.  Hits never touch _recordGoogleApiCall.  TTL comes
+// from GOOGLE_PLACES_CACHE_TTL_MIN in config.js (0 disables the cache).
+const _PLACES_CACHE_KEY = 'laso_places_cache_v1';
+const _PLACES_CACHE_MAX = 60;
+const _PLACES_CACHE_DEFAULT_TTL_MIN = 30;
+
+// Hits / network calls since the last resetPlacesCacheStats() — for the status bar
+let _placesCacheStats = { hits: 0, misses: 0 };
+
+function _placesCacheTtlMs() {
+    const minutes = typeof GOOGLE_PLACES_CACHE_TTL_MIN !== 'undefined'
+        ? GOOGLE_PLACES_CACHE_TTL_MIN
+        : _PLACES_CACHE_DEFAULT_TTL_MIN;
+    return Math.max(0, Number(minutes) || 0) * 60000;
+}
+
+function _loadPlacesCache() {
+    try {
+        return JSON.parse(localStorage.getItem(_PLACES_CACHE_KEY)) || {};
+    } catch { return {}; }
+}
+
+// ~11 m centre grid, 25 m radius buckets — small redraws land on the same key
+function _quantizeCircle(lat, lng, radius) {
+    return `${lat.toFixed(4)},${lng.toFixed(4)},${Math.round(radius / 25) * 25}`;
+}
+
+function _nearbyCacheKey(includedTypes, circle, rankPreference, withDetails = false) {
+    const c = circle.center;
+    return `nearby|${[...includedTypes].sort().join(',')}|${rankPreference}|` +
+        _quantizeCircle(c.latitude, c.longitude, circle.radius) +
+        (withDetails ? '|details' : '');
+}
+
+function _textSearchCacheKey(textQuery, center, radiusM, maxResults, pageToken = null) {
+    return `textpage|${textQuery.trim().toLowerCase()}|${maxResults}|` +
+        _quantizeCircle(center.lat, center.lng, radiusM) +
+        (pageToken ? `|${pageToken}` : '');
+}
+
+/**
+ * Cached value for `key`, or null when missing / expired / caching is off.
+ * Returns a fresh copy, so callers may mutate the places.
+ */
+function _placesCacheGet(key) {
+    const ttl = _placesCacheTtlMs();
+    if (ttl === 0) return null;
+    const entry = _loadPlacesCache()[key];
+    if (!entry || Date.now() - entry._ts > ttl) {
+        _placesCacheStats.misses++;
+        return null;
+    }
+    _placesCacheStats.hits++;
+    console.log(`[Places cache] Hit ${key} (${Math.round((Date.now() - entry._ts) / 1000)}s old)`);
+    return entry.data;
+}
+
+function _placesCacheSet(key, data) {
+    const ttl = _placesCacheTtlMs();
+    if (ttl === 0) return;
+    const now = Date.now();
+    const cache = _loadPlacesCache();
+    // Drop expired entries, then the oldest when over the limit
+    for (const k of Object.keys(cache)) {
+        if (now - cache[k]._ts > ttl) delete cache[k];
+    }
+    cache[key] = { _ts: now, data };
+    const keys = Object.keys(cache);
+    if (keys.length > _PLACES_CACHE_MAX) {
+        keys.sort((a, b) => cache[a]._ts - cache[b]._ts);
+        while (keys.length > _PLACES_CACHE_MAX) delete cache[keys.shift()];
+    }
+    try { localStorage.setItem(_PLACES_CACHE_KEY, JSON.stringify(cache)); } catch {}
+}
+
+function resetPlacesCacheStats() {
+    _placesCacheStats = { hits: 0, misses: 0 };
+}
+
+/**
+ * Status-bar suffix describing how much of the last search came from cache.
+ */
+function describePlacesCacheUse() {
+    const { hits, misses } = _placesCacheStats;
+    if (hits === 0) return '';
+    if (misses === 0) return ' (from cache)';
+    return ` (${hits} of ${hits + misses} requests from cache)`;
+}
+
 /**
  * Minimum enclosing circle of 2D points (Welzl's algorithm, O(n) expected).
  * Input: array of [x, y] pairs.  Returns { cx, cy, r }.
@@ -3893,32 +8065,181 @@ function findPointInsidePolygon(polygonPoints) {
     return centroid;
 }
 
+/**
+ * Whether adaptive tile subdivision is enabled (Settings → Dense Area Coverage).
+ * Defaults to on; the extra calls are capped by _searchGuard and the daily budget.
+ */
+function isAdaptiveTilingEnabled() {
+    try { return localStorage.getItem(ADAPTIVE_TILES_KEY) !== 'false'; }
+    catch (e) { return true; }
+}
+
+/**
+ * Clip a closed [lat, lng] ring to an axis-aligned lat/lng box
+ * (Sutherland–Hodgman).  Returns a closed ring, or null if nothing is left.
+ */
+function _clipPolygonToBox(polygonPoints, box) {
+    const edges = [
+        { inside: p => p[0] >= box.south, cut: (a, b) => _cutAtLat(a, b, box.south) },
+        { inside: p => p[0] <= box.north, cut: (a, b) => _cutAtLat(a, b, box.north) },
+        { inside: p => p[1] >= box.west,  cut: (a, b) => _cutAtLng(a, b, box.west) },
+        { inside: p => p[1] <= box.east,  cut: (a, b) => _cutAtLng(a, b, box.east) }
+    ];
+
+    // Work on the open ring — the closing vertex is re-added at the end
+    let ring = polygonPoints.slice(0, -1);
+    for (const edge of edges) {
+        if (ring.length === 0) break;
+        const out = [];
+        for (let i = 0; i < ring.length; i++) {
+            const cur = ring[i];
+            const prev = ring[(i + ring.length - 1) % ring.length];
+            const curIn = edge.inside(cur);
+            const prevIn = edge.inside(prev);
+            if (curIn) {
+                if (!prevIn) out.push(edge.cut(prev, cur));
+                out.push(cur);
+            } else if (prevIn) {
+                out.push(edge.cut(prev, cur));
+            }
+        }
+        ring = out;
+    }
+
+    // Drop repeated vertices left where the polygon only touches the box
+    ring = ring.filter((p, i) => {
+        const q = ring[(i + ring.length - 1) % ring.length];
+        return p[0] !== q[0] || p[1] !== q[1];
+    });
+    if (ring.length < 3) return null;
+
+    // Zero-area slivers (polygon runs along a box edge) can't hold places
+    let twiceArea = 0;
+    for (let i = 0; i < ring.length; i++) {
+        const a = ring[i], b = ring[(i + 1) % ring.length];
+        twiceArea += a[1] * b[0] - b[1] * a[0];
+    }
+    if (Math.abs(twiceArea) < 1e-12) return null;
+
+    ring.push([...ring[0]]);
+    return ring;
+}
+
+function _cutAtLat(a, b, lat) {
+    const t = (lat - a[0]) / (b[0] - a[0]);
+    return [lat, a[1] + t * (b[1] - a[1])];
+}
+
+function _cutAtLng(a, b, lng) {
+    const t = (lng - a[1]) / (b[1] - a[1]);
+    return [a[0] + t * (b[0] - a[0]), lng];
+}
+
+/**
+ * Split a polygon into (up to) four quadrant tiles, each clipped to the
+ * polygon so the covering circles stay as tight as possible.
+ */
+function _splitPolygonIntoTiles(polygonPoints) {
+    let south = Infinity, north = -Infinity, west = Infinity, east = -Infinity;
+    for (const p of polygonPoints) {
+        if (p[0] < south) south = p[0];
+        if (p[0] > north) north = p[0];
+        if (p[1] < west) west = p[1];
+        if (p[1] > east) east = p[1];
+    }
+    const midLat = (south + north) / 2;
+    const midLng = (west + east) / 2;
+    const quadrants = [
+        { south: midLat, north: north,  west: west,   east: midLng },
+        { south: midLat, north: north,  west: midLng, east: east },
+        { south: south,  north: midLat, west: west,   east: midLng },
+        { south: south,  north: midLat, west: midLng, east: east }
+    ];
+    return quadrants
+        .map(box => _clipPolygonToBox(polygonPoints, box))
+        .filter(Boolean);
+}
+
+/**
+ * Re-query a saturated type group over quadtree tiles of `polygonPoints`,
+ * recursing into tiles that saturate again.  `budget` is shared across all
+ * groups in one search: { remaining, used, exhausted }.
+ */
+async function _refineSaturatedGroup(types, polygonPoints, budget, depth, progressCallback) {
+    const found = [];
+    for (const tile of _splitPolygonIntoTiles(polygonPoints)) {
+        if (budget.remaining <= 0 || !canMakeGooglePlacesCall()) {
+            budget.exhausted = true;
+            break;
+        }
+        const circle = polygonToBoundingCircle(tile);
+        if (!circle) continue;
+
+        budget.remaining--;
+        budget.used++;
+        if (progressCallback) progressCallback(`Refining dense area (${budget.used} extra call${budget.used === 1 ? '' : 's'})...`);
+
+        const { places, saturated } = await _fetchNearbyPlacesBatch(types, circle);
+        found.push(...places);
+
+        if (saturated && depth < TILE_MAX_DEPTH && circle.radius > TILE_MIN_RADIUS_M) {
+            found.push(...await _refineSaturatedGroup(types, tile, budget, depth + 1, progressCallback));
+        } else if (saturated) {
+            budget.exhausted = true;
+        }
+    }
+    return found;
+}
+
 /**
  * Search for businesses within a polygon using Google Nearby Search (New).
  * Uses POPULARITY ranking so important/large places aren't pushed out by
- * 20 tiny shops closer to center.  Makes 4 parallel requests (one per
- * type group), combines, deduplicates, then filters to the polygon boundary.
+ * 20 tiny shops closer to center.  Makes one parallel request per type
+ * group picked in the category picker (getSelectedTypeGroups), combines,
+ * deduplicates, then filters to the polygon boundary.
+ *
+ * With adaptive tiling on, every group that comes back saturated is
+ * re-queried over smaller tiles of the polygon (see _refineSaturatedGroup).
+ * `holes` are exclusion rings; `knownCircle` ({ center, radius }) is used
+ * as-is for circle-shaped areas instead of the minimum enclosing circle.
  */
-async function searchPlacesWithGoogle(polygonPoints, progressCallback) {
+async function searchPlacesWithGoogle(polygonPoints, progressCallback, holes = [], knownCircle = null) {
     // ── Search-area validation (closure-scoped limits — tamper-resistant) ──
-    const guardResult = _searchGuard.validateSearchArea(polygonPoints);
+    const guardResult = _searchGuard.validateSearchArea(polygonPoints, holes);
     if (!guardResult.ok) {
         throw new Error('Search blocked: ' + guardResult.reason);
     }
 
-    const circle = polygonToBoundingCircle(polygonPoints);
+    // Circle presets already know their circle — skip the Welzl step
+    const circle = knownCircle || polygonToBoundingCircle(polygonPoints);
     if (!circle) throw new Error('Could not compute search area from polygon');
 
     if (progressCallback) progressCallback('Searching Google Places...');
 
-    const typeGroups = GOOGLE_TYPE_GROUPS.slice(0, _searchGuard.getMaxTypeGroups());
+    const typeGroups = getSelectedTypeGroups();
+    if (typeGroups.length === 0) throw new Error('Search blocked: no categories selected');
 
     // Make parallel requests for each type group
     const promises = typeGroups.map((types, i) => {
-        return fetchNearbyPlaces(types, circle);
+        return _fetchNearbyPlacesBatch(types, circle);
     });
 
-    const results = await Promise.all(promises);
+    const batches = await Promise.all(promises);
+    const results = batches.map(b => b.places);
+
+    // Adaptive subdivision: re-query saturated groups over smaller tiles.
+    // Groups run one after another so the shared call budget is exact.
+    const saturatedGroups = typeGroups.filter((types, i) => batches[i].saturated);
+    if (saturatedGroups.length > 0 && isAdaptiveTilingEnabled()) {
+        const budget = { remaining: _searchGuard.getMaxTileCalls(), used: 0, exhausted: false };
+        for (const types of saturatedGroups) {
+            results.push(await _refineSaturatedGroup(types, polygonPoints, budget, 1, progressCallback));
+        }
+        console.log(`[Google Places] ${saturatedGroups.length} saturated group(s) refined with ${budget.used} tile call(s)`);
+        if (budget.exhausted) {
+            console.warn('[Google Places] Tile budget exhausted — dense areas may still be incomplete');
+        }
+    }
 
     // Combine and deduplicate by Google place ID
     const placeMap = new Map();
@@ -3941,183 +8262,545 @@ async function searchPlacesWithGoogle(polygonPoints, progressCallback) {
     // Filter strictly to polygon boundary
     const filtered = uniquePlaces.filter(place => {
         if (!place.coordinates) return false;
-        return pointInPolygon(place.coordinates, polygonPoints);
+        return pointInPolygon(place.coordinates, polygonPoints, holes);
     });
 
     console.log(`[Google Places] ${filtered.length} places inside polygon (filtered from ${uniquePlaces.length})`);
     return filtered;
 }
 
+/**
+ * Search several disjoint shapes ({ points, holes }) in one run with
+ * `provider` (see SEARCH_PROVIDERS).  Every shape is validated by
+ * _searchGuard before any API call is made; shapes are then searched one
+ * after another and merged by place_id.  Each place is tagged with
+ * `shapeIndex` — the 0-based index of the first shape that returned it —
+ * and, for route corridors, `routePosition` (metres along the route) and
+ * `routeIndex` — the index of the first shape drawn along the same route, so
+ * the pieces of a self-crossing route sort as one line.
+ */
+async function searchPlacesInShapes(shapes, progressCallback, provider = resolveSearchProvider()) {
+    if (shapes.length > _searchGuard.getMaxShapes()) {
+        throw new Error(`Search blocked: more than ${_searchGuard.getMaxShapes()} shapes`);
+    }
+    shapes.forEach((shape, i) => {
+        const guardResult = _searchGuard.validateSearchArea(shape.points, shape.holes);
+        if (!guardResult.ok) {
+            throw new Error(`Search blocked: shape ${i + 1} — ${guardResult.reason}`);
+        }
+    });
+
+    const merged = new Map();
+    for (let i = 0; i < shapes.length; i++) {
+        const prefix = shapes.length > 1 ? `Shape ${i + 1}/${shapes.length}: ` : '';
+        const places = await provider.searchShape(shapes[i], (progress) => {
+            if (progressCallback) progressCallback(prefix + progress);
+        });
+        for (const place of places) {
+            if (merged.has(place.place_id)) continue;
+            place.shapeIndex = i;
+            if (shapes[i].route && place.coordinates) {
+                place.routePosition = positionAlongLine(place.coordinates, shapes[i].route);
+                place.routeIndex = shapes.findIndex(s => s.route === shapes[i].route);
+            }
+            merged.set(place.place_id, place);
+        }
+    }
+    return Array.from(merged.values());
+}
+
 /**
  * Fetch up to 20 places from Google Nearby Search for a set of types.
  * Returns normalized place objects ready for display.
  */
 async function fetchNearbyPlaces(includedTypes, circle, rankPreference = 'POPULARITY') {
+    const { places } = await _fetchNearbyPlacesBatch(includedTypes, circle, rankPreference);
+    return places;
+}
+
+/**
+ * Nearby Search call behind fetchNearbyPlaces.  Returns { places, saturated }
+ * where `saturated` is true when Google returned the full 20-result page
+ * (counted before permanently-closed places are dropped).
+ */
+async function _fetchNearbyPlacesBatch(includedTypes, circle, rankPreference = 'POPULARITY') {
+    const empty = { places: [], saturated: false };
+
     // Defence-in-depth: independently validate circle radius at the fetch boundary
     if (!_searchGuard.validateCircleRadius(circle.radius)) {
         console.warn('[Google Places] Circle radius exceeds limit — blocked');
-        return [];
+        return empty;
     }
 
+    const withDetails = _placeFiltersNeedDetails();
+    const cacheKey = _nearbyCacheKey(includedTypes, circle, rankPreference, withDetails);
+    const cached = _placesCacheGet(cacheKey);
+    if (cached) return cached;
+
     if (!canMakeGooglePlacesCall()) {
         console.warn('[Google Places] Daily limit reached — skipping API call');
-        return [];
+        return empty;
     }
 
+    const result = await _requestNearbyPlaces(includedTypes, circle, rankPreference, withDetails);
+    if (!result) return empty;
+    _placesCacheSet(cacheKey, result);
+    return result;
+}
+
+/**
+ * The Nearby Search request itself.  Returns { places, saturated }, or null
+ * when the call failed (failures are never cached).  `withDetails` asks for
+ * phone / website / hours up front (GOOGLE_NEARBY_DETAILS_FIELD_MASK).
+ */
+async function _requestNearbyPlaces(includedTypes, circle, rankPreference, withDetails = false) {
     try {
         const response = await fetch(LASO_PROXY_URL + '/search', {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
-                'X-Goog-FieldMask': GOOGLE_FIELD_MASK
+                'X-Goog-FieldMask': withDetails ? GOOGLE_NEARBY_DETAILS_FIELD_MASK : GOOGLE_FIELD_MASK
             },
             body: JSON.stringify({
                 includedTypes: includedTypes,
                 locationRestriction: { circle: circle },
-                maxResultCount: 20,
+                maxResultCount: GOOGLE_NEARBY_MAX_RESULTS,
                 rankPreference: rankPreference
             })
         });
 
         _recordGoogleApiCall();
+        const workerLimited = _noteGoogleQuotaHeaders(response);
 
         if (!response.ok) {
             const errorText = await response.text();
             console.error(`[Google Places] Search failed (${response.status}):`, errorText);
-            if (response.status === 429 || response.status === 403) {
+            _noteWorkerRejection(response.status, errorText);
+            if (!workerLimited && (response.status === 429 || response.status === 403)) {
                 console.warn('[Google Places] Quota exceeded or forbidden — disabling for this session');
                 localStorage.setItem(_googleUsageKey(), '99999');
             }
-            return [];
+            return null;
         }
 
         const data = await response.json();
-        if (!data.places || data.places.length === 0) return [];
+        if (!data.places || data.places.length === 0) return { places: [], saturated: false };
 
-        const permClosed = data.places.filter(gp => gp.businessStatus === 'CLOSED_PERMANENTLY');
+        const saturated = data.places.length >= GOOGLE_NEARBY_MAX_RESULTS;
 
-        return data.places
+        const places = data.places
             .filter(gp => gp.businessStatus !== 'CLOSED_PERMANENTLY')
-            .map(gp => {
-                const rating = gp.rating || null;
-                const userRatingCount = gp.userRatingCount || 0;
-                const googleMapsUri = gp.googleMapsUri || null;
-                const displayName = gp.displayName ? gp.displayName.text : null;
+            // Otherwise phone / website / hours come later from loadPlaceDetails
+            .map(gp => normalizeGooglePlace(gp, { detailsLoaded: withDetails }));
+        return { places, saturated };
+    } catch (err) {
+        console.error('[Google Places] Fetch error:', err);
+        return null;
+    }
+}
 
-                return {
-                    place_id: gp.id || '',
-                    name: displayName || 'Unnamed Place',
-                    address: gp.formattedAddress || 'Address not available',
-                    coordinates: gp.location
-                        ? [gp.location.latitude, gp.location.longitude]
-                        : null,
-                    place_type: gp.primaryTypeDisplayName
-                        ? gp.primaryTypeDisplayName.text
-                        : (gp.primaryType || 'Business').replace(/_/g, ' '),
-                    rating: rating,
-                    userRatingCount: userRatingCount,
-                    phone: gp.internationalPhoneNumber || null,
-                    website: gp.websiteUri || null,
-                    googleMapsUri: googleMapsUri,
-                    openNow: gp.currentOpeningHours?.openNow ?? null,
-                    // Backward-compatible google sub-object for card/popup rendering
-                    google: {
-                        rating: rating,
-                        userRatingCount: userRatingCount,
-                        googleMapsUri: googleMapsUri,
-                        displayName: displayName
+/**
+ * Search for places by free-text query using Google Places Text Search (New).
+ * Used for category searches ("tacos") and business name searches ("Trader Joes").
+ *
+ * @param {string} textQuery  — the search term (e.g. "tacos", "Trader Joes")
+ * @param {{lat: number, lng: number}} center — location bias center
+ * @param {number} radiusM   — bias radius in metres (default 8000 ≈ 5 miles)
+ * @param {number} maxResults — max results to return (1–20, default 5)
+ * @returns {Array} normalized place objects (same shape as fetchNearbyPlaces)
+ */
+async function fetchTextSearchPlaces(textQuery, center, radiusM = 8000, maxResults = 5) {
+    const { places } = await fetchTextSearchPage(textQuery, center, radiusM, maxResults);
+    return places;
+}
+
+/**
+ * One page of Text Search results.  Pass the previous page's
+ * `nextPageToken` (with the same query, center, radius and page size) to
+ * get the page after it.  Every page is a separate billed call.
+ *
+ * @returns {{places: Array, nextPageToken: string|null}}
+ */
+async function fetchTextSearchPage(textQuery, center, radiusM = 8000, maxResults = 5, pageToken = null) {
+    const empty = { places: [], nextPageToken: null };
+    const cacheKey = _textSearchCacheKey(textQuery, center, radiusM, maxResults, pageToken);
+    const cached = _placesCacheGet(cacheKey);
+    if (cached) return cached;
+
+    if (!canMakeGooglePlacesCall()) {
+        console.warn('[Google Text Search] Daily limit reached — skipping');
+        return empty;
+    }
+
+    const page = await _requestTextSearchPlaces(textQuery, center, radiusM, maxResults, pageToken);
+    if (!page) return empty;
+    _placesCacheSet(cacheKey, page);
+    return page;
+}
+
+/**
+ * The Text Search request itself.  Returns { places, nextPageToken }, or
+ * null when the call failed (failures are never cached).
+ */
+async function _requestTextSearchPlaces(textQuery, center, radiusM, maxResults, pageToken = null) {
+    try {
+        const response = await fetch(LASO_PROXY_URL + '/textsearch', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Goog-FieldMask': GOOGLE_TEXT_SEARCH_FIELD_MASK
+            },
+            body: JSON.stringify({
+                textQuery: textQuery,
+                locationBias: {
+                    circle: {
+                        center: { latitude: center.lat, longitude: center.lng },
+                        radius: radiusM
                     }
-                };
-            });
+                },
+                pageSize: Math.min(maxResults, 20),
+                ...(pageToken ? { pageToken } : {})
+            })
+        });
+
+        _recordGoogleApiCall();
+        _noteGoogleQuotaHeaders(response);
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            console.error(`[Google Text Search] Failed (${response.status}):`, errorText);
+            _noteWorkerRejection(response.status, errorText);
+            return null;
+        }
+
+        const data = await response.json();
+        const nextPageToken = data.nextPageToken || null;
+        if (!data.places || data.places.length === 0) return { places: [], nextPageToken };
+
+        const places = data.places
+            .filter(gp => gp.businessStatus !== 'CLOSED_PERMANENTLY')
+            .map(gp => normalizeGooglePlace(gp, { detailsLoaded: true }));
+        return { places, nextPageToken };
     } catch (err) {
-        console.error('[Google Places] Fetch error:', err);
-        return [];
+        console.error('[Google Text Search] Fetch error:', err);
+        return null;
+    }
+}
+
+// ── Text Search paging ─────────────────────────────────────────────────
+// Category searches ("tacos") list a balanced top 10 of Text Search's first
+// page.  Pressing Next past the loaded results first reveals the rest of
+// that page (already paid for), then fetches further pages with the
+// nextPageToken — each one a billed call against the daily budget.
+let _textSearchPaging = null;
+
+/**
+ * Remember how to continue the paged Text Search whose results are now in
+ * unfilteredSearchResults.  `held` are fetched places not listed yet;
+ * `accept` filters (and annotates) places from later pages.
+ */
+function startTextSearchPaging({ textQuery, center, radiusM, pageSize, nextPageToken, held, accept }) {
+    _textSearchPaging = {
+        textQuery, center, radiusM, pageSize, nextPageToken, held, accept,
+        results: unfilteredSearchResults,   // identity check — a new search replaces this array
+        loading: false
+    };
+}
+
+function hasMoreTextSearchResults() {
+    const paging = _textSearchPaging;
+    return !!paging && paging.results === unfilteredSearchResults
+        && (paging.held.length > 0 || !!paging.nextPageToken);
+}
+
+/** Append the next batch of Text Search results and move to the next page. */
+async function loadMoreTextSearchResults() {
+    const paging = _textSearchPaging;
+    if (!hasMoreTextSearchResults() || paging.loading) return;
+
+    paging.loading = true;
+    try {
+        let added = paging.held.splice(0);
+        if (added.length === 0) {
+            if (!canMakeGooglePlacesCall()) {
+                showNotification('Daily API limit reached. Try again tomorrow.', 'error');
+                return;
+            }
+            showLoading(true, 'Loading more results...');
+            updateStatus('Loading more results...', true);
+            const page = await fetchTextSearchPage(
+                paging.textQuery, paging.center, paging.radiusM, paging.pageSize, paging.nextPageToken
+            );
+            paging.nextPageToken = page.nextPageToken;
+            added = page.places.filter(paging.accept);
+        }
+        if (paging.results !== unfilteredSearchResults) return;   // superseded mid-fetch
+
+        const seen = new Set(unfilteredSearchResults.map(p => p.place_id));
+        let gained = 0;
+        for (const place of added) {
+            if (seen.has(place.place_id)) continue;
+            seen.add(place.place_id);
+            unfilteredSearchResults.push(place);
+            gained++;
+        }
+
+        const nextPage = currentDisplayOffset + 1;
+        populateTypeDatalistFromResults(unfilteredSearchResults);
+        applyFiltersAndSort({ resetToFirstPage: false });
+        if (nextPage * RESULTS_PER_PAGE < allSearchResults.length) {
+            currentDisplayOffset = nextPage;
+            displayResultsPage(nextPage);
+        }
+        updateStatus(gained > 0
+            ? `Loaded ${gained} more — ${unfilteredSearchResults.length} results`
+            : 'No more results');
+    } finally {
+        paging.loading = false;
+        showLoading(false);
+    }
+}
+
+// ── Place Details (on demand) ──────────────────────────────────────────
+// Nearby Search only returns the Pro-tier fields in GOOGLE_FIELD_MASK.  The
+// phone, website and opening hours of a place are fetched through the
+// worker's /details route the first time its card is selected or its popup
+// opens — or, once the user agrees, for every place by ensurePlaceDetails —
+// then kept in a per-place localStorage cache (same TTL as the response
+// cache) so reopening it, in this or a later search, is free.  Only the
+// weekly periods are cached, never Google's openNow: open / closed is
+// recomputed from them.
+const _PLACE_DETAILS_CACHE_KEY = 'laso_place_details_v2';
+const PLACE_DETAILS_BULK_CONCURRENCY = 4;
+const _PLACE_DETAILS_CACHE_MAX = 300;
+
+// place_id → pending fetch, so a card tap and its popup share one call
+const _placeDetailsInFlight = new Map();
+
+function _loadPlaceDetailsCache() {
+    try {
+        return JSON.parse(localStorage.getItem(_PLACE_DETAILS_CACHE_KEY)) || {};
+    } catch { return {}; }
+}
+
+function _placeDetailsCacheGet(placeId) {
+    const ttl = _placesCacheTtlMs();
+    if (ttl === 0) return null;
+    const entry = _loadPlaceDetailsCache()[placeId];
+    if (!entry || Date.now() - entry._ts > ttl) return null;
+    return entry.data;
+}
+
+function _placeDetailsCacheSet(placeId, data) {
+    const ttl = _placesCacheTtlMs();
+    if (ttl === 0) return;
+    const now = Date.now();
+    const cache = _loadPlaceDetailsCache();
+    for (const k of Object.keys(cache)) {
+        if (now - cache[k]._ts > ttl) delete cache[k];
+    }
+    cache[placeId] = { _ts: now, data };
+    const keys = Object.keys(cache);
+    if (keys.length > _PLACE_DETAILS_CACHE_MAX) {
+        keys.sort((a, b) => cache[a]._ts - cache[b]._ts);
+        while (keys.length > _PLACE_DETAILS_CACHE_MAX) delete cache[keys.shift()];
+    }
+    try { localStorage.setItem(_PLACE_DETAILS_CACHE_KEY, JSON.stringify(cache)); } catch {}
+}
+
+/**
+ * Fetch the on-demand fields for one Google place.
+ * @returns {Promise<{phone, website, openingPeriods}|null>} null when unavailable
+ */
+async function fetchPlaceDetails(placeId) {
+    const cached = _placeDetailsCacheGet(placeId);
+    if (cached) return cached;
+    if (_placeDetailsInFlight.has(placeId)) return _placeDetailsInFlight.get(placeId);
+    if (!canMakeGooglePlacesCall()) {
+        console.warn('[Place Details] Daily limit reached — skipping');
+        return null;
+    }
+
+    const request = (async () => {
+        try {
+            const response = await fetch(
+                `${LASO_PROXY_URL}/details?id=${encodeURIComponent(placeId)}`,
+                { headers: { 'X-Goog-FieldMask': GOOGLE_DETAILS_FIELD_MASK } }
+            );
+            _recordGoogleApiCall();
+            _noteGoogleQuotaHeaders(response);
+
+            if (!response.ok) {
+                const errorText = await response.text();
+                console.error(`[Place Details] Failed (${response.status}):`, errorText);
+                return null;
+            }
+
+            const gp = await response.json();
+            const details = {
+                phone: gp.internationalPhoneNumber || null,
+                website: gp.websiteUri || null,
+                openingPeriods: gp.currentOpeningHours?.periods || null
+            };
+            _placeDetailsCacheSet(placeId, details);
+            return details;
+        } catch (err) {
+            console.error('[Place Details] Fetch error:', err);
+            return null;
+        } finally {
+            _placeDetailsInFlight.delete(placeId);
+        }
+    })();
+    _placeDetailsInFlight.set(placeId, request);
+    return request;
+}
+
+/**
+ * Load the on-demand details for allSearchResults[index] (if it still
+ * needs them) and refresh its card and open popup in place.
+ */
+async function loadPlaceDetails(index) {
+    const place = allSearchResults[index];
+    if (!place || place.detailsLoaded !== false || !place.place_id) return;
+
+    const epoch = _clearEpoch;
+    const details = await fetchPlaceDetails(place.place_id);
+    if (!details || epoch !== _clearEpoch) return;
+
+    _applyPlaceDetails(place, details);
+    _refreshPlaceDetailsUI(place);
+}
+
+// Google wins, but a value already conflated in from OSM is kept when
+// Google has none
+function _applyPlaceDetails(place, details) {
+    place.phone = details.phone ?? place.phone;
+    place.website = details.website ?? place.website;
+    place.openingPeriods = details.openingPeriods ?? place.openingPeriods;
+    place.detailsLoaded = true;
+}
+
+/**
+ * Whether the active results filters read phone / website / hours, so new
+ * Nearby searches should ask for them up front.
+ */
+function _placeFiltersNeedDetails() {
+    return activeOpenAtFilter !== null || filterQueryNeedsDetails(activePlaceQuery);
+}
+
+/** Apply the cached details of any place in `places` still missing them — no API calls. */
+function applyCachedPlaceDetails(places) {
+    let updated = 0;
+    for (const place of places) {
+        if (place.detailsLoaded !== false || !place.place_id) continue;
+        const details = _placeDetailsCacheGet(place.place_id);
+        if (!details) continue;
+        _applyPlaceDetails(place, details);
+        updated++;
+    }
+    return updated;
+}
+
+/** Google calls left today by the stricter of the worker's and our own count; Infinity if unmetered. */
+function googleCallsLeftToday() {
+    if (!canMakeGooglePlacesCall()) return 0;
+    let left = Infinity;
+    const quota = _readServerQuota();
+    if (quota && quota.day === new Date().toISOString().split('T')[0] && quota.remaining !== null) {
+        left = quota.remaining;
     }
+    if (typeof GOOGLE_PLACES_DAILY_LIMIT !== 'undefined') {
+        left = Math.min(left, GOOGLE_PLACES_DAILY_LIMIT - _getGoogleUsageCount());
+    }
+    return Math.max(0, left);
 }
 
 /**
- * Search for places by free-text query using Google Places Text Search (New).
- * Used for category searches ("tacos") and business name searches ("Trader Joes").
+ * Load the on-demand details for the Google places in `places` that still
+ * lack them — for the filters that read hours / phone / website across the
+ * whole result set (open-at, has: / open: predicates).  Cached details are
+ * applied for free; the rest cost one Place Details call each, so the user
+ * is asked first with the call count, and at most today's remaining budget
+ * is spent.  Places left without details keep detailsLoaded === false.
  *
- * @param {string} textQuery  — the search term (e.g. "tacos", "Trader Joes")
- * @param {{lat: number, lng: number}} center — location bias center
- * @param {number} radiusM   — bias radius in metres (default 8000 ≈ 5 miles)
- * @param {number} maxResults — max results to return (1–20, default 5)
- * @returns {Array} normalized place objects (same shape as fetchNearbyPlaces)
+ * @returns {Promise<number>} how many places were updated
  */
-async function fetchTextSearchPlaces(textQuery, center, radiusM = 8000, maxResults = 5) {
-    if (!canMakeGooglePlacesCall()) {
-        console.warn('[Google Text Search] Daily limit reached — skipping');
-        return [];
-    }
-
-    try {
-        const response = await fetch(LASO_PROXY_URL + '/textsearch', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'X-Goog-FieldMask': GOOGLE_FIELD_MASK
-            },
-            body: JSON.stringify({
-                textQuery: textQuery,
-                locationBias: {
-                    circle: {
-                        center: { latitude: center.lat, longitude: center.lng },
-                        radius: radiusM
-                    }
-                },
-                maxResultCount: Math.min(maxResults, 20)
-            })
-        });
-
-        _recordGoogleApiCall();
+async function ensurePlaceDetails(places) {
+    let updated = applyCachedPlaceDetails(places);
+    const pending = places.filter(p => p.detailsLoaded === false && p.place_id);
+    if (pending.length === 0) return updated;
+
+    const left = googleCallsLeftToday();
+    if (left === 0) {
+        showNotification(`Google daily limit reached — hours and contact details stay unknown for ${pending.length} place${pending.length === 1 ? '' : 's'}`, 'error');
+        return updated;
+    }
+    const total = Math.min(pending.length, left);
+    const plural = n => `${n} place${n === 1 ? '' : 's'}`;
+    const question = total < pending.length
+        ? `Hours and contact details are missing for ${plural(pending.length)}. Load them for the first ${total}? ` +
+          `That uses the ${total} Google Place Details calls left today.`
+        : `Hours and contact details are missing for ${plural(pending.length)}. Load them? ` +
+          `That uses ${total} Google Place Details call${total === 1 ? '' : 's'}` +
+          (Number.isFinite(left) ? ` (${left} left today).` : '.');
+    if (!confirm(question)) {
+        console.log(`[Place Details] Bulk load of ${pending.length} places declined`);
+        return updated;
+    }
+    pending.length = total;
 
-        if (!response.ok) {
-            const errorText = await response.text();
-            console.error(`[Google Text Search] Failed (${response.status}):`, errorText);
-            return [];
+    const epoch = _clearEpoch;
+    let done = 0;
+    let loaded = 0;
+    const progress = () => updateStatus(`Loading hours & contact details (${done}/${total})...`, true);
+    progress();
+
+    const worker = async () => {
+        while (pending.length > 0 && epoch === _clearEpoch) {
+            const place = pending.shift();
+            const details = await fetchPlaceDetails(place.place_id);
+            if (epoch !== _clearEpoch) return;
+            if (details) {
+                _applyPlaceDetails(place, details);
+                loaded++;
+            }
+            done++;
+            progress();
         }
+    };
+    await Promise.all(Array.from({ length: Math.min(PLACE_DETAILS_BULK_CONCURRENCY, total) }, worker));
+    if (epoch !== _clearEpoch) return updated + loaded;
 
-        const data = await response.json();
-        if (!data.places || data.places.length === 0) return [];
+    console.log(`[Place Details] Loaded ${loaded}/${total} places`);
+    if (loaded < total) {
+        showNotification(`Hours and contact details unavailable for ${plural(total - loaded)}`, 'error');
+    }
+    updateStatus(`Loaded details for ${plural(loaded)}`);
+    return updated + loaded;
+}
 
-        const permClosed = data.places.filter(gp => gp.businessStatus === 'CLOSED_PERMANENTLY');
+// Results may have been re-sorted / re-filtered while the fetch was in
+// flight, so locate the place by identity rather than the original index.
+function _refreshPlaceDetailsUI(place) {
+    const index = allSearchResults.indexOf(place);
+    if (index === -1) return;
 
-        return data.places
-            .filter(gp => gp.businessStatus !== 'CLOSED_PERMANENTLY')
-            .map(gp => {
-                const rating = gp.rating || null;
-                const userRatingCount = gp.userRatingCount || 0;
-                const googleMapsUri = gp.googleMapsUri || null;
-                const displayName = gp.displayName ? gp.displayName.text : null;
+    const card = document.getElementById(`place-card-${index}`);
+    if (card) {
+        const wasActive = card.classList.contains('active');
+        const template = document.createElement('template');
+        template.innerHTML = createPlaceCard(place, index).trim();
+        const fresh = template.content.firstElementChild;
+        if (wasActive) fresh.classList.add('active');
+        fresh.addEventListener('click', () => highlightPlace(index));
+        card.replaceWith(fresh);
+    }
 
-                return {
-                    place_id: gp.id || '',
-                    name: displayName || 'Unnamed Place',
-                    address: gp.formattedAddress || 'Address not available',
-                    coordinates: gp.location
-                        ? [gp.location.latitude, gp.location.longitude]
-                        : null,
-                    place_type: gp.primaryTypeDisplayName
-                        ? gp.primaryTypeDisplayName.text
-                        : (gp.primaryType || 'Business').replace(/_/g, ' '),
-                    rating: rating,
-                    userRatingCount: userRatingCount,
-                    phone: gp.internationalPhoneNumber || null,
-                    website: gp.websiteUri || null,
-                    googleMapsUri: googleMapsUri,
-                    openNow: gp.currentOpeningHours?.openNow ?? null,
-                    google: {
-                        rating: rating,
-                        userRatingCount: userRatingCount,
-                        googleMapsUri: googleMapsUri,
-                        displayName: displayName
-                    }
-                };
-            });
-    } catch (err) {
-        console.error('[Google Text Search] Fetch error:', err);
-        return [];
+    const marker = markers.find(m => m.placeIndex === index);
+    if (marker && marker.isPopupOpen()) {
+        const sidebar = document.getElementById('results-sidebar');
+        const simplified = isMobileView() && sidebar && sidebar.classList.contains('open');
+        marker.setPopupContent(buildPopupContent(place, index, simplified));
     }
 }
 
@@ -4315,11 +8998,13 @@ function getPlaceIcon(type) {
 function getPlaceType(tags) {
     if (tags.amenity) return tags.amenity.replace(/_/g, ' ');
     if (tags.shop) return `Shop: ${tags.shop.replace(/_/g, ' ')}`;
+    if (tags.tourism) return tags.tourism.replace(/_/g, ' ');
+    if (tags.leisure) return tags.leisure.replace(/_/g, ' ');
     return 'Business';
 }
 
-function filterPlacesInPolygon(places, polygonPoints) {
-    console.log('Filtering', places.length, 'places with polygon:', polygonPoints.length, 'points');
+function filterPlacesInPolygon(places, polygonPoints, holes = []) {
+    console.log('Filtering', places.length, 'places with polygon:', polygonPoints.length, 'points,', holes.length, 'holes');
 
     const kept = [];
     const excluded = [];
@@ -4331,13 +9016,16 @@ function filterPlacesInPolygon(places, polygonPoints) {
         }
 
         // Use proper point-in-polygon ray casting algorithm
-        const isInside = pointInPolygon(place.coordinates, polygonPoints);
+        const isInside = pointInPolygon(place.coordinates, polygonPoints, holes);
 
         // Check if place is ON the polygon boundary (within 5 meters of any edge)
-        const distanceToEdge = getDistanceToPolygonEdge(place.coordinates, polygonPoints);
+        const distanceToEdge = getDistanceToPolygonEdge(place.coordinates, polygonPoints, holes);
         const isOnBoundary = distanceToEdge <= 5; // 5 meter tolerance
 
-        if (isInside || isOnBoundary) {
+        // Boundary tolerance never lets a place back in from inside an exclusion
+        const inHole = holes.some(hole => pointInPolygon(place.coordinates, hole));
+
+        if (!inHole && (isInside || isOnBoundary)) {
             kept.push(place);
             console.log('✓ KEEP:', place.name || 'Unnamed', 'type:', place.place_type, 'inside:', isInside, 'boundary:', isOnBoundary);
         } else {
@@ -4391,6 +9079,478 @@ function displayResults(places) {
     });
 }
 
+// =============================================================================
+// Results Export (CSV / GeoJSON / KML)
+// =============================================================================
+//
+// Downloads the current filtered + sorted list (allSearchResults), in the
+// order shown in the sidebar.
+
+const EXPORT_CSV_COLUMNS = [
+    ['name',            p => p.name],
+    ['address',         p => p.address],
+    ['latitude',        p => p.coordinates ? p.coordinates[0] : ''],
+    ['longitude',       p => p.coordinates ? p.coordinates[1] : ''],
+    ['type',            p => p.place_type],
+    ['rating',          p => p.rating],
+    ['rating_count',    p => p.userRatingCount],
+    ['open_now',        p => { const open = placeOpenAt(p); return open === true ? 'yes' : open === false ? 'no' : ''; }],
+    ['phone',           p => p.phone],
+    ['website',         p => p.website],
+    ['google_maps_url', p => p.googleMapsUri]
+];
+
+function _csvCell(value) {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    // Spreadsheet formula injection: neutralise cells that would be evaluated
+    // (phone numbers like "+1 555…" are left alone)
+    if (/^[=@]/.test(text) || (/^[+\-]/.test(text) && !/^[+\-]?[\d\s().\-]+$/.test(text))) {
+        text = "'" + text;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function buildResultsCsv(places) {
+    const header = EXPORT_CSV_COLUMNS.map(([name]) => name).join(',');
+    const rows = places.map(p => EXPORT_CSV_COLUMNS.map(([, get]) => _csvCell(get(p))).join(','));
+    return [header, ...rows].join('\r\n') + '\r\n';
+}
+
+// Shared per-place properties for GeoJSON / KML
+function _exportPlaceProperties(place) {
+    return {
+        name: place.name,
+        address: place.address,
+        type: place.place_type || null,
+        rating: place.rating ?? null,
+        rating_count: place.userRatingCount ?? null,
+        open_now: placeOpenAt(place),
+        phone: place.phone || null,
+        website: place.website || null,
+        google_maps_url: place.googleMapsUri || null,
+        place_id: place.place_id || null
+    };
+}
+
+/**
+ * FeatureCollection of the search area polygon(s) followed by one Point per
+ * place.  Coordinates are GeoJSON [lng, lat].
+ */
+function buildResultsGeoJson(places, shapes) {
+    const toLngLat = ring => ring.map(p => [p[1], p[0]]);
+    const areaFeatures = shapes.map((shape, i) => ({
+        type: 'Feature',
+        geometry: { type: 'Polygon', coordinates: [shape.points, ...shape.holes].map(toLngLat) },
+        properties: { kind: 'search_area', shape: i + 1 }
+    }));
+    const placeFeatures = places
+        .filter(p => p.coordinates)
+        .map(p => ({
+            type: 'Feature',
+            geometry: { type: 'Point', coordinates: [p.coordinates[1], p.coordinates[0]] },
+            properties: { kind: 'place', ..._exportPlaceProperties(p) }
+        }));
+    return JSON.stringify({ type: 'FeatureCollection', features: [...areaFeatures, ...placeFeatures] }, null, 2);
+}
+
+function _xmlEscape(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * KML document with the search area(s) and one styled placemark per place —
+ * green when open now, red when closed, blue when unknown.
+ */
+function buildResultsKml(places, shapes) {
+    // KML colours are aabbggrr
+    const style = (id, color) =>
+        `<Style id="${id}"><IconStyle><color>${color}</color>` +
+        '<Icon><href>https://maps.google.com/mapfiles/kml/paddle/wht-blank.png</href></Icon>' +
+        '</IconStyle></Style>';
+    const coordText = ring => ring.map(p => `${p[1]},${p[0]}`).join(' ');
+
+    const areas = shapes.map((shape, i) =>
+        `<Placemark><name>Search area ${i + 1}</name><styleUrl>#searchArea</styleUrl><Polygon>` +
+        `<outerBoundaryIs><LinearRing><coordinates>${coordText(shape.points)}</coordinates></LinearRing></outerBoundaryIs>` +
+        shape.holes.map(h =>
+            `<innerBoundaryIs><LinearRing><coordinates>${coordText(h)}</coordinates></LinearRing></innerBoundaryIs>`
+        ).join('') +
+        '</Polygon></Placemark>');
+
+    const placemarks = places.filter(p => p.coordinates).map(p => {
+        const props = _exportPlaceProperties(p);
+        const open = placeOpenAt(p);
+        const styleId = open === true ? 'placeOpen' : open === false ? 'placeClosed' : 'placeUnknown';
+        const details = [
+            props.address,
+            props.rating !== null ? `Rating: ${props.rating} (${props.rating_count || 0})` : null,
+            props.phone,
+            props.website,
+            props.google_maps_url
+        ].filter(Boolean).join('\n');
+        const data = Object.entries(props)
+            .filter(([, v]) => v !== null && v !== undefined)
+            .map(([k, v]) => `<Data name="${k}"><value>${_xmlEscape(v)}</value></Data>`)
+            .join('');
+        return `<Placemark><name>${_xmlEscape(p.name)}</name>` +
+            `<description>${_xmlEscape(details)}</description>` +
+            `<styleUrl>#${styleId}</styleUrl><ExtendedData>${data}</ExtendedData>` +
+            `<Point><coordinates>${p.coordinates[1]},${p.coordinates[0]}</coordinates></Point></Placemark>`;
+    });
+
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+        '<kml xmlns="http://www.opengis.net/kml/2.2"><Document><name>LASO Search results</name>' +
+        style('placeOpen', 'ff3aa834') + style('placeClosed', 'ff3543ea') + style('placeUnknown', 'fff48542') +
+        '<Style id="searchArea"><LineStyle><color>fff48542</color><width>3</width></LineStyle>' +
+        '<PolyStyle><color>33f48542</color></PolyStyle></Style>\n' +
+        [...areas, ...placemarks].join('\n') +
+        '\n</Document></kml>\n';
+}
+
+function _downloadTextFile(text, fileName, mimeType) {
+    const url = URL.createObjectURL(new Blob([text], { type: mimeType }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Download the current result list as 'csv' | 'geojson' | 'kml'.  Phone,
+ * website and hours are exported where loaded or cached, blank otherwise.
+ */
+function exportResults(format) {
+    closeExportMenu();
+    const places = allSearchResults.slice();
+    if (places.length === 0) {
+        showNotification('No results to export', 'error');
+        return;
+    }
+    // Only what is already loaded or cached — exporting never spends Google
+    // calls, so places whose details never loaded have blank phone / website
+    if (applyCachedPlaceDetails(places) > 0) {
+        applyFiltersAndSort({ resetToFirstPage: false });
+    }
+    const shapes = getSearchShapeGeometry();
+    const stamp = new Date().toISOString().slice(0, 10);
+    const base = `laso-results-${stamp}`;
+
+    if (format === 'csv') {
+        // BOM so Excel opens UTF-8 names correctly
+        _downloadTextFile('\uFEFF' + buildResultsCsv(places), `${base}.csv`, 'text/csv;charset=utf-8');
+    } else if (format === 'geojson') {
+        _downloadTextFile(buildResultsGeoJson(places, shapes), `${base}.geojson`, 'application/geo+json');
+    } else if (format === 'kml') {
+        _downloadTextFile(buildResultsKml(places, shapes), `${base}.kml`, 'application/vnd.google-earth.kml+xml');
+    } else {
+        return;
+    }
+    console.log(`[Export] ${places.length} places as ${format}`);
+    showNotification(`Exported ${places.length} place${places.length === 1 ? '' : 's'} as ${format.toUpperCase()}`);
+}
+
+function updateExportButtonState() {
+    const btn = document.getElementById('export-results-btn');
+    if (btn) btn.disabled = allSearchResults.length === 0;
+}
+
+function closeExportMenu() {
+    const menu = document.getElementById('export-menu');
+    if (menu) menu.classList.add('hidden');
+}
+
+function setupResultsExport() {
+    const btn = document.getElementById('export-results-btn');
+    const menu = document.getElementById('export-menu');
+    if (!btn || !menu) return;
+
+    btn.addEventListener('click', (e) => {
+        e.stopPropagation();   // don't toggle the mobile sheet / close the menu
+        menu.classList.toggle('hidden');
+    });
+    menu.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const item = e.target.closest('[data-format]');
+        if (item) exportResults(item.dataset.format);
+    });
+    document.addEventListener('click', closeExportMenu);
+    updateExportButtonState();
+}
+
+// =============================================================================
+// URL State (shareable permalinks)
+// =============================================================================
+//
+// The location hash mirrors the current search so the address bar is always
+// a shareable link:
+//   a  search shapes — Google encoded polylines; holes joined by '.', shapes by '-'
+//   f  place filter text        o  sort mode (omitted when 'distance')
+//   q  searched address         v  map view "lat,lng,zoom"
+// Opening a link rebuilds the shapes through closeFreehandPolygon and offers
+// to re-run the search (results themselves are never in the URL).
+
+const URL_STATE_SYNC_DELAY_MS = 400;
+const URL_STATE_SORT_MODES = ['distance', 'alphabetical', 'rating'];
+
+let _urlStateTimer = null;
+let _urlStateRestoring = false;     // suppress syncs while a link is being applied
+
+/**
+ * Google encoded polyline of [lat, lng] points (1e-5° precision).
+ */
+function encodePolyline(points) {
+    let out = '';
+    let prevLat = 0, prevLng = 0;
+    const encodeValue = (v) => {
+        let n = v < 0 ? ~(v << 1) : (v << 1);
+        while (n >= 0x20) {
+            out += String.fromCharCode((0x20 | (n & 0x1f)) + 63);
+            n >>= 5;
+        }
+        out += String.fromCharCode(n + 63);
+    };
+    for (const [lat, lng] of points) {
+        const iLat = Math.round(lat * 1e5), iLng = Math.round(lng * 1e5);
+        encodeValue(iLat - prevLat);
+        encodeValue(iLng - prevLng);
+        prevLat = iLat;
+        prevLng = iLng;
+    }
+    return out;
+}
+
+/**
+ * Inverse of encodePolyline.  Returns null on malformed input.
+ */
+function decodePolyline(str) {
+    const points = [];
+    let i = 0, lat = 0, lng = 0;
+    const decodeValue = () => {
+        let result = 0, shift = 0, b;
+        do {
+            if (i >= str.length) return null;
+            b = str.charCodeAt(i++) - 63;
+            if (b < 0 || b > 63) return null;
+            result |= (b & 0x1f) << shift;
+            shift += 5;
+        } while (b >= 0x20 && shift < 35);
+        return (result & 1) ? ~(result >> 1) : (result >> 1);
+    };
+    while (i < str.length) {
+        const dLat = decodeValue();
+        const dLng = decodeValue();
+        if (dLat === null || dLng === null) return null;
+        lat += dLat;
+        lng += dLng;
+        points.push([lat / 1e5, lng / 1e5]);
+    }
+    return points;
+}
+
+/**
+ * Snapshot of everything a permalink carries.
+ */
+function buildUrlState() {
+    const filterInput = document.getElementById('place-filter');
+    const addressInput = document.getElementById('address-input');
+    const center = map.getCenter();
+    return {
+        shapes: getSearchShapeGeometry().map(s => ({ points: s.points, holes: s.holes })),
+        filter: filterInput ? filterInput.value.trim() : '',
+        sort: activeSortMode,
+        address: (searchAddressMarker && addressInput) ? addressInput.value.trim() : '',
+        view: [center.lat, center.lng, map.getZoom()]
+    };
+}
+
+/**
+ * Hash string (without '#') for `state`, or '' when there is nothing worth
+ * sharing.  The view is only included alongside other state.
+ */
+function serializeUrlState(state) {
+    const params = new URLSearchParams();
+    // Rings are stored open — the closing vertex is implied
+    const openRing = ring => ring.slice(0, -1);
+    if (state.shapes.length > 0) {
+        params.set('a', state.shapes
+            .map(s => [s.points, ...s.holes].map(r => encodePolyline(openRing(r))).join('.'))
+            .join('-'));
+    }
+    if (state.filter) params.set('f', state.filter);
+    if (state.sort && state.sort !== 'distance') params.set('o', state.sort);
+    if (state.address) params.set('q', state.address);
+    if ([...params.keys()].length === 0) return '';
+    const [lat, lng, zoom] = state.view;
+    params.set('v', `${lat.toFixed(5)},${lng.toFixed(5)},${Math.round(zoom * 100) / 100}`);
+    return params.toString();
+}
+
+/**
+ * Parse a location hash into { shapes, filter, sort, address, view }, with
+ * closed [lat, lng] rings.  Returns null when the hash holds no LASO state;
+ * malformed parts are dropped individually.
+ */
+function parseUrlState(hash) {
+    const params = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+    if (!['a', 'f', 'o', 'q', 'v'].some(k => params.has(k))) return null;
+
+    const validRing = ring => ring && ring.length >= 3 &&
+        ring.every(p => Math.abs(p[0]) <= 90 && Math.abs(p[1]) <= 180);
+    const closeRing = ring => [...ring, [...ring[0]]];
+    const shapes = [];
+    for (const part of (params.get('a') || '').split('-').filter(Boolean)) {
+        const rings = part.split('.').map(decodePolyline);
+        if (!validRing(rings[0])) continue;
+        shapes.push({
+            points: closeRing(rings[0]),
+            holes: rings.slice(1).filter(validRing).map(closeRing)
+        });
+    }
+
+    let view = null;
+    const v = (params.get('v') || '').split(',').map(Number);
+    if (v.length === 3 && v.every(isFinite) && Math.abs(v[0]) <= 90 && Math.abs(v[1]) <= 180) {
+        view = v;
+    }
+
+    const sort = params.get('o');
+    return {
+        shapes,
+        filter: params.get('f') || '',
+        sort: URL_STATE_SORT_MODES.includes(sort) ? sort : 'distance',
+        address: params.get('q') || '',
+        view
+    };
+}
+
+/**
+ * Debounced write of the current state into the location hash.
+ */
+function scheduleUrlStateSync() {
+    if (_urlStateRestoring || !map) return;
+    clearTimeout(_urlStateTimer);
+    _urlStateTimer = setTimeout(syncUrlState, URL_STATE_SYNC_DELAY_MS);
+}
+
+function syncUrlState() {
+    _urlStateTimer = null;
+    const hash = serializeUrlState(buildUrlState());
+    const url = window.location.pathname + window.location.search + (hash ? '#' + hash : '');
+    const current = window.location.pathname + window.location.search + window.location.hash;
+    if (url === current) return;
+    // replaceState: panning around shouldn't flood the back button
+    try {
+        history.replaceState(history.state, '', url);
+    } catch (e) { /* sandboxed iframe / file:// */ }
+}
+
+/**
+ * Apply a permalink from the location hash (called once after initMap).
+ */
+function restoreUrlState() {
+    const state = parseUrlState(window.location.hash);
+    if (!state) return;
+    console.log(`[URL state] Restoring ${state.shapes.length} shape(s) from link`);
+
+    _urlStateRestoring = true;
+    try {
+        if (state.view) {
+            map.setView([state.view[0], state.view[1]], state.view[2], { animate: false });
+        }
+
+        const filterInput = document.getElementById('place-filter');
+        if (filterInput) filterInput.value = state.filter;
+        activePlaceQuery = parsePlaceFiltersFromInput(state.filter);
+        activeSortMode = state.sort;
+        syncFilterSortUIState();
+
+        const addressInput = document.getElementById('address-input');
+        if (addressInput && state.address) addressInput.value = state.address;
+
+        const shapes = state.shapes.slice(0, _searchGuard.getMaxShapes());
+        for (const shape of shapes) {
+            const check = _searchGuard.validateSearchArea(shape.points, shape.holes);
+            if (!check.ok) {
+                showNotification(`Shared area skipped: ${check.reason}`, 'error');
+                continue;
+            }
+            // Same path as a drawn shape: open ring of L.LatLng → closeFreehandPolygon
+            isAddingShape = searchShapes.length > 0;
+            drawingPoints = shape.points.slice(0, -1).map(p => L.latLng(p[0], p[1]));
+            drawingGesture = 'permalink';
+            closeFreehandPolygon();
+
+            const added = searchShapes.find(s => s.polygon === currentPolygon);
+            if (added && shape.holes.length > 0) {
+                added.holes = shape.holes;
+                added.polygon.setLatLngs([added.points, ...added.holes]);
+            }
+        }
+        isAddingShape = false;
+        updateShapeToolButtonsState();
+    } finally {
+        _urlStateRestoring = false;
+    }
+
+    if (searchShapes.length > 0) showSharedSearchPrompt();
+}
+
+function showSharedSearchPrompt() {
+    const prompt = document.getElementById('shared-search-prompt');
+    if (prompt) prompt.classList.remove('hidden');
+}
+
+function hideSharedSearchPrompt() {
+    const prompt = document.getElementById('shared-search-prompt');
+    if (prompt) prompt.classList.add('hidden');
+}
+
+/**
+ * Copy the current permalink to the clipboard.
+ */
+async function copyPermalink() {
+    closeExportMenu();
+    syncUrlState();
+    try {
+        await navigator.clipboard.writeText(window.location.href);
+        showNotification('Link copied');
+    } catch (e) {
+        console.warn('[URL state] Clipboard unavailable:', e);
+        showNotification('Copy the link from the address bar', 'error');
+    }
+}
+
+function setupUrlState() {
+    map.on('moveend', scheduleUrlStateSync);
+
+    const runBtn = document.getElementById('shared-search-run');
+    if (runBtn) {
+        runBtn.addEventListener('click', () => {
+            hideSharedSearchPrompt();
+            performLasoSearch();
+        });
+    }
+    const dismissBtn = document.getElementById('shared-search-dismiss');
+    if (dismissBtn) dismissBtn.addEventListener('click', hideSharedSearchPrompt);
+
+    const copyBtn = document.getElementById('copy-link-btn');
+    if (copyBtn) copyBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        copyPermalink();
+    });
+
+    restoreUrlState();
+}
+
 // =============================================================================
 // Device Detection Helpers
 // =============================================================================
@@ -4437,6 +9597,87 @@ function formatAddressTwoLines(address) {
 
 // =============================================================================
 
+// ── Opening-hours badges & weekly schedule ─────────────────────────────
+// Badges carry data-open-badge="<index into allSearchResults>" so the
+// minute timer can rewrite them in place — cards and open popups alike —
+// without re-rendering or re-running the search.
+
+const OPENING_BADGE_REFRESH_MS = 60 * 1000;
+const OPENING_SOON_MINUTES = 60;
+let _openingBadgeTimer = null;
+
+/**
+ * Badge for `place` at `now`: { cls, text } or null when its hours are
+ * unknown.  "Closes in 20 min" inside the last hour, "Opens at 7 AM" while
+ * closed.  Computed hours win over Google's `openNow` snapshot, which goes
+ * stale while the page stays open.
+ */
+function describeOpeningBadge(place, now = new Date()) {
+    const open = placeOpenAt(place, now) ?? place.openNow ?? null;
+    if (open === null) return null;
+    const change = placeNextOpeningChange(place, now);
+    const minutesUntil = change ? Math.max(1, Math.round((change.at - now) / 60000)) : null;
+
+    if (open) {
+        if (change && change.open === false && minutesUntil <= OPENING_SOON_MINUTES) {
+            return { cls: 'is-closing', text: `Closes in ${minutesUntil} min` };
+        }
+        return { cls: 'is-open', text: 'Open' };
+    }
+    if (change && change.open) {
+        if (minutesUntil <= OPENING_SOON_MINUTES) return { cls: 'is-closed', text: `Opens in ${minutesUntil} min` };
+        const at = formatOpeningTime(change.at, now);
+        return { cls: 'is-closed', text: change.at.toDateString() === now.toDateString() ? `Opens at ${at}` : `Opens ${at}` };
+    }
+    return { cls: 'is-closed', text: 'Closed' };
+}
+
+function _openingBadgeHtml(place, index) {
+    const badge = describeOpeningBadge(place);
+    return badge
+        ? `<span class="open-status ${badge.cls}" data-open-badge="${index}">${badge.text}</span>`
+        : '';
+}
+
+function _scheduleSpanText(span) {
+    if (span.from === 0 && span.to >= OH_DAY_MINUTES) return 'Open 24 hours';
+    const text = `${formatClockMinutes(span.from)} – ${formatClockMinutes(span.to)}`;
+    return span.state === null ? `${text} (unconfirmed)` : text;
+}
+
+/** Collapsible Mon–Sun table (native <details>), or '' when hours are unknown. */
+function _weeklyScheduleHtml(place) {
+    const schedule = placeWeeklySchedule(place);
+    if (!schedule) return '';
+    const rows = schedule.map(d => {
+        const hours = d.spans.length > 0 ? d.spans.map(_scheduleSpanText).join(', ') : 'Closed';
+        return `<tr${d.today ? ' class="is-today"' : ''}><th>${OPEN_AT_DAY_LABELS[d.day]}</th><td>${hours}</td></tr>`;
+    }).join('');
+    return `<details class="place-hours"><summary><i class="fas fa-clock"></i> Hours</summary>` +
+        `<table class="place-hours-table">${rows}</table></details>`;
+}
+
+/** Rewrite every visible opening badge for the current minute. */
+function refreshOpeningBadges(now = new Date()) {
+    document.querySelectorAll('[data-open-badge]').forEach(el => {
+        const place = allSearchResults[parseInt(el.dataset.openBadge, 10)];
+        const badge = place && describeOpeningBadge(place, now);
+        if (!badge) return;
+        el.className = `open-status ${badge.cls}`;
+        el.textContent = badge.text;
+    });
+}
+
+function startOpeningBadgeTimer() {
+    if (_openingBadgeTimer) return;
+    _openingBadgeTimer = setInterval(() => {
+        if (!document.hidden) refreshOpeningBadges();
+    }, OPENING_BADGE_REFRESH_MS);
+    document.addEventListener('visibilitychange', () => {
+        if (!document.hidden) refreshOpeningBadges();
+    });
+}
+
 function createPlaceCard(place, index) {
     const name = place.name || 'Unnamed Place';
     const address = place.address || 'Address not available';
@@ -4493,36 +9734,43 @@ function createPlaceCard(place, index) {
 
     // ── Card field HTML — always present for uniform height ──
     const hasRating = place.google && place.google.rating;
-    const openStatusHtml = place.openNow === true
-        ? '<span class="open-status is-open">Open</span>'
-        : place.openNow === false
-            ? '<span class="open-status is-closed">Closed</span>'
-            : '';
+    const openStatusHtml = _openingBadgeHtml(place, index);
+    const priceHtml = place.price ? ` <span class="place-price">${place.price}</span>` : '';
     const ratingHtml = hasRating
-        ? `<i class="fas fa-star"></i> ${place.google.rating.toFixed(1)}${place.google.userRatingCount ? ` <span class="rating-count">(${place.google.userRatingCount})</span>` : ''}${openStatusHtml}`
-        : `<i class="fas fa-star"></i> <span class="unavailable">Unavailable</span>${openStatusHtml}`;
+        ? `<i class="fas fa-star"></i> ${place.google.rating.toFixed(1)}${place.google.userRatingCount ? ` <span class="rating-count">(${place.google.userRatingCount})</span>` : ''}${priceHtml}${openStatusHtml}`
+        : `<i class="fas fa-star"></i> <span class="unavailable">Unavailable</span>${priceHtml}${openStatusHtml}`;
 
     const websiteHtml = place.website
         ? `<a href="${place.website}" target="_blank" rel="noopener" style="color:#4285f4;text-decoration:none;"><span><i class="fas fa-globe"></i> Website</span></a>`
         : `<span class="unavailable"><i class="fas fa-globe"></i> website unavailable</span>`;
 
+    // Google hours arrive with the place's details, on first select
+    const hoursHtml = _weeklyScheduleHtml(place)
+        || `<span class="unavailable"><i class="fas fa-clock"></i> ${place.detailsLoaded === false ? 'hours load when selected' : 'hours unavailable'}</span>`;
+
     // Phone action button
     const phoneHref = place.phone ? `tel:${place.phone}` : '#';
     const phoneBtnClass = place.phone ? 'map-btn phone' : 'map-btn phone disabled';
 
     const addressHtml = formatAddressTwoLines(address);
 
+    // Which shape found this place — only meaningful with several shapes
+    const shapeTagHtml = searchShapes.length > 1 && place.shapeIndex != null
+        ? `<span class="shape-tag">Shape ${place.shapeIndex + 1}</span>`
+        : '';
+
     return `
         <div class="place-card" id="place-card-${index}" data-place-id="${place.place_id || place.osm_id || ''}">
             <div class="place-card-body">
                 <div class="place-card-info">
                     <div class="place-name">${name}</div>
                     <div class="place-rating${hasRating ? ' has-rating' : ''}">${ratingHtml}</div>
-                    <div class="place-type"><i class="fas ${getPlaceIcon(mainType)}"></i> ${mainType}</div>
+                    <div class="place-type"><i class="fas ${getPlaceIcon(mainType)}"></i> ${mainType}</div>${shapeTagHtml}
                     <div class="place-address">${addressHtml}</div>
                     <div class="place-details">
                         ${websiteHtml}
                     </div>
+                    <div class="place-hours-row">${hoursHtml}</div>
                 </div>
                 <div class="place-card-actions">
                     <a href="${googleHref}" target="${googleTarget}" rel="noopener" class="map-btn google directions-capable" data-card-index="${index}" data-dest-lat="${lat}" data-dest-lng="${lng}" data-search-term="${searchTerm.replace(/"/g, '&quot;')}" data-map-provider="google" title="Google Maps">
@@ -4567,9 +9815,10 @@ function buildPopupContent(place, index, simplified) {
         : 'https://www.google.com/maps/search/?api=1&query=' + encodeURIComponent(searchTerm);
     const appleMapsUrl = 'https://maps.apple.com/?q=' + encodeURIComponent(name) + '&ll=' + lat + ',' + lng + '&z=19';
 
+    const openBadgeHtml = _openingBadgeHtml(place, index);
     const ratingHtml = (place.google && place.google.rating)
-        ? '<p style="margin:2px 0 4px 0;font-size:13px;color:#f4b400;font-weight:500;"><i class="fas fa-star" style="font-size:11px;"></i> ' + place.google.rating.toFixed(1) + (place.google.userRatingCount ? ' <span style="color:#999;font-weight:400;font-size:11px;">(' + place.google.userRatingCount + ')</span>' : '') + '</p>'
-        : '';
+        ? '<p style="margin:2px 0 4px 0;font-size:13px;color:#f4b400;font-weight:500;"><i class="fas fa-star" style="font-size:11px;"></i> ' + place.google.rating.toFixed(1) + (place.google.userRatingCount ? ' <span style="color:#999;font-weight:400;font-size:11px;">(' + place.google.userRatingCount + ')</span>' : '') + (place.price ? ' <span style="color:#34a853;font-size:11px;">' + place.price + '</span>' : '') + openBadgeHtml + '</p>'
+        : (openBadgeHtml ? '<p style="margin:2px 0 4px 0;font-size:13px;">' + openBadgeHtml + '</p>' : '');
 
     // Website row: 1.8× base size (base icon 10px → 18px, base text 12px → 21.6px)
     const websiteRowHtml = place.website
@@ -4594,6 +9843,7 @@ function buildPopupContent(place, index, simplified) {
                 '<p style="margin:0;font-size:12px;color:#666;"><i class="fas ' + iconClass + '" style="margin-right:4px;"></i>' + mainType + '</p>' +
                 '<p style="margin:3px 0 0 0;font-size:12px;color:#5f6368;">' + address + '</p>' +
                 websiteRowHtml +
+                _weeklyScheduleHtml(place) +
             '</div>' +
             '<div style="display:flex;flex-direction:column;gap:6px;flex-shrink:0;">' +
                 '<a href="' + googleMapsUrl + '" target="_blank" rel="noopener" title="Google Maps" class="directions-capable" data-dest-lat="' + lat + '" data-dest-lng="' + lng + '" data-search-term="' + searchTerm.replace(/"/g, '&quot;') + '" data-map-provider="google" style="width:36px;height:36px;border-radius:50%;background:#f8f9fa;display:flex;align-items:center;justify-content:center;text-decoration:none;color:#4285f4;font-size:13px;border:1px solid #e0e0e0;">' +
@@ -4872,6 +10122,10 @@ function updateAllMarkers() {
 
         marker.placeIndex = index;
         markers.push(marker);
+        marker.on('popupopen', () => {
+            loadPlaceDetails(index);
+            refreshOpeningBadges();
+        });
 
         marker.on('click', () => {
             if (isMobileView()) {
@@ -5115,6 +10369,7 @@ function recenterActiveCard() {
 function highlightPlace(index) {
     _isChangingSelection = true;
     selectedPlaceIndex = index;
+    loadPlaceDetails(index);
 
     const collapsingFromExpanded = isMobileView()
         && document.body.classList.contains('results-expanded');
@@ -5494,23 +10749,17 @@ async function _searchNearestPOI(category, lat, lon) {
         if (!best) return null;
 
         const tags = best.tags || {};
-        const elLat = best.lat ?? best.center?.lat;
-        const elLon = best.lon ?? best.center?.lon;
+        const place = normalizeOverpassElement(best);
+        const name = tags.name ? place.name : category.label;
 
         // Build Nominatim-like result for displayGeocodeResult
-        const addrParts = [];
-        if (tags['addr:housenumber']) addrParts.push(tags['addr:housenumber']);
-        if (tags['addr:street']) addrParts.push(tags['addr:street']);
-        if (tags['addr:city']) addrParts.push(tags['addr:city']);
-        if (tags['addr:state']) addrParts.push(tags['addr:state']);
-
         return {
-            lat: elLat,
-            lon: elLon,
-            name: tags.name || category.label,
-            display_name: tags.name || category.label,
-            osm_type: best.type,
-            osm_id: best.id,
+            lat: place.coordinates[0],
+            lon: place.coordinates[1],
+            name,
+            display_name: name,
+            osm_type: place.osm_type,
+            osm_id: place.osm_id,
             address: {
                 house_number: tags['addr:housenumber'],
                 road: tags['addr:street'],
@@ -5520,9 +10769,9 @@ async function _searchNearestPOI(category, lat, lon) {
             },
             _categoryMatch: true,      // flag so we know this came from category search
             _categoryLabel: category.label,
-            opening_hours: tags.opening_hours,
-            phone: tags.phone || tags['contact:phone'],
-            website: tags.website || tags['contact:website'],
+            opening_hours: place.openingHours,
+            phone: place.phone,
+            website: place.website,
         };
     } catch (e) {
         console.warn('[Overpass category search]', e);
@@ -5651,6 +10900,18 @@ async function searchAddress() {
 
                 const MAX_CAT_DIST = 1600; // 1.3 miles hard cutoff (straight-line)
 
+                // Hard distance cutoff from user's location
+                const withinReach = r => {
+                    if (!r.coordinates) return false;
+                    const d = calculateDistance(
+                        [searchOrigin.lat, searchOrigin.lng],
+                        [r.coordinates[0], r.coordinates[1]]
+                    );
+                    r._distFromCenter = d;
+                    return d <= MAX_CAT_DIST;
+                };
+                let textPage = null;   // set for Text Search — enables paging via Next
+
                 if (categoryMatch.googleTypes) {
                     // Typed category (grocery, bank, pharmacy, etc.)
                     // → Nearby Search with DISTANCE ranking = truly closest results
@@ -5662,36 +10923,19 @@ async function searchAddress() {
                     const nearbyResults = await fetchNearbyPlaces(
                         categoryMatch.googleTypes, circle, 'DISTANCE'
                     );
-                    // Hard distance cutoff from user's location
-                    nearby = nearbyResults.filter(r => {
-                        if (!r.coordinates) return false;
-                        const d = calculateDistance(
-                            [searchOrigin.lat, searchOrigin.lng],
-                            [r.coordinates[0], r.coordinates[1]]
-                        );
-                        r._distFromCenter = d;
-                        return d <= MAX_CAT_DIST;
-                    });
+                    nearby = nearbyResults.filter(withinReach);
                 } else {
                     // Cuisine/generic category (sushi, tacos, etc.)
                     // → Text Search with locationBias (Google picks relevance)
-                    const textResults = await fetchTextSearchPlaces(
+                    textPage = await fetchTextSearchPage(
                         categoryMatch.label,
                         { lat: searchOrigin.lat, lng: searchOrigin.lng },
                         MAX_CAT_DIST,
                         20
                     );
-                    // Hard distance filter from user's location
-                    nearby = textResults.filter(r => {
-                        if (!r.coordinates) return false;
-                        const d = calculateDistance(
-                            [searchOrigin.lat, searchOrigin.lng],
-                            [r.coordinates[0], r.coordinates[1]]
-                        );
-                        r._distFromCenter = d;
-                        return d <= MAX_CAT_DIST;
-                    });
+                    nearby = textPage.places.filter(withinReach);
                 }
+                const candidates = nearby;
 
                 if (nearby.length > 0) {
                     // Balanced selection: guarantee the 3 closest places, then
@@ -5733,6 +10977,19 @@ async function searchAddress() {
                     const priorityCenter = [searchOrigin.lat, searchOrigin.lng];
                     lastPriorityCenter = priorityCenter;
                     unfilteredSearchResults = nearby;
+                    if (textPage) {
+                        // Places trimmed by the balanced selection are shown
+                        // first when the user pages past the loaded results
+                        startTextSearchPaging({
+                            textQuery: categoryMatch.label,
+                            center: { lat: searchOrigin.lat, lng: searchOrigin.lng },
+                            radiusM: MAX_CAT_DIST,
+                            pageSize: 20,
+                            nextPageToken: textPage.nextPageToken,
+                            held: candidates.filter(p => !seen.has(p.place_id)),
+                            accept: withinReach
+                        });
+                    }
                     activeSortMode = 'rating'; // default to rating sort for categories
                     populateTypeDatalistFromResults(nearby);
                     syncFilterSortUIState();
@@ -6229,70 +11486,23 @@ function displayGeocodeResult(result, searchQuery) {
 // ── Search-pin enrichment (Overpass + Yelp) ─────────────────────────────
 
 /**
- * Parse an OSM opening_hours string and return a human-readable status.
- * Handles common formats; returns the raw string for exotic ones.
+ * Evaluate an OSM opening_hours string (see parseOpeningHours) and return a
+ * human-readable status.  Returns the raw string for syntax we can't parse.
  */
-function _parseOpenStatus(ohString) {
+function _parseOpenStatus(ohString, now = new Date()) {
     if (!ohString) return null;
-    try {
-        const now = new Date();
-        const dayNames = ['Su', 'Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa'];
-        const today = dayNames[now.getDay()];
-        const nowMins = now.getHours() * 60 + now.getMinutes();
-
-        // Split rules by semicolons, find one matching today
-        const rules = ohString.split(';').map(r => r.trim());
-        for (const rule of rules) {
-            // Match patterns like "Mo-Fr 08:00-21:00" or "Sa,Su 09:00-18:00"
-            const m = rule.match(/^([A-Za-z, -]+)\s+(\d{2}:\d{2})\s*-\s*(\d{2}:\d{2})$/);
-            if (!m) continue;
-            const daysPart = m[1];
-            const openTime = m[2].split(':').reduce((h, mi) => +h * 60 + +mi);
-            const closeTime = m[3].split(':').reduce((h, mi) => +h * 60 + +mi);
-
-            // Check if today is in the day range
-            const dayRanges = daysPart.split(',').map(d => d.trim());
-            let matchesToday = false;
-            for (const dr of dayRanges) {
-                if (dr.includes('-')) {
-                    const [start, end] = dr.split('-').map(d => dayNames.indexOf(d.trim()));
-                    if (start < 0 || end < 0) continue;
-                    const todayIdx = dayNames.indexOf(today);
-                    matchesToday = start <= end
-                        ? todayIdx >= start && todayIdx <= end
-                        : todayIdx >= start || todayIdx <= end;
-                } else {
-                    matchesToday = dr.trim() === today;
-                }
-                if (matchesToday) break;
-            }
-            if (!matchesToday) continue;
-
-            // Format close time nicely
-            const closeH = Math.floor(closeTime / 60);
-            const closeM = closeTime % 60;
-            const closeFmt = closeM === 0
-                ? `${closeH > 12 ? closeH - 12 : closeH} ${closeH >= 12 ? 'PM' : 'AM'}`
-                : `${closeH > 12 ? closeH - 12 : closeH}:${String(closeM).padStart(2, '0')} ${closeH >= 12 ? 'PM' : 'AM'}`;
-            const openH = Math.floor(openTime / 60);
-            const openM = openTime % 60;
-            const openFmt = openM === 0
-                ? `${openH > 12 ? openH - 12 : openH} ${openH >= 12 ? 'PM' : 'AM'}`
-                : `${openH > 12 ? openH - 12 : openH}:${String(openM).padStart(2, '0')} ${openH >= 12 ? 'PM' : 'AM'}`;
-
-            if (nowMins >= openTime && nowMins < closeTime) {
-                return { open: true, text: `Open · Closes ${closeFmt}` };
-            } else if (nowMins < openTime) {
-                return { open: false, text: `Closed · Opens ${openFmt}` };
-            } else {
-                return { open: false, text: `Closed · Opened ${openFmt}` };
-            }
-        }
-        // 24/7
-        if (/24\s*\/\s*7/.test(ohString)) return { open: true, text: 'Open 24/7' };
-    } catch { /* fall through */ }
-    // Couldn't parse — return raw string
-    return { open: null, text: ohString };
+    const state = openingStateAt(ohString, now);
+    if (!state) return { open: null, text: ohString };
+    if (state.open === null) return { open: null, text: state.comment || ohString };
+
+    const change = nextOpeningChange(ohString, now);
+    if (state.open) {
+        if (change) return { open: true, text: `Open · Closes ${formatOpeningTime(change.at, now)}` };
+        return { open: true, text: /24\s*\/\s*7/.test(ohString) ? 'Open 24/7' : 'Open' };
+    }
+    return change && change.open
+        ? { open: false, text: `Closed · Opens ${formatOpeningTime(change.at, now)}` }
+        : { open: false, text: 'Closed' };
 }
 
 /**
@@ -6418,7 +11628,7 @@ function _mergeDrawSearchMatch(lat, lon, enrichment, searchName, searchAddress)
     const pinCoord = [lat, lon];
 
     // Only consider matches when pin is inside the polygon (if polygon exists)
-    if (currentPolygon && drawingPoints.length >= 3 && !pointInPolygon(pinCoord, drawingPoints)) {
+    if (currentPolygon && !pointInSearchArea(pinCoord)) {
         console.log('[Mega pin] Search pin is outside polygon — skipping');
         return;
     }
@@ -6615,9 +11825,14 @@ async function _enrichSearchedLocation(result, marker, searchQuery, displayAddre
 
     overpassPromise.then(tags => {
         if (tags) {
-            if (tags.opening_hours) enrichment.hours = _parseOpenStatus(tags.opening_hours);
-            if (tags.phone || tags['contact:phone']) enrichment.phone = tags.phone || tags['contact:phone'];
-            if (tags.website || tags['contact:website']) enrichment.website = tags.website || tags['contact:website'];
+            const osmPlace = normalizeOverpassElement({ type: result.osm_type, id: result.osm_id, lat, lon, tags });
+            if (osmPlace.openingHours) enrichment.hours = _parseOpenStatus(osmPlace.openingHours);
+            if (osmPlace.phone) enrichment.phone = osmPlace.phone;
+            if (osmPlace.website) enrichment.website = osmPlace.website;
+            // Mega pin: OSM only fills what the Google record lacks
+            if (enrichment._megaPin && enrichment._megaPinPlace) {
+                mergePlaceRecords(enrichment._megaPinPlace, osmPlace);
+            }
             updatePopup();
         }
     }).catch(e => console.warn('[Overpass enrichment]', e));
@@ -6786,6 +12001,15 @@ function setupEventListeners() {
 
     // LASO Search
     document.getElementById('lasosearch-btn').addEventListener('click', performLasoSearch);
+    setupShapeTools();
+    setupCategoryPicker();
+    setupOpenAtFilter();
+    startOpeningBadgeTimer();
+    setupAreaImport();
+    setupResultsExport();
+
+    const staleRerunBtn = document.getElementById('stale-rerun-btn');
+    if (staleRerunBtn) staleRerunBtn.addEventListener('click', performLasoSearch);
 
     // Clear
     document.getElementById('clear-btn').addEventListener('click', clearAll);
@@ -6923,7 +12147,7 @@ function setupEventListeners() {
 
             const tapHandler = (evt) => {
                 if (!popupDom._popupReadyForTap) return; // ignore leaked pin-tap
-                if (evt.target.closest('a')) return; // let links work
+                if (evt.target.closest('a, .place-hours')) return; // let links and the hours toggle work
                 const content = popupDom.querySelector('.marker-popup');
                 if (!content) return;
                 const idx = parseInt(content.dataset.placeIndex, 10);
@@ -6945,7 +12169,7 @@ function setupEventListeners() {
             };
             popupDom.addEventListener('click', tapHandler);
             popupDom.addEventListener('touchend', (evt) => {
-                if (evt.target.closest('a')) return;
+                if (evt.target.closest('a, .place-hours')) return;
                 evt.preventDefault();
                 // Stop the touchend from bubbling to Leaflet's Tap handler,
                 // which would generate a synthetic click ~200ms later.  That
@@ -7000,15 +12224,26 @@ function setupEventListeners() {
 
     if (placeFilterInput) {
         placeFilterInput.addEventListener('input', () => {
-            activePlaceFilters = parsePlaceFiltersFromInput(placeFilterInput.value);
-            if (unfilteredSearchResults.length > 0) {
+            const previous = activePlaceQuery;
+            updatePlaceFilterFromInput(placeFilterInput);
+            if (activePlaceQuery !== previous && unfilteredSearchResults.length > 0) {
                 applyFiltersAndSort({ resetToFirstPage: true });
+                if (filterQueryNeedsDetails(activePlaceQuery) && !filterQueryNeedsDetails(previous)) {
+                    _loadDetailsForPlaceQuery();
+                }
             }
+            scheduleUrlStateSync();
         });
 
         placeFilterInput.addEventListener('keydown', (e) => {
             if (e.key === 'Enter') {
                 e.preventDefault();
+                const result = parseFilterQuery(placeFilterInput.value);
+                if (!result.ok) {
+                    showNotification(`Filter: ${result.reason}`, 'error');
+                    try { placeFilterInput.setSelectionRange(result.position, placeFilterInput.value.length); } catch (_) { /* ignore */ }
+                    return;
+                }
                 blurIfFocused(placeFilterInput);
             }
         });
@@ -7025,16 +12260,23 @@ function setupEventListeners() {
             if (unfilteredSearchResults.length > 0) {
                 applyFiltersAndSort({ resetToFirstPage: true });
             }
+            scheduleUrlStateSync();
         });
     }
 
     if (clearFiltersBtn) {
         clearFiltersBtn.addEventListener('click', () => {
-            activePlaceFilters = [];
-            if (placeFilterInput) placeFilterInput.value = '';
+            activePlaceQuery = null;
+            activeOpenAtFilter = null;
+            syncOpenAtControls();
+            if (placeFilterInput) {
+                placeFilterInput.value = '';
+                updatePlaceFilterFromInput(placeFilterInput);
+            }
             if (unfilteredSearchResults.length > 0) {
                 applyFiltersAndSort({ resetToFirstPage: true });
             }
+            scheduleUrlStateSync();
         });
     }
 }
@@ -7254,14 +12496,19 @@ function clearAll() {
     searchResults = [];
     unfilteredSearchResults = [];
     allSearchResults = [];
+    setResultsStale(false);
     currentDisplayOffset = 0;
+    updateExportButtonState();
+    closeExportMenu();
+    hideSharedSearchPrompt();
     const resultsList = document.getElementById('results-list');
     resultsList.innerHTML = getDefaultEmptyStateHTML();
     document.getElementById('result-count').textContent = '0';
 
     const placeFilterInput = document.getElementById('place-filter');
     if (placeFilterInput) placeFilterInput.value = '';
-    activePlaceFilters = [];
+    activePlaceQuery = null;
+    activeOpenAtFilter = null;
     activeSortMode = 'distance';
     lastPriorityCenter = null;
     syncFilterSortUIState();
@@ -7598,6 +12845,7 @@ function setupSheetDragGesture() {
     header.addEventListener('touchstart', (e) => {
         if (!isMobileView()) return;
         if (e.target.closest('.filter-sort-controls')) return;
+        if (e.target.closest('.results-export')) return;
         dragging = true;
         startY = e.touches[0].clientY;
         currentY = startY;
@@ -8084,6 +13332,14 @@ function updateStatus(text, isSearching = false) {
     const subModePostBtn   = document.getElementById('sub-mode-post');
     const subModeAdvBtn    = document.getElementById('sub-mode-advanced');
     const subModeDesc      = document.getElementById('sub-mode-desc');
+    const savedAreasPanel  = document.getElementById('saved-areas-panel');
+    const savedAreasBtn    = document.getElementById('saved-areas-btn');
+    const savedAreasBack   = document.getElementById('saved-areas-back-btn');
+    const savedAreasClose  = document.getElementById('saved-areas-close');
+    const historyPanel     = document.getElementById('search-history-panel');
+    const historyBtn       = document.getElementById('search-history-btn');
+    const historyBack      = document.getElementById('search-history-back-btn');
+    const historyClose     = document.getElementById('search-history-close');
 
     // Letter metadata for pill display
     const LETTER_META = {
@@ -8230,6 +13486,8 @@ function updateStatus(text, isSearching = false) {
         // Always return to main panel when opening
         if (mainPanel)    { mainPanel.classList.remove('hidden', 'slide-out-left'); }
         if (advancedPanel) advancedPanel.classList.add('hidden');
+        if (savedAreasPanel) savedAreasPanel.classList.add('hidden');
+        if (historyPanel)    historyPanel.classList.add('hidden');
         overlay.classList.remove('hidden');
         blockBody();
         // Double-rAF: first rAF lets browser process display:none → visible,
@@ -8245,6 +13503,8 @@ function updateStatus(text, isSearching = false) {
         // Reset panel states
         if (mainPanel)    { mainPanel.classList.remove('slide-out-left'); }
         if (advancedPanel) advancedPanel.classList.add('hidden');
+        if (savedAreasPanel) savedAreasPanel.classList.add('hidden');
+        if (historyPanel)    historyPanel.classList.add('hidden');
         // Dismiss info tooltip
         if (infoTooltip) infoTooltip.classList.add('hidden');
         if (infoBtn)     infoBtn.classList.remove('active');
@@ -8268,6 +13528,24 @@ function updateStatus(text, isSearching = false) {
         });
     }
 
+    // ── Search data source (auto / Google / OpenStreetMap) ──
+    const providerSelect = document.getElementById('search-provider-select');
+    if (providerSelect) {
+        providerSelect.value = getSearchProviderPreference();
+        providerSelect.addEventListener('change', () => {
+            setSearchProviderPreference(providerSelect.value);
+        });
+    }
+
+    // ── Dense Area Coverage toggle (adaptive tile subdivision) ──
+    const adaptiveTilesToggle = document.getElementById('adaptive-tiles-toggle');
+    if (adaptiveTilesToggle) {
+        adaptiveTilesToggle.checked = isAdaptiveTilingEnabled();
+        adaptiveTilesToggle.addEventListener('change', () => {
+            try { localStorage.setItem(ADAPTIVE_TILES_KEY, String(adaptiveTilesToggle.checked)); } catch (e) {}
+        });
+    }
+
     // ── Sub-mode toggle (3-way: pre-game / post-game / advanced) ──
     function getSubModeOrder(mode) {
         return mode === 'post-game' ? ['A', 'C', 'B'] : ['A', 'B', 'C'];
@@ -8356,6 +13634,40 @@ function updateStatus(text, isSearching = false) {
     if (backBtn)          backBtn.addEventListener('click', closeAdvancedPanel);
     if (advancedCloseBtn) advancedCloseBtn.addEventListener('click', closeSettings);
 
+    // ── Saved areas panel navigation ──
+    function openSavedAreasPanel() {
+        if (mainPanel)       mainPanel.classList.add('slide-out-left');
+        if (savedAreasPanel) savedAreasPanel.classList.remove('hidden');
+        renderSavedAreasList();
+    }
+
+    function closeSavedAreasPanel() {
+        if (savedAreasPanel) savedAreasPanel.classList.add('hidden');
+        if (mainPanel)       mainPanel.classList.remove('slide-out-left');
+    }
+
+    if (savedAreasBtn)   savedAreasBtn.addEventListener('click', openSavedAreasPanel);
+    if (savedAreasBack)  savedAreasBack.addEventListener('click', closeSavedAreasPanel);
+    if (savedAreasClose) savedAreasClose.addEventListener('click', closeSettings);
+    setupSavedAreas(closeSettings);
+
+    // ── Search history panel navigation ──
+    function openHistoryPanel() {
+        if (mainPanel)    mainPanel.classList.add('slide-out-left');
+        if (historyPanel) historyPanel.classList.remove('hidden');
+        renderSearchHistory();
+    }
+
+    function closeHistoryPanel() {
+        if (historyPanel) historyPanel.classList.add('hidden');
+        if (mainPanel)    mainPanel.classList.remove('slide-out-left');
+    }
+
+    if (historyBtn)   historyBtn.addEventListener('click', openHistoryPanel);
+    if (historyBack)  historyBack.addEventListener('click', closeHistoryPanel);
+    if (historyClose) historyClose.addEventListener('click', closeSettings);
+    setupSearchHistory();
+
     // =====================================================================
     // Drag-and-Drop Circle Ordering
     // =====================================================================
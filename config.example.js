@@ -25,8 +25,17 @@
  *   7. Set billing budget: Billing → Budgets & alerts → $300 lifetime cap
  *   8. Add the key as a Worker secret (step 2 above)
  *
- * Cost at Enterprise tier (~$0.04/call):
+ * Cost:
+ *   - Nearby Search asks only for Pro-tier fields (~$0.032/call); phone,
+ *     website and hours are an Enterprise-tier Place Details call (~$0.02)
+ *     made when a result's card or popup is opened, or — after asking,
+ *     with the call count — for every result when an "open at" / has: /
+ *     open: filter needs them.  Exports never make calls
+ *   - While such a filter is on, Nearby Search asks for the Enterprise
+ *     fields itself (~$0.035/call) instead
  *   - Each LASO search uses ~4 API calls (one per type group)
+ *   - Dense areas may add up to 12 tile calls (Settings → Dense Area Coverage)
+ *   - Repeat searches of the same area within the cache TTL are free
  *   - 150 calls/day = ~37 searches/day
  *   - $200/month free credit covers ~5,000 calls/month
  */
@@ -41,3 +50,7 @@ const GOOGLE_PLACES_DAILY_LIMIT = 150;
 
 // Warn in console when this percentage of the daily limit is reached
 const GOOGLE_PLACES_WARN_THRESHOLD = 0.8;
+
+// Reuse Google responses for the same area / type group for this many minutes
+// (redrawing nearly the same shape costs no API calls).  0 disables the cache.
+const GOOGLE_PLACES_CACHE_TTL_MIN = 30;
@@ -0,0 +1,41 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, plain } = require('./load-app');
+
+const app = loadApp();
+
+const BOX = { south: 0, north: 10, west: 0, east: 10 };
+const area = ring => {
+    let sum = 0;
+    for (let i = 0; i < ring.length - 1; i++) sum += ring[i][1] * ring[i + 1][0] - ring[i + 1][1] * ring[i][0];
+    return Math.abs(sum) / 2;
+};
+
+test('_clipPolygonToBox keeps a polygon already inside the box', () => {
+    const ring = [[2, 2], [2, 8], [8, 8], [8, 2], [2, 2]];
+    assert.deepStrictEqual(plain(app._clipPolygonToBox(ring, BOX)), ring);
+});
+
+test('_clipPolygonToBox cuts a polygon that overhangs the box', () => {
+    const clipped = app._clipPolygonToBox([[-2, 5], [5, 12], [12, 5], [5, -2], [-2, 5]], BOX);
+    assert.deepStrictEqual(plain(clipped[0]), plain(clipped[clipped.length - 1]), 'closed ring');
+    for (const [lat, lng] of clipped) {
+        assert.ok(lat >= 0 && lat <= 10 && lng >= 0 && lng <= 10);
+    }
+    // The box minus the four corner triangles the diamond leaves out
+    assert.ok(Math.abs(area(clipped) - (100 - 4 * 4.5)) < 1e-9);
+});
+
+test('_clipPolygonToBox returns the box when the polygon covers it', () => {
+    const clipped = app._clipPolygonToBox([[-1, -1], [-1, 11], [11, 11], [11, -1], [-1, -1]], BOX);
+    assert.equal(clipped.length, 5);
+    assert.ok(Math.abs(area(clipped) - 100) < 1e-9);
+});
+
+test('_clipPolygonToBox returns null when nothing or only an edge is left', () => {
+    assert.equal(app._clipPolygonToBox([[20, 20], [20, 30], [30, 30], [20, 20]], BOX), null);
+    // Shares the box's east edge without overlapping it
+    assert.equal(app._clipPolygonToBox([[2, 10], [8, 10], [8, 15], [2, 15], [2, 10]], BOX), null);
+});
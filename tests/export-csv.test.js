@@ -0,0 +1,45 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./load-app');
+
+const app = loadApp();
+
+const HEADER = 'name,address,latitude,longitude,type,rating,rating_count,open_now,phone,website,google_maps_url';
+
+test('buildResultsCsv writes a header and one CRLF row per place', () => {
+    const csv = app.buildResultsCsv([
+        {
+            name: 'Blue Door Cafe', address: '1 High St', coordinates: [51.5, -0.12], place_type: 'cafe',
+            rating: 4.5, userRatingCount: 120, openNow: true, phone: '+44 20 7946 0000',
+            website: 'https://bluedoor.example', googleMapsUri: 'https://maps.google.com/?cid=1'
+        },
+        { name: 'No Details', coordinates: null, openNow: false }
+    ]);
+    assert.equal(csv, [
+        HEADER,
+        'Blue Door Cafe,1 High St,51.5,-0.12,cafe,4.5,120,yes,+44 20 7946 0000,https://bluedoor.example,https://maps.google.com/?cid=1',
+        'No Details,,,,,,,no,,,',
+        ''
+    ].join('\r\n'));
+});
+
+test('buildResultsCsv quotes commas, quotes and line breaks', () => {
+    const csv = app.buildResultsCsv([{ name: 'Fish, "Chips" & Co', address: 'Unit 2\nDock Rd' }]);
+    assert.equal(csv.split('\r\n')[1].split(',"Unit')[0], '"Fish, ""Chips"" & Co"');
+    assert.ok(csv.includes('"Unit 2\nDock Rd"'));
+});
+
+test('buildResultsCsv neutralises spreadsheet formulas but not phone numbers', () => {
+    const row = app.buildResultsCsv([
+        { name: '=HYPERLINK("http://evil")', address: '@SUM(A1)', place_type: '-cmd', phone: '+1 (555) 010-0000' }
+    ]).split('\r\n')[1];
+    assert.ok(row.startsWith(`"'=HYPERLINK(""http://evil"")",'@SUM(A1),`));
+    assert.ok(row.includes(",'-cmd,"));
+    assert.ok(row.includes(',+1 (555) 010-0000,'));
+});
+
+test('buildResultsCsv with no places is just the header', () => {
+    assert.equal(app.buildResultsCsv([]), HEADER + '\r\n');
+});
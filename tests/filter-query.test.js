@@ -0,0 +1,149 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, plain } = require('./load-app');
+
+const app = loadApp();
+
+const parse = value => plain(app.parseFilterQuery(value));
+const ast = value => parse(value).query.ast;
+const matches = (value, place) => app.placeMatchesFilterQuery(app.parseFilterQuery(value).query, place);
+
+function place(fields) {
+    return { name: 'Unnamed Place', place_type: 'Business', rating: null, userRatingCount: 0, ...fields };
+}
+
+const PIZZERIA = place({ name: 'Luigi Pizza', place_type: 'Restaurant', rating: 4.5, userRatingCount: 320, website: 'https://luigi.example', price: '$$' });
+const CHAIN = place({ name: 'Pizza Chain Express', place_type: 'Restaurant', rating: 3.9, userRatingCount: 1200 });
+const BAR = place({ name: 'The Anchor', place_type: 'Bar', rating: 4.1, userRatingCount: 80, phone: '+44 20 7946 0000' });
+
+test('an empty box is no filter', () => {
+    assert.deepEqual(parse(''), { ok: true, query: null });
+    assert.deepEqual(parse('   '), { ok: true, query: null });
+    // Words too short to filter on drop out
+    assert.deepEqual(parse('a'), { ok: true, query: null });
+});
+
+test('words, phrases and predicates parse into an AND tree', () => {
+    assert.deepEqual(ast('pizza -chain rating>=4.3'), {
+        type: 'and',
+        items: [
+            { type: 'text', tokens: ['pizza'] },
+            { type: 'not', item: { type: 'text', tokens: ['chain'] } },
+            { type: 'field', field: 'rating', op: '>=', value: 4.3 }
+        ]
+    });
+    assert.deepEqual(ast('"Luigi\'s Pizza"'), { type: 'phrase', text: 'luigis pizza', tokens: ['luigis', 'pizza'] });
+    assert.deepEqual(ast('type:"fast food"'), { type: 'field', field: 'type', op: ':', value: 'fast food' });
+    // ':' on a number means "at least"
+    assert.deepEqual(ast('reviews:100'), { type: 'field', field: 'reviews', op: '>=', value: 100 });
+    assert.deepEqual(ast('has:Website'), { type: 'field', field: 'has', op: ':', value: 'website' });
+});
+
+test('OR binds looser than AND, and only upper-case keywords count', () => {
+    assert.deepEqual(ast('pizza OR bar open:now'), {
+        type: 'or',
+        items: [
+            { type: 'text', tokens: ['pizza'] },
+            { type: 'and', items: [{ type: 'text', tokens: ['bar'] }, { type: 'field', field: 'open', op: ':', value: 'now' }] }
+        ]
+    });
+    assert.deepEqual(ast('NOT (cafe OR bar)').type, 'not');
+    assert.deepEqual(ast('bar or grill'), {
+        type: 'and',
+        items: [{ type: 'text', tokens: ['bar'] }, { type: 'text', tokens: ['or'] }, { type: 'text', tokens: ['grill'] }]
+    });
+
+    const { query } = app.parseFilterQuery('(pizza OR pasta) type:restaurant');
+    assert.deepEqual(plain(query.branches.map(b => b.tokens)), [['pizza'], ['pasta']]);
+    assert.equal(query.hasText, true);
+    assert.equal(app.parseFilterQuery('rating>4').query.hasText, false);
+});
+
+test('errors say what is wrong and where', () => {
+    const cases = [
+        ['pizza "thin crust', 'Missing closing quote', 6],
+        ['pizza - chain', 'Nothing to exclude after "-"', 6],
+        ['ratin>4', 'Unknown field "ratin" — did you mean "rating"?', 0],
+        ['constructor:1', 'Unknown field "constructor"', 0],
+        ['rating>good', '"rating" needs a number, e.g. rating>=4.3', 0],
+        ['type>bar', '"type" can\'t be compared with ">" — use type:…', 0],
+        ['open:later', 'open: only supports "now"', 0],
+        ['has:webiste', 'has:webiste isn\'t supported — did you mean has:website?', 0],
+        ['has:constructor', 'has:constructor isn\'t supported', 0],
+        ['pizza OR', 'Nothing after OR', 6],
+        ['AND pizza', 'Nothing before AND', 0],
+        ['(pizza', 'Missing ")" for the "(" here', 0],
+        ['pizza)', 'Unexpected ")"', 5],
+        ['()', 'Empty parentheses', 0]
+    ];
+    for (const [input, reason, position] of cases) {
+        const result = parse(input);
+        assert.equal(result.ok, false, input);
+        assert.ok(result.reason.startsWith(reason), `${input}: ${result.reason}`);
+        assert.equal(result.position, position, input);
+    }
+});
+
+test('queries match on name, type and fields', () => {
+    assert.equal(matches('pizza', PIZZERIA), true);
+    assert.equal(matches('pizza -chain', CHAIN), false);
+    assert.equal(matches('pizza -chain', PIZZERIA), true);
+    assert.equal(matches('type:bar', BAR), true);
+    assert.equal(matches('type:bar', PIZZERIA), false);
+    assert.equal(matches('rating>=4.3 reviews>100', PIZZERIA), true);
+    assert.equal(matches('rating>=4.3 reviews>100', BAR), false);
+    assert.equal(matches('rating>4', place({})), false, 'no rating never passes a threshold');
+    assert.equal(matches('has:price', PIZZERIA), true);
+    assert.equal(matches('has:price', BAR), false);
+    assert.equal(matches('anchor OR luigi', BAR), true);
+    assert.equal(matches('NOT (anchor OR luigi)', BAR), false);
+});
+
+test('predicates on unloaded Google details are unknown and keep the place', () => {
+    const pending = place({ name: 'Corner Cafe', place_type: 'Cafe', place_id: 'ChIJplace0001', detailsLoaded: false });
+    const loaded = { ...pending, detailsLoaded: true };
+
+    for (const value of ['has:website', 'has:phone', 'has:hours', 'open:now']) {
+        assert.equal(app._placeMatchesFilterNode(ast(value), pending), null, value);
+        assert.equal(matches(value, pending), true, value);
+    }
+    // Kleene logic: unknown AND false is false, unknown OR true is true
+    assert.equal(matches('has:website type:bar', pending), false);
+    assert.equal(app._placeMatchesFilterNode(ast('has:website OR cafe'), pending), true);
+    assert.equal(app._placeMatchesFilterNode(ast('-has:website'), pending), null);
+
+    // Once loaded, a missing value is a definite no
+    assert.equal(matches('has:website', loaded), false);
+    assert.equal(matches('-has:website', loaded), true);
+    // OSM / Yelp places have no pending details
+    assert.equal(matches('has:phone', place({ name: 'Corner Cafe' })), false);
+});
+
+test('open:now agrees with the hours menu on unknown hours', () => {
+    const unknownHours = place({ name: 'Corner Cafe' });
+    assert.equal(matches('open:now', unknownHours), app.placeOpenAt(unknownHours) !== false);
+    assert.equal(matches('open:now', place({ openingHours: '24/7' })), true);
+    assert.equal(matches('open:now', place({ openingHours: 'off' })), false);
+});
+
+test('only queries that read hours, phone or website need details', () => {
+    const needs = value => app.filterQueryNeedsDetails(app.parseFilterQuery(value).query);
+    assert.equal(needs('pizza rating>4 has:price'), false);
+    assert.equal(needs('pizza (bar OR -has:phone)'), true);
+    assert.equal(needs('NOT open:now'), true);
+    assert.equal(app.filterQueryNeedsDetails(null), false);
+
+    assert.equal(app._placeFiltersNeedDetails(), false);
+    app.activePlaceQuery = app.parseFilterQuery('has:website').query;
+    assert.equal(app._placeFiltersNeedDetails(), true);
+    app.activePlaceQuery = null;
+});
+
+test('relevance ranking ignores unknown predicates', () => {
+    const pending = place({ name: 'Luigi Pizza', detailsLoaded: false });
+    const { query } = app.parseFilterQuery('luigi pizza has:website');
+    assert.ok(app.filterQueryRelevance(query, pending) >= 0.9);
+    assert.equal(app.filterQueryRelevance(query, { ...pending, detailsLoaded: true }), 0);
+});
@@ -0,0 +1,70 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { loadApp } = require('./load-app');
+
+const app = loadApp();
+const osmJson = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'overpass-walk-grid.json'), 'utf8'));
+
+// The fixture is a 7×7 street grid, 100 m apart, centred here
+const CENTER = [51.5, -0.12];
+const proj = app._localProjection(CENTER);
+const at = (eastM, northM) => proj.toLatLng({ x: eastM, y: northM });
+
+test('computeWalkIsochrone follows the streets within the time budget', () => {
+    // 2 minutes ≈ 160 m of walking
+    const ring = app.computeWalkIsochrone(osmJson, CENTER, 2);
+    assert.ok(Array.isArray(ring) && ring.length >= 3);
+
+    assert.ok(app.pointInPolygon(CENTER, ring));
+    assert.ok(app.pointInPolygon(at(140, 0), ring), 'along the street east');
+    assert.ok(app.pointInPolygon(at(0, -140), ring), 'along the street south');
+    // Block corners are 200 m away on foot even though only 141 m as the crow flies
+    assert.ok(!app.pointInPolygon(at(150, 150), ring));
+    assert.ok(!app.pointInPolygon(at(0, 300), ring));
+});
+
+test('computeWalkIsochrone ignores ways that are not walkable', () => {
+    // 10 minutes covers the whole grid, but the node 600 m east is only
+    // connected by a motorway
+    const ring = app.computeWalkIsochrone(osmJson, CENTER, 10);
+    assert.ok(app.pointInPolygon(at(300, 300), ring));
+    assert.ok(!app.pointInPolygon(at(600, 100), ring));
+});
+
+test('computeWalkIsochrone returns null when the start is far from any way', () => {
+    assert.equal(app.computeWalkIsochrone(osmJson, at(2000, 0), 10), null);
+    assert.equal(app.computeWalkIsochrone({ elements: [] }, CENTER, 10), null);
+});
+
+test('fetchWalkNetwork posts the Overpass query through the injected fetch', async () => {
+    const calls = [];
+    const fetchImpl = async (url, init) => {
+        calls.push({ url, init });
+        return { ok: true, json: async () => osmJson };
+    };
+    const json = await app.fetchWalkNetwork(CENTER, 420, fetchImpl);
+    assert.equal(json, osmJson);
+    assert.equal(calls.length, 1);
+    assert.equal(calls[0].url, app.OVERPASS_URL);
+    assert.match(decodeURIComponent(calls[0].init.body), /around:420,51\.5,-0\.12/);
+
+    const failing = async () => ({ ok: false, status: 429 });
+    await assert.rejects(app.fetchWalkNetwork(CENTER, 420, failing), /Overpass error 429/);
+});
+
+test('thinHullPoints caps the hull input and keeps the outline', () => {
+    const points = [];
+    for (let x = 0; x < 100; x++) {
+        for (let y = 0; y < 50; y++) points.push({ x: x * 20, y: y * 20 });
+    }
+    const thinned = app.thinHullPoints(points, 400);
+    assert.ok(thinned.length <= 400);
+    for (const corner of app.convexHull(points)) assert.ok(thinned.includes(corner));
+
+    const few = points.slice(0, 10);
+    assert.equal(app.thinHullPoints(few, 400), few);
+});
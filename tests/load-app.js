@@ -0,0 +1,101 @@
+'use strict';
+
+// Loads app.js into a sandbox with just enough DOM / Leaflet stubs for its
+// top-level code to run, so the pure helpers can be tested with node:test
+// (no browser, no network, no packages).
+//
+//   const app = loadApp();
+//   app.parseFilterQuery('cafe');
+//
+// Values created inside the sandbox have their own Array/Object prototypes;
+// pass them through plain() before deepStrictEqual.
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const APP_PATH = path.join(__dirname, '..', 'app.js');
+
+const noop = () => {};
+
+// Callable, infinitely nested no-op object for DOM and Leaflet calls made
+// at load time (style tags, event listeners, map controls)
+function stub() {
+    return new Proxy(function () {}, {
+        get: (target, key) => (key === Symbol.toPrimitive ? () => '' : stub()),
+        apply: () => stub(),
+        construct: () => stub(),
+        set: () => true
+    });
+}
+
+function memoryStorage() {
+    const store = new Map();
+    return {
+        getItem: key => (store.has(key) ? store.get(key) : null),
+        setItem: (key, value) => { store.set(key, String(value)); },
+        removeItem: key => { store.delete(key); },
+        clear: () => store.clear(),
+        key: index => [...store.keys()][index] ?? null,
+        get length() { return store.size; }
+    };
+}
+
+/**
+ * @param {Object} [globals] extra globals for the sandbox, e.g. the
+ *        LASO_PROXY_URL that config.js would define, or a fetch stand-in
+ */
+function loadApp(globals = {}) {
+    const leaflet = stub();
+    const ctx = {
+        console,
+        setTimeout, clearTimeout, setInterval, clearInterval,
+        URL, URLSearchParams, TextEncoder, TextDecoder, AbortController, Blob,
+        localStorage: memoryStorage(),
+        sessionStorage: memoryStorage(),
+        document: {
+            addEventListener: noop,
+            getElementById: () => null,
+            querySelector: () => null,
+            querySelectorAll: () => [],
+            createElement: () => stub(),
+            head: { appendChild: noop },
+            body: stub()
+        },
+        navigator: { userAgent: 'node' },
+        location: { hash: '', search: '', href: 'http://localhost/' },
+        // Real points so the geometry helpers can read .x / .y back
+        L: new Proxy({}, {
+            get: (target, key) => (key === 'point' ? (x, y) => ({ x, y }) : leaflet[key])
+        }),
+        fetch: () => Promise.reject(new Error('No network in tests'))
+    };
+    Object.assign(ctx, globals);
+    ctx.window = ctx;
+    ctx.self = ctx;
+    ctx.addEventListener = noop;
+    ctx.removeEventListener = noop;
+
+    vm.createContext(ctx);
+    vm.runInContext(fs.readFileSync(APP_PATH, 'utf8'), ctx, { filename: APP_PATH });
+
+    // Top-level const/let/function declarations live in the script scope,
+    // not on the global object — look them up by evaluating the name.
+    // Assigning replaces a function or `let` binding (e.g. to silence UI calls).
+    return new Proxy({}, {
+        get: (target, name) => (typeof name === 'string' ? vm.runInContext(name, ctx) : undefined),
+        set: (target, name, value) => {
+            ctx.__testValue = value;
+            vm.runInContext(`${name} = __testValue`, ctx);
+            delete ctx.__testValue;
+            return true;
+        }
+    });
+}
+
+// Sandbox value → plain JSON value (realm-free, comparable with deepStrictEqual)
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { loadApp, plain };
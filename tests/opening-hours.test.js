@@ -0,0 +1,129 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, plain } = require('./load-app');
+
+const app = loadApp();
+
+// Local times in the week of Monday 2026-03-09
+const at = (day, hour, minute = 0) => new Date(2026, 2, 9 + day, hour, minute);
+const MON = 0, TUE = 1, WED = 2, FRI = 4, SAT = 5, SUN = 6;
+const isOpen = (value, date, options) => app.openingStateAt(value, date, options)?.open;
+
+test('_compileOpeningHours reads selectors, times and rule kinds', () => {
+    const [weekdays, saturday] = plain(app._compileOpeningHours('Mo-Fr 09:00-17:00, 18:00-22:00; Sa 10:00+'));
+    assert.deepEqual(weekdays.weekdays, [{ from: 1, to: 5, nth: null, offset: 0 }]);
+    assert.deepEqual(weekdays.times, [{ from: 540, to: 1020 }, { from: 1080, to: 1320 }]);
+    assert.equal(saturday.kind, 'normal');
+    assert.deepEqual(saturday.times, [{ from: 600, to: 1440, openEnd: true }]);
+
+    const rules = plain(app._compileOpeningHours('Dec 24-Jan 06 off || Su[-1] +1 day "by appointment"'));
+    assert.deepEqual(rules[0].months, [{ from: 1224, to: 106 }]);
+    assert.equal(rules[0].state, false);
+    assert.equal(rules[1].kind, 'fallback');
+    assert.deepEqual(rules[1].weekdays, [{ from: 0, to: 0, nth: [-1], offset: 1 }]);
+    assert.equal(rules[1].comment, 'by appointment');
+});
+
+test('_compileOpeningHours rejects what it cannot evaluate', () => {
+    assert.throws(() => app._compileOpeningHours('easter off'), /Easter dates are not supported/);
+    assert.throws(() => app._compileOpeningHours('Mo-Fr 09:00-17:00 ?'), /Unexpected "\?" at position 19/);
+    assert.throws(() => app._compileOpeningHours('Mo[x]'), /Expected a week-of-month number/);
+    assert.equal(app.parseOpeningHours('easter off'), null);
+    assert.equal(app.parseOpeningHours('  '), null);
+});
+
+test('openingStateAt evaluates weekday ranges and split days', () => {
+    const value = 'Mo-Fr 09:00-12:00, 13:00-17:30; Sa 10:00-14:00';
+    assert.equal(isOpen(value, at(MON, 9)), true);
+    assert.equal(isOpen(value, at(MON, 12, 30)), false);
+    assert.equal(isOpen(value, at(FRI, 17, 29)), true);
+    assert.equal(isOpen(value, at(FRI, 17, 30)), false);
+    assert.equal(isOpen(value, at(SAT, 11)), true);
+    assert.equal(isOpen(value, at(SUN, 11)), false);
+    assert.equal(isOpen('24/7', at(SUN, 3)), true);
+    assert.equal(app.openingStateAt('not hours', at(MON, 9)), null);
+});
+
+test('openingStateAt carries overnight hours into the next day', () => {
+    assert.equal(isOpen('Fr 22:00-02:00', at(SAT, 1, 30)), true);
+    assert.equal(isOpen('Fr 22:00-02:00', at(SAT, 2)), false);
+    assert.equal(isOpen('Sa-Su 18:00-26:00', at(MON, 1)), true);
+    // Wrap-around weekday range
+    assert.equal(isOpen('Fr-Mo 10:00-16:00', at(SUN, 12)), true);
+    assert.equal(isOpen('Fr-Mo 10:00-16:00', at(WED, 12)), false);
+});
+
+test('openingStateAt applies off, fallback and unknown rules', () => {
+    assert.equal(isOpen('Mo-Sa 09:00-18:00; We off', at(WED, 10)), false);
+    assert.equal(isOpen('Mo-Sa 09:00-18:00; We 12:00-14:00 off', at(WED, 13)), false);
+    assert.equal(isOpen('Mo-Sa 09:00-18:00; We 12:00-14:00 off', at(WED, 15)), true);
+    assert.equal(isOpen('Sa 10:00-14:00 || "by appointment"', at(MON, 10)), null);
+    assert.deepEqual(plain(app.openingStateAt('Mo-Fr 08:00-12:00 unknown "call first"', at(TUE, 9))),
+        { open: null, comment: 'call first' });
+    // Last Sunday of the month: March 2026 ends on Tuesday the 31st
+    assert.equal(isOpen('Su[-1] 10:00-12:00', new Date(2026, 2, 29, 11)), true);
+    assert.equal(isOpen('Su[-1] 10:00-12:00', at(SUN, 11)), false);
+});
+
+test('nextOpeningChange finds the next open or close', () => {
+    const value = 'Mo-Fr 09:00-17:00';
+    const closing = plain(app.nextOpeningChange(value, at(MON, 10)));
+    assert.equal(closing.open, false);
+    assert.equal(new Date(closing.at).getTime(), at(MON, 17).getTime());
+
+    const weekend = app.nextOpeningChange(value, at(SAT, 12));
+    assert.equal(weekend.open, true);
+    assert.equal(weekend.at.getTime(), new Date(2026, 2, 16, 9).getTime());
+
+    assert.equal(app.nextOpeningChange('24/7', at(MON, 10)), null);
+    // An open end has no known close
+    assert.equal(app.nextOpeningChange('Mo 17:00+', at(MON, 18)), null);
+});
+
+test('PH / SH rules make the state unknown when no holiday calendar is given', () => {
+    const value = 'Mo-Fr 09:00-17:00; PH off';
+    assert.equal(isOpen(value, at(MON, 10)), null, 'closed if today is a holiday, open otherwise');
+    assert.equal(isOpen(value, at(MON, 20)), false, 'closed either way');
+
+    assert.equal(isOpen(value, at(MON, 10), { holidays: { ph: new Set(['2026-03-09']) } }), false);
+    assert.equal(isOpen(value, at(MON, 10), { holidays: { ph: new Set(['2026-12-25']) } }), true);
+
+    const schoolHolidays = 'Mo-Fr 08:00-16:00; SH 10:00-14:00';
+    assert.equal(isOpen(schoolHolidays, at(TUE, 11)), true, 'open either way');
+    assert.equal(isOpen(schoolHolidays, at(TUE, 9)), null);
+    assert.equal(isOpen(schoolHolidays, at(TUE, 9), { holidays: { sh: new Set(['2026-03-10']) } }), false);
+    assert.equal(isOpen(schoolHolidays, at(TUE, 9), { holidays: { sh: new Set() } }), true);
+});
+
+test('placeOpenAt falls back to Google periods when OSM hours depend on holidays', () => {
+    const periods = [{ open: { day: 1, hour: 9, minute: 0 }, close: { day: 1, hour: 17, minute: 0 } }];
+    assert.equal(app.placeOpenAt({ openingHours: 'Mo-Fr 09:00-17:00; PH off' }, at(MON, 10)), null);
+    assert.equal(app.placeOpenAt({ openingHours: 'Mo-Fr 09:00-17:00; PH off', openingPeriods: periods }, at(MON, 10)), true);
+});
+
+test('turning on the open-at filter offers to load hours for the results, then filters again', async () => {
+    const tuesdaysOnly = { open: { day: 2, hour: 9, minute: 0 }, close: { day: 2, hour: 17, minute: 0 } };
+    const places = [
+        { place_id: 'ChIJplace0001', detailsLoaded: false },
+        { place_id: 'osm-node-1', openingHours: 'Mo 09:00-17:00', detailsLoaded: true }
+    ];
+    const loader = loadApp({
+        LASO_PROXY_URL: 'https://proxy.example',
+        fetch: async () => new Response(JSON.stringify({ id: 'ChIJplace0001', currentOpeningHours: { periods: [tuesdaysOnly] } }), { status: 200 }),
+        confirm: () => true
+    });
+    loader.updateStatus = () => {};
+    loader.showNotification = () => {};
+    const shown = [];
+    loader.applyFiltersAndSort = () => {
+        const when = loader.resolveOpenAtDate(loader.activeOpenAtFilter, at(MON, 8));
+        shown.push(places.filter(p => loader.placeOpenAt(p, when) !== false).map(p => p.place_id));
+    };
+    loader.unfilteredSearchResults = places;
+
+    await loader._setOpenAtFilter({ day: 1, minutes: 600 });
+    assert.deepEqual(plain(shown), [['ChIJplace0001', 'osm-node-1'], ['osm-node-1']]);
+    assert.equal(places[0].detailsLoaded, true);
+});
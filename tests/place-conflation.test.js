@@ -0,0 +1,76 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, plain } = require('./load-app');
+
+const app = loadApp();
+
+function googlePlace(id, name, [lat, lng], fields = {}) {
+    return app.normalizeGooglePlace({
+        id,
+        displayName: { text: name },
+        location: { latitude: lat, longitude: lng },
+        googleMapsUri: `https://maps.google.com/?cid=${id}`,
+        ...fields
+    }, { detailsLoaded: false });
+}
+
+function osmPlace(id, name, [lat, lon], tags = {}) {
+    return app.normalizeOverpassElement({ type: 'node', id, lat, lon, tags: { name, ...tags } });
+}
+
+const CAFE = [51.5, -0.12];
+const NEXT_DOOR = [51.50003, -0.12];   // ~3 m north
+const ACROSS_TOWN = [51.51, -0.12];
+
+test('conflatePlaces fills Google gaps from a nearby OSM record with the same name', () => {
+    const google = [googlePlace('ChIJcafe', 'Corner Cafe', CAFE, { rating: 4.4, userRatingCount: 120 })];
+    const osm = [
+        osmPlace(1, 'Corner Café', NEXT_DOOR, { opening_hours: 'Mo-Fr 08:00-16:00', phone: '+44 20 7946 0001' }),
+        osmPlace(2, 'Corner Cafe', ACROSS_TOWN),
+        osmPlace(3, 'The Anchor', NEXT_DOOR)
+    ];
+    const merged = app.conflatePlaces([google, osm]);
+
+    assert.deepEqual(plain(merged.map(p => p.place_id)), ['ChIJcafe', 'osm:node/2', 'osm:node/3']);
+    const [cafe] = merged;
+    assert.deepEqual(plain(cafe.sources), ['google', 'osm']);
+    assert.equal(cafe.openingHours, 'Mo-Fr 08:00-16:00');
+    assert.equal(cafe.phone, '+44 20 7946 0001');
+    assert.equal(cafe.osm_id, 1);
+    assert.equal(cafe.rating, 4.4);
+    assert.equal(google[0].openingHours, null, 'inputs are not mutated');
+});
+
+test('mergePlaceRecords only takes the google block from Google records', () => {
+    const google = googlePlace('ChIJcafe', 'Corner Cafe', CAFE);
+    const other = app.createPlace({ name: 'Corner Cafe', rating: 3.1, userRatingCount: 40 }, 'yelp');
+    app.mergePlaceRecords(google, other);
+    assert.equal(google.rating, 3.1, 'the gap is filled');
+    assert.equal(google.google.rating, null, 'but not shown as a Google rating');
+    assert.equal(google.google.userRatingCount, 0);
+
+    const osm = osmPlace(1, 'Corner Cafe', NEXT_DOOR);
+    app.mergePlaceRecords(osm, googlePlace('ChIJcafe', 'Corner Cafe', CAFE, { rating: 4.4, userRatingCount: 120 }));
+    assert.deepEqual(plain(osm.google), {
+        rating: 4.4, userRatingCount: 120, googleMapsUri: 'https://maps.google.com/?cid=ChIJcafe', displayName: 'Corner Cafe'
+    });
+});
+
+test('Google shape searches are conflated with the OSM places of the same shape', async () => {
+    const shape = { points: [], holes: [], circle: null };
+    const loader = loadApp();
+    loader.searchPlacesWithGoogle = async () => [googlePlace('ChIJcafe', 'Corner Cafe', CAFE)];
+    loader.searchPlacesWithOverpass = async () => [
+        osmPlace(1, 'Corner Cafe', NEXT_DOOR, { opening_hours: '24/7' }),
+        osmPlace(2, 'The Anchor', ACROSS_TOWN)
+    ];
+    const places = await loader.SEARCH_PROVIDERS.google.searchShape(shape, null);
+    assert.deepEqual(plain(places.map(p => [p.place_id, p.openingHours])), [['ChIJcafe', '24/7']]);
+
+    // OSM being down never fails the Google search
+    loader.searchPlacesWithOverpass = async () => { throw new Error('Overpass error 504'); };
+    const fallback = await loader.SEARCH_PROVIDERS.google.searchShape(shape, null);
+    assert.deepEqual(plain(fallback.map(p => [p.place_id, p.openingHours])), [['ChIJcafe', null]]);
+});
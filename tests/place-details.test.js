@@ -0,0 +1,167 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./load-app');
+
+// Google periods: Monday–Friday 09:00–17:00
+const WEEKDAYS_9_TO_5 = [1, 2, 3, 4, 5].map(day => ({
+    open: { day, hour: 9, minute: 0 },
+    close: { day, hour: 17, minute: 0 }
+}));
+const ALWAYS_OPEN = [{ open: { day: 0, hour: 0, minute: 0 } }];
+
+function detailsResponse(id) {
+    return new Response(JSON.stringify({
+        id,
+        internationalPhoneNumber: `+44 20 7946 ${id.slice(-4)}`,
+        websiteUri: `https://${id}.example`,
+        currentOpeningHours: { openNow: true, periods: WEEKDAYS_9_TO_5 }
+    }), { status: 200, headers: { 'Content-Type': 'application/json' } });
+}
+
+// `globals.confirm` answers the bulk-load question (default: yes)
+function loadWithProxy(fetchImpl, globals = {}) {
+    const app = loadApp({ LASO_PROXY_URL: 'https://proxy.example', fetch: fetchImpl, confirm: () => true, ...globals });
+    app.updateStatus = () => {};
+    app.showNotification = () => {};
+    return app;
+}
+
+test('placeOpenAt recomputes from periods instead of a stale openNow', () => {
+    const app = loadApp();
+    // Monday 2026-03-09 20:00 local time — after closing
+    const mondayEvening = new Date(2026, 2, 9, 20, 0);
+    assert.equal(app.placeOpenAt({ openNow: true, openingPeriods: WEEKDAYS_9_TO_5 }, mondayEvening), false);
+    assert.equal(app.placeOpenAt({ openNow: false, openingPeriods: ALWAYS_OPEN }), true);
+
+    // Without hours the snapshot is all there is, and only for "now"
+    assert.equal(app.placeOpenAt({ openNow: true }), true);
+    assert.equal(app.placeOpenAt({ openNow: true }, mondayEvening), null);
+    assert.equal(app.placeOpenAt({}), null);
+});
+
+test('fetchPlaceDetails caches the periods but not openNow', async () => {
+    let calls = 0;
+    const app = loadWithProxy(async (url) => {
+        calls++;
+        return detailsResponse(new URL(url).searchParams.get('id'));
+    });
+    const details = await app.fetchPlaceDetails('ChIJplace0001');
+    assert.equal(details.website, 'https://ChIJplace0001.example');
+    assert.equal(details.openingPeriods.length, 5);
+    assert.equal('openNow' in details, false);
+
+    const stored = JSON.parse(app.localStorage.getItem('laso_place_details_v2'));
+    assert.equal('openNow' in stored.ChIJplace0001.data, false);
+
+    await app.fetchPlaceDetails('ChIJplace0001');
+    assert.equal(calls, 1, 'second lookup is served from the cache');
+});
+
+test('ensurePlaceDetails loads every place that lacks details, a few at a time', async () => {
+    let inFlight = 0;
+    let maxInFlight = 0;
+    const app = loadWithProxy(async (url) => {
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        inFlight--;
+        return detailsResponse(new URL(url).searchParams.get('id'));
+    });
+
+    const places = Array.from({ length: 10 }, (_, i) => ({
+        place_id: `ChIJplace${String(i).padStart(4, '0')}`, phone: null, website: null, detailsLoaded: false
+    }));
+    const osmPlace = { place_id: 'osm-node-1', phone: '+44 1', detailsLoaded: true };
+
+    assert.equal(await app.ensurePlaceDetails([...places, osmPlace]), 10);
+    assert.ok(maxInFlight > 1 && maxInFlight <= app.PLACE_DETAILS_BULK_CONCURRENCY);
+    for (const place of places) {
+        assert.equal(place.detailsLoaded, true);
+        assert.equal(place.website, `https://${place.place_id}.example`);
+        assert.equal(place.openingPeriods.length, 5);
+    }
+    assert.equal(osmPlace.phone, '+44 1');
+    assert.equal(await app.ensurePlaceDetails(places), 0, 'nothing left to load');
+});
+
+test('ensurePlaceDetails asks first, with the call count, and does nothing when declined', async () => {
+    let calls = 0;
+    const questions = [];
+    const app = loadWithProxy(async () => { calls++; return new Response('{}', { status: 200 }); }, {
+        confirm: question => { questions.push(question); return false; }
+    });
+    const places = [1, 2, 3].map(i => ({ place_id: `ChIJplace000${i}`, detailsLoaded: false }));
+    assert.equal(await app.ensurePlaceDetails(places), 0);
+    assert.equal(calls, 0);
+    assert.equal(questions.length, 1);
+    assert.match(questions[0], /missing for 3 places.*uses 3 Google Place Details calls/);
+    assert.ok(places.every(p => p.detailsLoaded === false));
+});
+
+test('ensurePlaceDetails spends at most what is left of the daily budget', async () => {
+    let calls = 0;
+    const questions = [];
+    const app = loadWithProxy(async (url) => { calls++; return detailsResponse(new URL(url).searchParams.get('id')); }, {
+        GOOGLE_PLACES_DAILY_LIMIT: 2,
+        confirm: question => { questions.push(question); return true; }
+    });
+    const places = Array.from({ length: 5 }, (_, i) => ({ place_id: `ChIJplace000${i}`, detailsLoaded: false }));
+    assert.equal(await app.ensurePlaceDetails(places), 2);
+    assert.equal(calls, 2);
+    assert.match(questions[0], /missing for 5 places\. Load them for the first 2\?/);
+    assert.deepEqual(places.map(p => p.detailsLoaded), [true, true, false, false, false]);
+
+    // Budget spent: no question, no calls
+    assert.equal(await app.ensurePlaceDetails(places), 0);
+    assert.equal(questions.length, 1);
+    assert.equal(calls, 2);
+});
+
+test('cached details are applied without asking or calling Google', async () => {
+    let calls = 0;
+    const app = loadWithProxy(async (url) => { calls++; return detailsResponse(new URL(url).searchParams.get('id')); }, {
+        confirm: () => assert.fail('should not ask')
+    });
+    await app.fetchPlaceDetails('ChIJplace0001');
+    const place = { place_id: 'ChIJplace0001', detailsLoaded: false };
+    assert.equal(app.applyCachedPlaceDetails([place, { place_id: 'ChIJplace0002', detailsLoaded: false }]), 1);
+    assert.equal(place.website, 'https://ChIJplace0001.example');
+    assert.equal(await app.ensurePlaceDetails([{ place_id: 'ChIJplace0001', detailsLoaded: false }]), 1);
+    assert.equal(calls, 1);
+});
+
+test('ensurePlaceDetails leaves places undetailed when a call fails', async () => {
+    const app = loadWithProxy(async () => new Response('{}', { status: 500 }));
+    const place = { place_id: 'ChIJplace0001', detailsLoaded: false };
+    assert.equal(await app.ensurePlaceDetails([place]), 0);
+    assert.equal(place.detailsLoaded, false);
+});
+
+test('Nearby Search asks for hours up front while the open-at filter is on', () => {
+    const app = loadApp();
+    const circle = { center: { latitude: 51.5, longitude: -0.12 }, radius: 500 };
+    assert.equal(app._placeFiltersNeedDetails(), false);
+    app.activeOpenAtFilter = 'now';
+    assert.equal(app._placeFiltersNeedDetails(), true);
+    assert.notEqual(
+        app._nearbyCacheKey(['cafe'], circle, 'POPULARITY', true),
+        app._nearbyCacheKey(['cafe'], circle, 'POPULARITY', false)
+    );
+});
+
+test('selecting a place stores its weekly periods for the schedule and badges', async () => {
+    const app = loadWithProxy(async (url) => detailsResponse(new URL(url).searchParams.get('id')));
+    const place = app.normalizeGooglePlace({ id: 'ChIJplace0001', displayName: { text: 'Corner Cafe' } }, { detailsLoaded: false });
+    app.allSearchResults = [place];
+    assert.equal(app.placeWeeklySchedule(place), null);
+    assert.match(app.createPlaceCard(place, 0), /hours load when selected/);
+
+    await app.loadPlaceDetails(0);
+    assert.equal(place.openingPeriods.length, 5);
+    // Monday 2026-03-09, 16:45
+    const badge = app.describeOpeningBadge(place, new Date(2026, 2, 9, 16, 45));
+    assert.equal(badge.text, 'Closes in 15 min');
+    assert.match(app.createPlaceCard(place, 0), /place-hours-table/);
+});
@@ -0,0 +1,65 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./load-app');
+
+const app = loadApp();
+
+const CENTER = [51.5, -0.12];
+const proj = app._localProjection(CENTER);
+const at = (eastM, northM) => proj.toLatLng({ x: eastM, y: northM });
+const covered = (polygons, point) =>
+    polygons.some(([outer, ...holes]) => app.pointInPolygon(point, outer, holes));
+
+test('bufferPolyline turns a straight route into one corridor', () => {
+    const polygons = app.bufferPolyline([at(0, 0), at(500, 0)], 30);
+    assert.equal(polygons.length, 1);
+    assert.equal(polygons[0].length, 1, 'no holes');
+    assert.ok(covered(polygons, at(250, 25)));
+    assert.ok(covered(polygons, at(-25, 0)), 'round cap');
+    assert.ok(!covered(polygons, at(250, 40)));
+});
+
+test('bufferPolyline keeps every section of a self-crossing route', () => {
+    // East, north, west, then south across the first leg
+    const line = [at(-200, 0), at(400, 0), at(400, 400), at(100, 400), at(100, -300)];
+    const polygons = app.bufferPolyline(line, 30);
+    assert.ok(polygons.length > 1);
+
+    for (const [x, y] of [[-190, 0], [0, 0], [100, 0], [300, 0], [400, 200], [250, 400], [100, 200], [100, -290]]) {
+        assert.ok(covered(polygons, at(x, y)), `route point ${x},${y}`);
+    }
+    // The block the route walks around is not part of the corridor
+    assert.ok(!covered(polygons, at(250, 200)));
+    assert.ok(!covered(polygons, at(-100, -100)));
+});
+
+test('bufferPolyline does not punch holes at tight turns', () => {
+    const hairpin = app.bufferPolyline([at(0, 0), at(300, 0), at(300, 20), at(0, 20)], 30);
+    assert.equal(hairpin.length, 1);
+    assert.equal(hairpin[0].length, 1);
+    assert.ok(covered(hairpin, at(150, 10)));
+
+    assert.equal(app.bufferPolyline([at(0, 0), at(0.1, 0)], 30), null);
+});
+
+test('places from the pieces of one self-crossing route sort along the line', async () => {
+    // Starts in the short southern tail, which is the smaller second piece
+    const line = [at(100, -300), at(100, 400), at(400, 400), at(400, 0), at(-200, 0)];
+    const shapes = app.bufferPolyline(line, 30).map(([outer, ...holes]) => ({
+        points: [...outer, outer[0]], holes, route: line
+    }));
+    assert.ok(shapes.length > 1);
+    // Each piece returns the route stops it covers, in reverse
+    const stops = [[100, -290], [100, 200], [250, 400], [400, 200], [300, 0], [-190, 0]];
+    const provider = {
+        searchShape: async shape => stops
+            .filter(([x, y]) => covered([[shape.points, ...shape.holes]], at(x, y)))
+            .reverse()
+            .map(([x, y]) => ({ place_id: `${x},${y}`, coordinates: at(x, y) }))
+    };
+    const places = await app.searchPlacesInShapes(shapes, null, provider);
+    places.sort((a, b) => app.compareByRoutePosition(a, b, CENTER));
+    assert.deepEqual([...places].map(p => p.place_id), stops.map(([x, y]) => `${x},${y}`));
+});
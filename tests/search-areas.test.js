@@ -0,0 +1,36 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./load-app');
+
+test('replacing the search area marks existing results stale', () => {
+    const app = loadApp();
+    app.removeCurrentPolygon();
+    assert.equal(app.resultsStale, false, 'nothing to mark without results');
+
+    app.unfilteredSearchResults = [{ place_id: 'ChIJplace0001' }];
+    app.removeCurrentPolygon();
+    assert.equal(app.resultsStale, true);
+});
+
+test('imported holes must lie inside their shape and apart from each other', () => {
+    const app = loadApp();
+    const shown = [];
+    app.showNotification = (message, type) => shown.push([message, type]);
+    // GeoJSON rings are [lng, lat]
+    const square = (lng, lat, size) =>
+        [[lng, lat], [lng + size, lat], [lng + size, lat + size], [lng, lat + size], [lng, lat]];
+    const install = (...rings) => app.installSearchAreas(
+        app.parseGeoJsonAreas({ type: 'Polygon', coordinates: rings }), 'Imported');
+
+    const outer = square(-0.13, 51.5, 0.01);
+    assert.equal(install(outer, square(-0.125, 51.504, 0.01)), false, 'hole crosses the outer ring');
+    assert.equal(install(outer, square(-0.10, 51.52, 0.001)), false, 'hole outside the shape');
+    assert.equal(install(outer, square(-0.128, 51.502, 0.004), square(-0.126, 51.504, 0.004)), false);
+    assert.deepEqual(shown, [
+        ['Exclusions must lie fully inside their shape', 'error'],
+        ['Exclusions must lie fully inside their shape', 'error'],
+        ['Exclusions can\'t overlap each other', 'error']
+    ]);
+});
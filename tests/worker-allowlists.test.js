@@ -0,0 +1,40 @@
+'use strict';
+
+// The worker's allowlists are hand-kept copies of what app.js sends; these
+// tests fail as soon as the two drift apart.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const { pathToFileURL } = require('node:url');
+const { loadApp } = require('./load-app');
+
+const app = loadApp();
+const workerUrl = pathToFileURL(path.join(__dirname, '..', 'worker', 'src', 'index.js')).href;
+
+const maskFields = mask => mask.split(',').map(f => f.trim()).filter(Boolean);
+const sorted = values => [...values].sort();
+
+test('the worker allows exactly the place types the app searches for', async () => {
+    const { ALLOWED_PLACE_TYPES } = await import(workerUrl);
+    const appTypes = new Set(app.GOOGLE_TYPE_GROUPS.flat());
+    for (const category of Object.values(app._CATEGORY_MAP)) {
+        for (const type of category.googleTypes || []) appTypes.add(type);
+    }
+    assert.deepStrictEqual(sorted(ALLOWED_PLACE_TYPES), sorted(appTypes));
+});
+
+test('the worker allows exactly the search field masks the app sends', async () => {
+    const { ALLOWED_FIELD_MASK } = await import(workerUrl);
+    const appFields = new Set([
+        ...maskFields(app.GOOGLE_FIELD_MASK),
+        ...maskFields(app.GOOGLE_NEARBY_DETAILS_FIELD_MASK),
+        ...maskFields(app.GOOGLE_TEXT_SEARCH_FIELD_MASK)
+    ]);
+    assert.deepStrictEqual(sorted(ALLOWED_FIELD_MASK), sorted(appFields));
+});
+
+test('the worker allows exactly the details field mask the app sends', async () => {
+    const { ALLOWED_DETAILS_FIELD_MASK } = await import(workerUrl);
+    assert.deepStrictEqual(sorted(ALLOWED_DETAILS_FIELD_MASK), sorted(maskFields(app.GOOGLE_DETAILS_FIELD_MASK)));
+});
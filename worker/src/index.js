@@ -7,6 +7,7 @@
  * Routes:
  *   POST /search      — proxies to Google Places searchNearby
  *   POST /textsearch  — proxies to Google Places searchText
+ *   GET  /details     — proxies to Google Place Details (?id=<placeId>)
  *   POST /verify      — minimal searchNearby call to verify connectivity
  *   GET  /yelp        — proxies to Yelp Business Search (rate-limited 5K/day)
  *   OPTIONS *         — CORS preflight
@@ -15,12 +16,34 @@
  *   GOOGLE_PLACES_API_KEY — Google Places API key
  *   YELP_API_KEY          — Yelp Fusion API key
  *
- * KV Namespace (bind in wrangler.toml):
- *   RATE_LIMIT            — used for daily Yelp call counting
+ * Durable Objects (bind in wrangler.toml):
+ *   GOOGLE_QUOTA          — GoogleQuota: atomic Google per-IP / global quota counters
+ *
+ * KV Namespaces (bind in wrangler.toml):
+ *   RATE_LIMIT            — daily Yelp call counting; Google quotas when GOOGLE_QUOTA isn't bound
+ *   PLACES_CACHE          — shared cache of Google /search, /textsearch and /details responses
+ *
+ * Vars:
+ *   CACHE_TTL_SECONDS     — lifetime of cached Google responses (default 1800, min 60)
+ *   GOOGLE_IP_MINUTE_LIMIT, GOOGLE_IP_DAILY_LIMIT,
+ *   GOOGLE_GLOBAL_MINUTE_LIMIT, GOOGLE_GLOBAL_DAILY_LIMIT
+ *                         — Google call quotas (defaults in GOOGLE_QUOTA_DEFAULTS)
  */
 
 const YELP_DAILY_LIMIT = 5000;
 
+const DEFAULT_CACHE_TTL_SECONDS = 1800;
+const MIN_CACHE_TTL_SECONDS = 60;          // KV's minimum expirationTtl
+
+// Worker-side Google quotas.  Only calls that actually reach Google count —
+// cache hits are free.  Each can be overridden by the env var of the same name.
+const GOOGLE_QUOTA_DEFAULTS = Object.freeze({
+    GOOGLE_IP_MINUTE_LIMIT: 30,
+    GOOGLE_IP_DAILY_LIMIT: 500,
+    GOOGLE_GLOBAL_MINUTE_LIMIT: 300,
+    GOOGLE_GLOBAL_DAILY_LIMIT: 5000,
+});
+
 // Allowed origins — requests from any other origin are rejected.
 // Production deploys only allow PROD_ORIGINS.
 // Local dev (`wrangler dev`) reads .dev.vars which sets ALLOW_LOCAL_ORIGINS=true,
@@ -55,6 +78,7 @@ function corsHeaders(origin) {
         'Access-Control-Allow-Origin': origin,
         'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
         'Access-Control-Allow-Headers': 'Content-Type, X-Goog-FieldMask',
+        'Access-Control-Expose-Headers': 'X-Cache, X-Quota-Remaining, Retry-After',
         'Access-Control-Max-Age': '86400',
     };
 }
@@ -76,6 +100,549 @@ async function checkYelpRateLimit(env) {
     return { allowed: true, count: count + 1 };
 }
 
+// ── Google request validation ──────────────────────────────────────────────
+// Server-side twin of the client's _searchGuard: the browser checks can be
+// skipped by calling the worker directly, these can't.  Keep the limits in
+// step with _searchGuard in app.js; tests/worker-allowlists.test.js checks the
+// type and field allowlists against GOOGLE_TYPE_GROUPS and the field masks.
+
+const MAX_SEARCH_RADIUS_M = 5000;          // _searchGuard's bounding-circle limit
+const MAX_TEXT_BIAS_RADIUS_M = 50000;      // Google's own locationBias maximum
+const MAX_RESULT_COUNT = 20;
+const MAX_TEXT_QUERY_LENGTH = 200;
+
+// GOOGLE_TYPE_GROUPS, flattened, plus the category-search shortcuts' types
+export const ALLOWED_PLACE_TYPES = new Set([
+    'restaurant', 'cafe', 'bar', 'bakery', 'meal_delivery', 'meal_takeaway',
+    'supermarket', 'grocery_store', 'shopping_mall', 'convenience_store',
+    'clothing_store', 'electronics_store', 'furniture_store', 'hardware_store',
+    'home_goods_store', 'jewelry_store', 'shoe_store', 'pet_store', 'book_store',
+    'liquor_store',
+    'bank', 'post_office', 'gas_station', 'car_repair', 'car_wash', 'laundry',
+    'pharmacy', 'hospital', 'doctor', 'dentist', 'veterinary_care',
+    'beauty_salon', 'hair_care',
+    'school', 'university', 'library', 'gym', 'movie_theater', 'night_club',
+    'spa', 'hotel', 'lodging', 'church', 'mosque', 'synagogue',
+    'park',
+]);
+
+// Fields /search and /textsearch may ask for (GOOGLE_FIELD_MASK,
+// GOOGLE_NEARBY_DETAILS_FIELD_MASK and GOOGLE_TEXT_SEARCH_FIELD_MASK in app.js)
+export const ALLOWED_FIELD_MASK = new Set([
+    'places.id', 'places.displayName', 'places.formattedAddress', 'places.location',
+    'places.rating', 'places.userRatingCount', 'places.googleMapsUri',
+    'places.primaryType', 'places.primaryTypeDisplayName',
+    'places.internationalPhoneNumber', 'places.websiteUri',
+    'places.businessStatus', 'places.currentOpeningHours',
+    'nextPageToken',
+]);
+
+// Fields /details may ask for — the Enterprise-tier fields the search mask
+// leaves out (GOOGLE_DETAILS_FIELD_MASK in app.js)
+export const ALLOWED_DETAILS_FIELD_MASK = new Set([
+    'id', 'internationalPhoneNumber', 'websiteUri', 'currentOpeningHours',
+]);
+const PLACE_ID_PATTERN = /^[A-Za-z0-9_-]{10,300}$/;
+
+const NEARBY_BODY_KEYS = new Set(['includedTypes', 'locationRestriction', 'maxResultCount', 'rankPreference']);
+const TEXT_BODY_KEYS = new Set(['textQuery', 'locationBias', 'maxResultCount', 'pageSize', 'pageToken']);
+const PAGE_TOKEN_PATTERN = /^[A-Za-z0-9_\-+/=.]{1,2048}$/;
+const RANK_PREFERENCES = new Set(['POPULARITY', 'DISTANCE']);
+
+/** Thrown by the validators; becomes a structured 400 response. */
+export class RequestValidationError extends Error {
+    constructor(code, message, field) {
+        super(message);
+        this.name = 'RequestValidationError';
+        this.code = code;
+        this.field = field;
+    }
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function validateFieldMask(fieldMask, allowed = ALLOWED_FIELD_MASK) {
+    const fields = fieldMask.split(',').map(f => f.trim()).filter(Boolean);
+    const bad = fields.filter(f => !allowed.has(f));
+    if (fields.length === 0 || bad.length > 0) {
+        throw new RequestValidationError(
+            'invalid_field_mask',
+            bad.length ? `Field mask not allowed: ${bad.join(', ')}` : 'Field mask is empty',
+            'X-Goog-FieldMask'
+        );
+    }
+    return fields.join(',');
+}
+
+/** Validate a { center: {latitude, longitude}, radius } circle. */
+function validateCircle(circle, field, maxRadius) {
+    if (!isPlainObject(circle) || !isPlainObject(circle.center)) {
+        throw new RequestValidationError('invalid_circle', 'A center and radius are required', field);
+    }
+    const { latitude, longitude } = circle.center;
+    if (typeof latitude !== 'number' || !(Math.abs(latitude) <= 90)
+        || typeof longitude !== 'number' || !(Math.abs(longitude) <= 180)) {
+        throw new RequestValidationError('invalid_center', 'Circle center is not a valid coordinate', `${field}.center`);
+    }
+    const { radius } = circle;
+    if (typeof radius !== 'number' || !Number.isFinite(radius) || radius <= 0) {
+        throw new RequestValidationError('invalid_radius', 'Circle radius must be a positive number', `${field}.radius`);
+    }
+    if (radius > maxRadius) {
+        throw new RequestValidationError(
+            'radius_too_large',
+            `Search radius too large (${Math.round(radius)} m, max ${maxRadius} m)`,
+            `${field}.radius`
+        );
+    }
+}
+
+function rejectUnknownKeys(body, allowed) {
+    const unknown = Object.keys(body).filter(k => !allowed.has(k));
+    if (unknown.length > 0) {
+        throw new RequestValidationError('unexpected_field', `Unexpected field: ${unknown.join(', ')}`, unknown[0]);
+    }
+}
+
+/** Clamp maxResultCount into 1..MAX_RESULT_COUNT (defaulting to the max). */
+function clampResultCount(value) {
+    const n = Math.floor(Number(value));
+    return Number.isFinite(n) ? Math.min(MAX_RESULT_COUNT, Math.max(1, n)) : MAX_RESULT_COUNT;
+}
+
+/**
+ * Validate a /search or /textsearch request.  Returns the sanitized body
+ * (as a JSON string) and field mask to forward, or throws
+ * RequestValidationError.
+ */
+export function validateGoogleRequest(path, rawBody, fieldMask) {
+    const mask = validateFieldMask(fieldMask);
+
+    let body;
+    try {
+        body = JSON.parse(rawBody);
+    } catch {
+        throw new RequestValidationError('invalid_json', 'Request body must be JSON', null);
+    }
+    if (!isPlainObject(body)) {
+        throw new RequestValidationError('invalid_json', 'Request body must be a JSON object', null);
+    }
+
+    if (path === '/textsearch') {
+        rejectUnknownKeys(body, TEXT_BODY_KEYS);
+        if (typeof body.textQuery !== 'string' || !body.textQuery.trim()) {
+            throw new RequestValidationError('invalid_query', 'A search term is required', 'textQuery');
+        }
+        if (body.textQuery.length > MAX_TEXT_QUERY_LENGTH) {
+            throw new RequestValidationError('invalid_query', 'Search term is too long', 'textQuery');
+        }
+        if (body.locationBias !== undefined) {
+            if (!isPlainObject(body.locationBias)) {
+                throw new RequestValidationError('invalid_circle', 'locationBias must be a circle', 'locationBias');
+            }
+            validateCircle(body.locationBias.circle, 'locationBias.circle', MAX_TEXT_BIAS_RADIUS_M);
+        }
+        if (body.pageToken !== undefined
+            && (typeof body.pageToken !== 'string' || !PAGE_TOKEN_PATTERN.test(body.pageToken))) {
+            throw new RequestValidationError('invalid_page_token', 'pageToken is not valid', 'pageToken');
+        }
+        if (body.pageSize !== undefined && body.maxResultCount !== undefined) {
+            throw new RequestValidationError('unexpected_field', 'Send pageSize or maxResultCount, not both', 'maxResultCount');
+        }
+    } else {
+        rejectUnknownKeys(body, NEARBY_BODY_KEYS);
+        const types = body.includedTypes;
+        if (!Array.isArray(types) || types.length === 0) {
+            throw new RequestValidationError('invalid_types', 'includedTypes must be a non-empty list', 'includedTypes');
+        }
+        const badTypes = types.filter(t => !ALLOWED_PLACE_TYPES.has(t));
+        if (badTypes.length > 0) {
+            throw new RequestValidationError(
+                'type_not_allowed', `Place type not allowed: ${badTypes.join(', ')}`, 'includedTypes'
+            );
+        }
+        if (!isPlainObject(body.locationRestriction)) {
+            throw new RequestValidationError('invalid_circle', 'locationRestriction.circle is required', 'locationRestriction');
+        }
+        validateCircle(body.locationRestriction.circle, 'locationRestriction.circle', MAX_SEARCH_RADIUS_M);
+        if (body.rankPreference !== undefined && !RANK_PREFERENCES.has(body.rankPreference)) {
+            throw new RequestValidationError('invalid_rank', 'Unknown rankPreference', 'rankPreference');
+        }
+    }
+
+    // Paged Text Search uses pageSize; everything else maxResultCount
+    const countKey = body.pageSize !== undefined ? 'pageSize' : 'maxResultCount';
+    body[countKey] = clampResultCount(body[countKey]);
+    return { body: JSON.stringify(body), fieldMask: mask };
+}
+
+/** Validate a /details request; returns the place id and field mask to forward. */
+export function validateDetailsRequest(placeId, fieldMask) {
+    const mask = validateFieldMask(fieldMask, ALLOWED_DETAILS_FIELD_MASK);
+    if (typeof placeId !== 'string' || !PLACE_ID_PATTERN.test(placeId)) {
+        throw new RequestValidationError('invalid_place_id', 'A valid place id is required', 'id');
+    }
+    return { placeId, fieldMask: mask };
+}
+
+/** Structured 400 for a RequestValidationError. */
+function validationErrorResponse(err, origin) {
+    return new Response(
+        JSON.stringify({ error: 'invalid_request', code: err.code, field: err.field, message: err.message }),
+        { status: 400, headers: { 'Content-Type': 'application/json', ...corsHeaders(origin) } }
+    );
+}
+
+// ── Google quotas ──────────────────────────────────────────────────────────
+// Minute limits use a sliding window counter: the previous fixed minute's
+// count, weighted by how much of it still overlaps the trailing 60s, plus the
+// current minute's count.  Daily limits are fixed UTC days, like Yelp's.
+//
+// The counters live in the GoogleQuota Durable Object, which applies one
+// check-and-count at a time, so parallel tile requests can't all read the same
+// count and overshoot.  Without it they fall back to RATE_LIMIT KV, whose
+// read-then-put is not atomic (and eventually consistent across colos).
+
+const GOOGLE_QUOTA_OBJECT_NAME = 'google';
+
+let warnedAboutQuotaBinding = false;
+
+function warnQuotaBindingOnce(message) {
+    if (warnedAboutQuotaBinding) return;
+    warnedAboutQuotaBinding = true;
+    console.warn(`[Google quota] ${message}`);
+}
+
+function googleQuotaLimit(env, name) {
+    const value = parseInt(env[name], 10);
+    return Number.isFinite(value) && value >= 0 ? value : GOOGLE_QUOTA_DEFAULTS[name];
+}
+
+/** The per-IP and global limits a Google call is counted against. */
+function googleQuotaScopes(env, ip) {
+    return [
+        { scope: 'ip', id: `ip:${ip}`,
+          minuteLimit: googleQuotaLimit(env, 'GOOGLE_IP_MINUTE_LIMIT'),
+          dailyLimit: googleQuotaLimit(env, 'GOOGLE_IP_DAILY_LIMIT') },
+        { scope: 'global', id: 'global',
+          minuteLimit: googleQuotaLimit(env, 'GOOGLE_GLOBAL_MINUTE_LIMIT'),
+          dailyLimit: googleQuotaLimit(env, 'GOOGLE_GLOBAL_DAILY_LIMIT') },
+    ];
+}
+
+async function readCounter(kv, key) {
+    const raw = await kv.get(key);
+    return raw ? parseInt(raw, 10) || 0 : 0;
+}
+
+// Counter stores for consumeGoogleQuota: read(keys) → counts,
+// write([[key, count, ttlSeconds], ...])
+function kvCounterStore(kv) {
+    return {
+        read: keys => Promise.all(keys.map(key => readCounter(kv, key))),
+        write: entries => Promise.all(entries.map(([key, count, ttl]) =>
+            kv.put(key, String(count), { expirationTtl: ttl }))),
+    };
+}
+
+// Durable Object storage has no TTLs — GoogleQuota clears it at midnight UTC
+function durableCounterStore(storage) {
+    return {
+        read: async keys => {
+            const found = await storage.get(keys);
+            return keys.map(key => found.get(key) || 0);
+        },
+        write: entries => storage.put(Object.fromEntries(entries.map(([key, count]) => [key, count]))),
+    };
+}
+
+/**
+ * Seconds until a sliding window of `windowSec` would admit one more call.
+ * `prev` / `curr` are the previous and current fixed-window counts and
+ * `elapsed` is how far into the current window we are.
+ */
+export function slidingWindowRetryAfter(prev, curr, limit, elapsed, windowSec) {
+    const room = limit - 1;   // weighted count must be at most this before a call
+    if (curr <= room && prev > 0) {
+        // Wait for enough of the previous window to slide out
+        const t = windowSec * (1 - (room - curr) / prev) - elapsed;
+        return Math.max(1, Math.ceil(t));
+    }
+    // The current window alone is full — wait into the next one
+    const intoNext = room > 0 && curr > 0 ? windowSec * (1 - room / curr) : windowSec;
+    return Math.max(1, Math.ceil(windowSec - elapsed + intoNext));
+}
+
+/**
+ * Check every scope's minute and daily limit and, when all allow it, count
+ * the call in `store`.  Atomic only if the store's caller serializes calls.
+ */
+async function consumeGoogleQuota(store, scopes, now) {
+    const minute = Math.floor(now / 60000);
+    const elapsed = (now % 60000) / 1000;
+    const day = new Date(now).toISOString().slice(0, 10);
+    const secondsToMidnight = Math.ceil((86400000 - (now % 86400000)) / 1000);
+
+    for (const s of scopes) {
+        s.keys = {
+            prev: `gquota:${s.id}:m:${minute - 1}`,
+            curr: `gquota:${s.id}:m:${minute}`,
+            day: `gquota:${s.id}:d:${day}`,
+        };
+        [s.prev, s.curr, s.day] = await store.read([s.keys.prev, s.keys.curr, s.keys.day]);
+
+        if (s.day >= s.dailyLimit) {
+            return { allowed: false, scope: `${s.scope}-daily`, retryAfter: secondsToMidnight };
+        }
+        const weighted = s.prev * (1 - elapsed / 60) + s.curr;
+        if (weighted + 1 > s.minuteLimit) {
+            return {
+                allowed: false,
+                scope: `${s.scope}-minute`,
+                retryAfter: slidingWindowRetryAfter(s.prev, s.curr, s.minuteLimit, elapsed, 60),
+            };
+        }
+    }
+
+    // Minute keys need to outlive the following minute; day keys expire after 48h
+    await store.write(scopes.flatMap(s => [
+        [s.keys.curr, s.curr + 1, 180],
+        [s.keys.day, s.day + 1, 172800],
+    ]));
+
+    const remaining = Math.min(...scopes.map(s => s.dailyLimit - s.day - 1));
+    return { allowed: true, remaining: Math.max(0, remaining) };
+}
+
+/**
+ * Durable Object holding the Google quota counters.  A single instance
+ * (GOOGLE_QUOTA_OBJECT_NAME) serves every request and applies them one at
+ * a time.  POST { scopes, now } → consumeGoogleQuota's result.
+ */
+export class GoogleQuota {
+    constructor(state) {
+        this.storage = state.storage;
+        this.pending = Promise.resolve();
+    }
+
+    async fetch(request) {
+        const { scopes, now } = await request.json();
+        // Input gates already keep storage calls in order; the queue makes the
+        // whole read-check-write step exclusive
+        const result = this.pending.then(() => consumeGoogleQuota(durableCounterStore(this.storage), scopes, now));
+        this.pending = result.catch(() => {});
+        const body = await result;
+
+        if ((await this.storage.getAlarm()) === null) {
+            await this.storage.setAlarm((Math.floor(now / 86400000) + 1) * 86400000);
+        }
+        return new Response(JSON.stringify(body), { headers: { 'Content-Type': 'application/json' } });
+    }
+
+    // Midnight UTC: every day counter starts over and minute counters are stale
+    async alarm() {
+        await this.storage.deleteAll();
+    }
+}
+
+/**
+ * Check the per-IP and global Google quotas and, when allowed, count the call.
+ *
+ * @returns {{allowed: true, remaining: number|null} |
+ *           {allowed: false, scope: string, retryAfter: number}}
+ *          `remaining` is the smaller of the caller's and the global daily
+ *          allowance after this call (null when no quota binding is set).
+ */
+export async function checkGoogleRateLimit(env, ip, now = Date.now()) {
+    const scopes = googleQuotaScopes(env, ip);
+
+    if (env.GOOGLE_QUOTA) {
+        const quota = env.GOOGLE_QUOTA.get(env.GOOGLE_QUOTA.idFromName(GOOGLE_QUOTA_OBJECT_NAME));
+        const response = await quota.fetch('https://google-quota/consume', {
+            method: 'POST',
+            body: JSON.stringify({ scopes, now }),
+        });
+        return response.json();
+    }
+
+    if (env.RATE_LIMIT) {
+        warnQuotaBindingOnce('GOOGLE_QUOTA is not bound — using RATE_LIMIT KV counters, which parallel requests can overshoot');
+        return consumeGoogleQuota(kvCounterStore(env.RATE_LIMIT), scopes, now);
+    }
+
+    warnQuotaBindingOnce('Neither GOOGLE_QUOTA nor RATE_LIMIT is bound — Google calls are NOT rate-limited');
+    return { allowed: true, remaining: null };
+}
+
+// ── Google response cache (KV) ─────────────────────────────────────────────
+// Identical searches from different devices share one paid Google call.
+// Keys hash the route, the field mask and a normalized request body, so key
+// order / whitespace differences in the JSON don't split the cache.
+
+/** JSON with object keys sorted recursively — stable across clients. */
+export function canonicalJson(value) {
+    if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .map(k => `${JSON.stringify(k)}:${canonicalJson(value[k])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * KV key for a Google request, or null when the body isn't JSON (such
+ * requests are forwarded uncached).
+ */
+export async function googleCacheKey(path, body, fieldMask) {
+    let parsed;
+    try {
+        parsed = JSON.parse(body);
+    } catch {
+        return null;
+    }
+    const mask = fieldMask.split(',').map(f => f.trim()).filter(Boolean).sort().join(',');
+    const bytes = new TextEncoder().encode(`${path}\n${mask}\n${canonicalJson(parsed)}`);
+    const digest = await crypto.subtle.digest('SHA-256', bytes);
+    const hex = Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+    return `gplaces:${hex}`;
+}
+
+/** Configured cache lifetime in seconds (clamped to KV's minimum). */
+export function cacheTtlSeconds(env) {
+    const ttl = parseInt(env.CACHE_TTL_SECONDS, 10);
+    if (!Number.isFinite(ttl)) return DEFAULT_CACHE_TTL_SECONDS;
+    return Math.max(MIN_CACHE_TTL_SECONDS, ttl);
+}
+
+/**
+ * Forward one request to Google Places, through the PLACES_CACHE KV
+ * namespace when it is bound.  Only 200 responses are cached.  Responses
+ * carry X-Cache: HIT or MISS; misses are metered by checkGoogleRateLimit and
+ * carry X-Quota-Remaining.
+ *
+ * @param {object} opts
+ * @param {string} opts.endpoint   Google URL
+ * @param {string} opts.method     'GET' or 'POST'
+ * @param {string|null} opts.body  JSON body for POST
+ * @param {string} opts.fieldMask  validated X-Goog-FieldMask
+ * @param {string|null} opts.cacheKey  KV key, or null to skip the cache
+ */
+async function forwardToGoogle(request, env, origin, { endpoint, method, body, fieldMask, cacheKey }) {
+    const jsonHeaders = (cacheStatus) => ({
+        'Content-Type': 'application/json',
+        'X-Cache': cacheStatus,
+        ...corsHeaders(origin),
+    });
+
+    const cache = cacheKey ? env.PLACES_CACHE : null;
+    if (cache) {
+        const cached = await cache.get(cacheKey);
+        if (cached !== null) {
+            return new Response(cached, { status: 200, headers: jsonHeaders('HIT') });
+        }
+    }
+
+    // Only calls that reach Google are metered
+    const ip = request.headers.get('CF-Connecting-IP') || 'unknown';
+    const quota = await checkGoogleRateLimit(env, ip);
+    if (!quota.allowed) {
+        const headers = {
+            'Content-Type': 'application/json',
+            'Retry-After': String(quota.retryAfter),
+            ...corsHeaders(origin),
+        };
+        if (quota.scope.endsWith('-daily')) headers['X-Quota-Remaining'] = '0';
+        return new Response(
+            JSON.stringify({ error: 'Rate limit exceeded', scope: quota.scope, retryAfter: quota.retryAfter }),
+            { status: 429, headers }
+        );
+    }
+    const missHeaders = jsonHeaders('MISS');
+    if (quota.remaining !== null) missHeaders['X-Quota-Remaining'] = String(quota.remaining);
+
+    // Forward to Google Places API — inject the secret key server-side
+    try {
+        const headers = {
+            'X-Goog-Api-Key': env.GOOGLE_PLACES_API_KEY,
+            'X-Goog-FieldMask': fieldMask,
+        };
+        if (body !== null) headers['Content-Type'] = 'application/json';
+        const googleResponse = await fetch(endpoint, { method, headers, body: body ?? undefined });
+
+        const responseBody = await googleResponse.text();
+
+        if (cache && googleResponse.status === 200) {
+            try {
+                await cache.put(cacheKey, responseBody, { expirationTtl: cacheTtlSeconds(env) });
+            } catch (err) {
+                // A failed cache write must never fail the request itself
+                console.error('[Places cache] put failed:', err.message);
+            }
+        }
+
+        return new Response(responseBody, {
+            status: googleResponse.status,
+            headers: missHeaders,
+        });
+    } catch (err) {
+        return new Response(
+            JSON.stringify({ error: 'Proxy fetch failed', detail: err.message }),
+            { status: 502, headers: { 'Content-Type': 'application/json', ...corsHeaders(origin) } }
+        );
+    }
+}
+
+/**
+ * Proxy POST /search or /textsearch to Google Places.  Bodies are validated
+ * first (structured 400 on rejection) and cached/forwarded in sanitized form.
+ */
+export async function handleGooglePlaces(path, request, env, origin) {
+    let body, fieldMask;
+    try {
+        ({ body, fieldMask } = validateGoogleRequest(
+            path,
+            await request.text(),
+            request.headers.get('X-Goog-FieldMask') || 'places.id'
+        ));
+    } catch (err) {
+        if (err instanceof RequestValidationError) return validationErrorResponse(err, origin);
+        throw err;
+    }
+
+    // Pick the correct Google Places endpoint
+    const endpoint = path === '/textsearch'
+        ? 'https://places.googleapis.com/v1/places:searchText'
+        : 'https://places.googleapis.com/v1/places:searchNearby';
+
+    const cacheKey = env.PLACES_CACHE ? await googleCacheKey(path, body, fieldMask) : null;
+    return forwardToGoogle(request, env, origin, { endpoint, method: 'POST', body, fieldMask, cacheKey });
+}
+
+/**
+ * Proxy GET /details?id=<placeId> to Google Place Details — the on-demand
+ * Enterprise-tier fields (phone, website, hours) for one place.  Cached per
+ * place and field mask.
+ */
+export async function handlePlaceDetails(request, env, origin) {
+    let placeId, fieldMask;
+    try {
+        ({ placeId, fieldMask } = validateDetailsRequest(
+            new URL(request.url).searchParams.get('id'),
+            request.headers.get('X-Goog-FieldMask') || 'id'
+        ));
+    } catch (err) {
+        if (err instanceof RequestValidationError) return validationErrorResponse(err, origin);
+        throw err;
+    }
+
+    const endpoint = `https://places.googleapis.com/v1/places/${encodeURIComponent(placeId)}`;
+    const cacheKey = env.PLACES_CACHE ? await googleCacheKey('/details', JSON.stringify({ id: placeId }), fieldMask) : null;
+    return forwardToGoogle(request, env, origin, { endpoint, method: 'GET', body: null, fieldMask, cacheKey });
+}
+
 /** Handle GET /yelp — proxy to Yelp Business Search. */
 async function handleYelp(request, env, origin) {
     if (!env.YELP_API_KEY) {
@@ -197,8 +764,9 @@ export default {
             return handleYelp(request, env, origin);
         }
 
-        // ── Google Places routes (POST) ─────────────────────────────────
-        if (request.method !== 'POST') {
+        // ── Google Places routes ────────────────────────────────────────
+        const isDetails = path === '/details';
+        if (request.method !== (isDetails ? 'GET' : 'POST')) {
             return new Response('Method not allowed', { status: 405 });
         }
 
@@ -210,6 +778,8 @@ export default {
             );
         }
 
+        if (isDetails) return handlePlaceDetails(request, env, origin);
+
         if (path !== '/search' && path !== '/verify' && path !== '/textsearch') {
             return new Response('Not found', { status: 404 });
         }
@@ -222,44 +792,6 @@ export default {
             );
         }
 
-        // Read client request
-        const body = await request.text();
-        const fieldMask = request.headers.get('X-Goog-FieldMask') || 'places.id';
-
-        // Pick the correct Google Places endpoint
-        const googleEndpoint = path === '/textsearch'
-            ? 'https://places.googleapis.com/v1/places:searchText'
-            : 'https://places.googleapis.com/v1/places:searchNearby';
-
-        // Forward to Google Places API — inject the secret key server-side
-        try {
-            const googleResponse = await fetch(
-                googleEndpoint,
-                {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'X-Goog-Api-Key': env.GOOGLE_PLACES_API_KEY,
-                        'X-Goog-FieldMask': fieldMask,
-                    },
-                    body,
-                }
-            );
-
-            const responseBody = await googleResponse.text();
-
-            return new Response(responseBody, {
-                status: googleResponse.status,
-                headers: {
-                    'Content-Type': 'application/json',
-                    ...corsHeaders(origin),
-                },
-            });
-        } catch (err) {
-            return new Response(
-                JSON.stringify({ error: 'Proxy fetch failed', detail: err.message }),
-                { status: 502, headers: { 'Content-Type': 'application/json', ...corsHeaders(origin) } }
-            );
-        }
+        return handleGooglePlaces(path, request, env, origin);
     },
 };
@@ -0,0 +1,99 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { checkGoogleRateLimit, slidingWindowRetryAfter, GoogleQuota } from '../src/index.js';
+import { MemoryKV, durableObjectNamespace } from './helpers.mjs';
+
+// 2026-03-10 12:00:00 UTC, on a minute boundary
+const NOON = Date.UTC(2026, 2, 10, 12, 0, 0);
+
+const LIMITS = {
+    GOOGLE_IP_MINUTE_LIMIT: '3',
+    GOOGLE_IP_DAILY_LIMIT: '5',
+    GOOGLE_GLOBAL_MINUTE_LIMIT: '100',
+    GOOGLE_GLOBAL_DAILY_LIMIT: '100',
+};
+
+// Runs first: the missing-binding warning is logged once per isolate
+test('without a quota binding calls are allowed and a warning is logged once', async (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    assert.deepEqual(await checkGoogleRateLimit({}, '203.0.113.7', NOON), { allowed: true, remaining: null });
+    assert.deepEqual(await checkGoogleRateLimit({}, '203.0.113.7', NOON), { allowed: true, remaining: null });
+    assert.equal(warn.mock.callCount(), 1);
+    assert.match(warn.mock.calls[0].arguments[0], /NOT rate-limited/);
+});
+
+test('slidingWindowRetryAfter waits for the previous window to slide out', () => {
+    // 10 calls last minute, none yet this minute, limit 10, 30s in: the
+    // weighted count drops to 9 at 6s into the window — already past
+    assert.equal(slidingWindowRetryAfter(10, 0, 10, 30, 60), 1);
+    // Current window full on its own: wait for the next one
+    assert.equal(slidingWindowRetryAfter(0, 10, 10, 15, 60), 51);
+    assert.equal(slidingWindowRetryAfter(10, 5, 10, 0, 60), 36);
+});
+
+for (const [name, binding] of [
+    ['GOOGLE_QUOTA Durable Object', () => ({ GOOGLE_QUOTA: durableObjectNamespace(GoogleQuota) })],
+    ['RATE_LIMIT KV fallback', () => ({ RATE_LIMIT: new MemoryKV() })],
+]) {
+    test(`${name}: enforces the per-IP minute limit`, async () => {
+        const env = { ...LIMITS, ...binding() };
+        for (let i = 0; i < 3; i++) {
+            const result = await checkGoogleRateLimit(env, '203.0.113.7', NOON + i * 1000);
+            assert.equal(result.allowed, true);
+        }
+        const blocked = await checkGoogleRateLimit(env, '203.0.113.7', NOON + 3000);
+        assert.equal(blocked.allowed, false);
+        assert.equal(blocked.scope, 'ip-minute');
+        assert.ok(blocked.retryAfter >= 1 && blocked.retryAfter <= 120);
+
+        // Other callers still have their own allowance
+        assert.equal((await checkGoogleRateLimit(env, '198.51.100.2', NOON + 3000)).allowed, true);
+        // Late in the next minute most of the earlier calls have slid out
+        assert.equal((await checkGoogleRateLimit(env, '203.0.113.7', NOON + 110000)).allowed, true);
+    });
+
+    test(`${name}: enforces the daily limit and reports what is left`, async () => {
+        const env = { ...LIMITS, ...binding() };
+        const remaining = [];
+        for (let i = 0; i < 5; i++) {
+            remaining.push((await checkGoogleRateLimit(env, '203.0.113.7', NOON + i * 60000)).remaining);
+        }
+        assert.deepEqual(remaining, [4, 3, 2, 1, 0]);
+        const blocked = await checkGoogleRateLimit(env, '203.0.113.7', NOON + 5 * 60000);
+        assert.equal(blocked.scope, 'ip-daily');
+        assert.equal(blocked.retryAfter, 12 * 3600 - 5 * 60);
+    });
+
+    test(`${name}: the global limit covers every caller`, async () => {
+        const env = { ...LIMITS, GOOGLE_GLOBAL_MINUTE_LIMIT: '2', ...binding() };
+        assert.equal((await checkGoogleRateLimit(env, '192.0.2.1', NOON)).allowed, true);
+        assert.equal((await checkGoogleRateLimit(env, '192.0.2.2', NOON)).allowed, true);
+        const blocked = await checkGoogleRateLimit(env, '192.0.2.3', NOON);
+        assert.equal(blocked.allowed, false);
+        assert.equal(blocked.scope, 'global-minute');
+    });
+}
+
+test('the Durable Object counts parallel requests exactly', async () => {
+    const env = { ...LIMITS, GOOGLE_IP_MINUTE_LIMIT: '5', GOOGLE_IP_DAILY_LIMIT: '50', GOOGLE_QUOTA: durableObjectNamespace(GoogleQuota) };
+    const results = await Promise.all(
+        Array.from({ length: 12 }, () => checkGoogleRateLimit(env, '203.0.113.7', NOON + 500))
+    );
+    assert.equal(results.filter(r => r.allowed).length, 5);
+    assert.deepEqual(
+        results.filter(r => r.allowed).map(r => r.remaining).sort((a, b) => b - a),
+        [49, 48, 47, 46, 45]
+    );
+});
+
+test('the Durable Object clears its counters at midnight UTC', async () => {
+    const namespace = durableObjectNamespace(GoogleQuota);
+    const env = { ...LIMITS, GOOGLE_QUOTA: namespace };
+    for (let i = 0; i < 5; i++) await checkGoogleRateLimit(env, '203.0.113.7', NOON + i * 60000);
+    assert.equal(namespace.storage.alarmAt, Date.UTC(2026, 2, 11));
+
+    await namespace.instance.alarm();
+    assert.equal(namespace.storage.data.size, 0);
+    const nextDay = Date.UTC(2026, 2, 11, 0, 0, 5);
+    assert.equal((await checkGoogleRateLimit(env, '203.0.113.7', nextDay)).allowed, true);
+});
@@ -0,0 +1,103 @@
+// Test doubles for the worker: an in-memory KV namespace with a controllable
+// clock, and a scripted replacement for the global fetch.
+
+/** KV namespace stand-in honouring expirationTtl against `clock.now`. */
+export class MemoryKV {
+    constructor(clock = { now: 0 }) {
+        this.clock = clock;
+        this.store = new Map();
+        this.puts = [];
+    }
+
+    async get(key) {
+        const entry = this.store.get(key);
+        if (!entry) return null;
+        if (entry.expiresAt !== null && entry.expiresAt <= this.clock.now) {
+            this.store.delete(key);
+            return null;
+        }
+        return entry.value;
+    }
+
+    async put(key, value, options = {}) {
+        this.puts.push({ key, value, options });
+        const ttl = options.expirationTtl;
+        this.store.set(key, {
+            value: String(value),
+            expiresAt: ttl ? this.clock.now + ttl * 1000 : null,
+        });
+    }
+
+    get size() {
+        return this.store.size;
+    }
+}
+
+/**
+ * Replace globalThis.fetch with `handler(url, init)` for the duration of a
+ * test; returns the recorded calls.  Restored by the returned `restore`.
+ */
+export function mockFetch(handler) {
+    const original = globalThis.fetch;
+    const calls = [];
+    globalThis.fetch = async (url, init = {}) => {
+        calls.push({ url: String(url), init });
+        return handler(String(url), init);
+    };
+    return { calls, restore: () => { globalThis.fetch = original; } };
+}
+
+export const ORIGIN = 'https://lasosearch.github.io';
+
+/** POST /search or /textsearch request as the site sends it. */
+export function placesRequest(path, body, fieldMask, ip = '203.0.113.7') {
+    return new Request(`https://proxy.example${path}`, {
+        method: 'POST',
+        headers: {
+            'Origin': ORIGIN,
+            'Content-Type': 'application/json',
+            'X-Goog-FieldMask': fieldMask,
+            'CF-Connecting-IP': ip,
+        },
+        body: typeof body === 'string' ? body : JSON.stringify(body),
+    });
+}
+
+/**
+ * Durable Object storage stand-in.  Every call yields to the event loop so
+ * concurrent requests interleave the way they could across awaits.
+ */
+export class MemoryDurableStorage {
+    constructor() {
+        this.data = new Map();
+        this.alarmAt = null;
+    }
+
+    async get(keys) {
+        await new Promise(resolve => setTimeout(resolve, 0));
+        return new Map(keys.filter(k => this.data.has(k)).map(k => [k, this.data.get(k)]));
+    }
+
+    async put(entries) {
+        await new Promise(resolve => setTimeout(resolve, 0));
+        for (const [key, value] of Object.entries(entries)) this.data.set(key, value);
+    }
+
+    async getAlarm() { return this.alarmAt; }
+
+    async setAlarm(at) { this.alarmAt = at; }
+
+    async deleteAll() { this.data.clear(); }
+}
+
+/** DurableObjectNamespace stand-in routing every id to one instance of `ObjectClass`. */
+export function durableObjectNamespace(ObjectClass) {
+    const storage = new MemoryDurableStorage();
+    const instance = new ObjectClass({ storage });
+    return {
+        instance,
+        storage,
+        idFromName: name => name,
+        get: () => ({ fetch: (url, init) => instance.fetch(new Request(url, init)) }),
+    };
+}
@@ -0,0 +1,160 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { googleCacheKey, cacheTtlSeconds, handleGooglePlaces, handlePlaceDetails } from '../src/index.js';
+import { MemoryKV, mockFetch, placesRequest, ORIGIN } from './helpers.mjs';
+
+const MASK = 'places.id,places.displayName,places.location';
+const NEARBY = {
+    includedTypes: ['cafe'],
+    locationRestriction: { circle: { center: { latitude: 51.5, longitude: -0.12 }, radius: 500 } },
+    maxResultCount: 20,
+};
+const GOOGLE_BODY = JSON.stringify({ places: [{ id: 'ChIJ-test-place', displayName: { text: 'Cafe' } }] });
+
+function setup(envVars = {}) {
+    const clock = { now: 0 };
+    const env = { GOOGLE_PLACES_API_KEY: 'test-key', PLACES_CACHE: new MemoryKV(clock), ...envVars };
+    return { clock, env };
+}
+
+test('googleCacheKey ignores key order, whitespace and field mask order', async () => {
+    const a = await googleCacheKey('/search', JSON.stringify(NEARBY), MASK);
+    const reordered = JSON.stringify({
+        maxResultCount: 20,
+        locationRestriction: { circle: { radius: 500, center: { longitude: -0.12, latitude: 51.5 } } },
+        includedTypes: ['cafe'],
+    }, null, 2);
+    const b = await googleCacheKey('/search', reordered, ' places.location, places.id,places.displayName');
+    assert.match(a, /^gplaces:[0-9a-f]{64}$/);
+    assert.equal(a, b);
+});
+
+test('googleCacheKey separates routes, masks and bodies', async () => {
+    const body = JSON.stringify(NEARBY);
+    const base = await googleCacheKey('/search', body, MASK);
+    assert.notEqual(await googleCacheKey('/textsearch', body, MASK), base);
+    assert.notEqual(await googleCacheKey('/search', body, MASK + ',places.rating'), base);
+    assert.notEqual(await googleCacheKey('/search', JSON.stringify({ ...NEARBY, includedTypes: ['bar'] }), MASK), base);
+    // Array order is meaningful and is kept
+    assert.notEqual(
+        await googleCacheKey('/search', JSON.stringify({ ...NEARBY, includedTypes: ['cafe', 'bar'] }), MASK),
+        await googleCacheKey('/search', JSON.stringify({ ...NEARBY, includedTypes: ['bar', 'cafe'] }), MASK)
+    );
+    assert.equal(await googleCacheKey('/search', 'not json', MASK), null);
+});
+
+test('a repeated search is served from the cache', async () => {
+    const { env } = setup();
+    const google = mockFetch(async () => new Response(GOOGLE_BODY, { status: 200 }));
+    try {
+        const miss = await handleGooglePlaces('/search', placesRequest('/search', NEARBY, MASK), env, ORIGIN);
+        assert.equal(miss.status, 200);
+        assert.equal(miss.headers.get('X-Cache'), 'MISS');
+        assert.equal(await miss.text(), GOOGLE_BODY);
+
+        // Same search from another client, keys in a different order
+        const again = { locationRestriction: NEARBY.locationRestriction, includedTypes: ['cafe'], maxResultCount: 20 };
+        const hit = await handleGooglePlaces('/search', placesRequest('/search', again, MASK, '198.51.100.2'), env, ORIGIN);
+        assert.equal(hit.status, 200);
+        assert.equal(hit.headers.get('X-Cache'), 'HIT');
+        assert.equal(hit.headers.get('Access-Control-Allow-Origin'), ORIGIN);
+        assert.equal(await hit.text(), GOOGLE_BODY);
+
+        assert.equal(google.calls.length, 1);
+        assert.equal(google.calls[0].url, 'https://places.googleapis.com/v1/places:searchNearby');
+        assert.equal(google.calls[0].init.headers['X-Goog-Api-Key'], 'test-key');
+    } finally {
+        google.restore();
+    }
+});
+
+test('cached responses expire after CACHE_TTL_SECONDS', async () => {
+    const { clock, env } = setup({ CACHE_TTL_SECONDS: '120' });
+    const google = mockFetch(async () => new Response(GOOGLE_BODY, { status: 200 }));
+    const send = async () => (await handleGooglePlaces('/search', placesRequest('/search', NEARBY, MASK), env, ORIGIN))
+        .headers.get('X-Cache');
+    try {
+        assert.equal(await send(), 'MISS');
+        assert.equal(env.PLACES_CACHE.puts[0].options.expirationTtl, 120);
+
+        clock.now = 119 * 1000;
+        assert.equal(await send(), 'HIT');
+        clock.now = 121 * 1000;
+        assert.equal(await send(), 'MISS');
+        assert.equal(google.calls.length, 2);
+    } finally {
+        google.restore();
+    }
+});
+
+test('cacheTtlSeconds defaults and clamps to the KV minimum', () => {
+    assert.equal(cacheTtlSeconds({}), 1800);
+    assert.equal(cacheTtlSeconds({ CACHE_TTL_SECONDS: 'soon' }), 1800);
+    assert.equal(cacheTtlSeconds({ CACHE_TTL_SECONDS: '10' }), 60);
+    assert.equal(cacheTtlSeconds({ CACHE_TTL_SECONDS: '3600' }), 3600);
+});
+
+test('upstream errors are passed through and never cached', async () => {
+    const { env } = setup();
+    let status = 500;
+    const google = mockFetch(async () => new Response('{"error":{"code":500}}', { status }));
+    try {
+        const first = await handleGooglePlaces('/search', placesRequest('/search', NEARBY, MASK), env, ORIGIN);
+        assert.equal(first.status, 500);
+        assert.equal(first.headers.get('X-Cache'), 'MISS');
+        assert.equal(env.PLACES_CACHE.size, 0);
+
+        status = 200;
+        const retry = await handleGooglePlaces('/search', placesRequest('/search', NEARBY, MASK), env, ORIGIN);
+        assert.equal(retry.headers.get('X-Cache'), 'MISS');
+        assert.equal(env.PLACES_CACHE.size, 1);
+        assert.equal(google.calls.length, 2);
+    } finally {
+        google.restore();
+    }
+});
+
+test('a failed Google fetch is a 502 and leaves nothing cached', async () => {
+    const { env } = setup();
+    const google = mockFetch(async () => { throw new Error('connection reset'); });
+    try {
+        const response = await handleGooglePlaces('/search', placesRequest('/search', NEARBY, MASK), env, ORIGIN);
+        assert.equal(response.status, 502);
+        assert.equal((await response.json()).detail, 'connection reset');
+        assert.equal(env.PLACES_CACHE.size, 0);
+    } finally {
+        google.restore();
+    }
+});
+
+test('invalid requests are rejected before the cache or Google', async () => {
+    const { env } = setup();
+    const google = mockFetch(async () => new Response(GOOGLE_BODY, { status: 200 }));
+    try {
+        const body = { ...NEARBY, includedTypes: ['casino'] };
+        const response = await handleGooglePlaces('/search', placesRequest('/search', body, MASK), env, ORIGIN);
+        assert.equal(response.status, 400);
+        assert.equal((await response.json()).code, 'type_not_allowed');
+        assert.equal(google.calls.length, 0);
+        assert.equal(env.PLACES_CACHE.puts.length, 0);
+    } finally {
+        google.restore();
+    }
+});
+
+test('place details are cached per place and field mask', async () => {
+    const { env } = setup();
+    const google = mockFetch(async () => new Response('{"id":"ChIJ-test-place"}', { status: 200 }));
+    const details = (mask) => handlePlaceDetails(new Request('https://proxy.example/details?id=ChIJ-test-place', {
+        headers: { 'Origin': ORIGIN, 'X-Goog-FieldMask': mask },
+    }), env, ORIGIN);
+    try {
+        assert.equal((await details('id,websiteUri')).headers.get('X-Cache'), 'MISS');
+        assert.equal((await details('websiteUri,id')).headers.get('X-Cache'), 'HIT');
+        assert.equal((await details('id,currentOpeningHours')).headers.get('X-Cache'), 'MISS');
+        assert.equal(google.calls.length, 2);
+        assert.equal(google.calls[0].url, 'https://places.googleapis.com/v1/places/ChIJ-test-place');
+    } finally {
+        google.restore();
+    }
+});